@@ -71,8 +71,54 @@ const logInfo = (evt, msg, data, err) => log('INFO', evt, msg, data, err);
 const logWarn = (evt, msg, data, err) => log('WARN', evt, msg, data, err);
 const logError = (evt, msg, data, err) => log('ERROR', evt, msg, data, err);
 
+// ===== 공용 content 모듈 =====
+// - content/cache.js: 모든 사이트의 번역을 확장 프로그램 출처 IndexedDB 하나에 저장
+//   (content script의 WPT.Cache는 CACHE_REQUEST 메시지로 이 저장소에 요청)
+// - content/site-rules.js: 사이트별 규칙 호스트 일치 (WPT.SiteRules.findRule)
+// - content/llm.js: LLM 제공자 호출 (content script의 WPT.Llm은 LLM_REQUEST 메시지/LLM_STREAM_PORT로 이 쪽에 요청)
+importScripts('content/language.js', 'content/cache.js', 'content/site-rules.js', 'content/llm.js');
+
 // ===== Extension 설치 및 초기화 =====
 
+/**
+ * 상시 등록 content script 설정
+ * - allFrames: 교차 출처 iframe도 프레임별로 번역 (동일 출처 iframe은 상위 프레임이 직접 순회)
+ */
+const CONTENT_SCRIPT_REGISTRATION = {
+  id: 'content-script',
+  js: ['content/bootstrap.js', 'content/llm.js', 'content/api.js', 'content/usage.js', 'content/batching.js', 'content/priority.js', 'content/cache.js', 'content/language.js', 'content/industry.js', 'content/glossary.js', 'content/site-rules.js', 'content/dom.js', 'content/bilingual.js', 'content/inspector.js', 'content/selection.js', 'content/title.js', 'content/progress.js', 'content/observer.js', 'content.js'],
+  matches: ['https://*/*', 'http://*/*'],
+  runAt: 'document_start',
+  allFrames: true,
+  persistAcrossSessions: true, // 브라우저 재시작 후에도 유지
+};
+
+const CONTEXT_MENU_TRANSLATE_SELECTION = 'wpt-translate-selection';
+
+const CACHE_SWEEP_ALARM = 'wpt-cache-sweep';
+const CACHE_SWEEP_PERIOD_MINUTES = 60;
+
+const DEFAULT_MODEL = 'openai/gpt-4o-mini';
+const DEFAULT_TARGET_LANGUAGE = 'ko';
+const ACTION_TITLE = '무조건 한글로 번역해드림'; // manifest action.default_title과 동일
+const BADGE_COLORS = {
+  progress: '#3B82F6',
+  done: '#10B981',
+  error: '#EF4444',
+  interrupted: '#F59E0B'
+};
+const TRANSLATION_JOBS_KEY = 'translationJobs'; // chrome.storage.session (modules/constants.js STORAGE_KEYS와 동일)
+const MAX_TRANSLATION_JOBS = 20;
+const USAGE_STATS_KEY = 'usageStats';
+const USAGE_DAYS_KEPT = 90;
+const USAGE_MAX_DOMAINS = 200;
+
+// 번역 실행에 필요한 설정 키 (side panel handleTranslateAll과 같은 항목)
+const TRANSLATE_SETTING_KEYS = [
+  'apiKey', 'model', 'siteRules', 'targetLanguage', 'cacheModelPolicy',
+  'batchSize', 'concurrency', 'liveTranslate', 'lazyTranslate', 'preserveMarkup', 'blockInspector', 'bilingualSites'
+];
+
 /**
  * Extension 설치/업데이트 시 초기 설정
  */
@@ -89,22 +135,39 @@ chrome.runtime.onInstalled.addListener(async () => {
 
   // Content script 상시 등록 (페이지 로드 시 자동 주입)
   try {
-    await chrome.scripting.registerContentScripts([{
-      id: 'content-script',
-      js: ['content/bootstrap.js', 'content/api.js', 'content/cache.js', 'content/industry.js', 'content/dom.js', 'content/title.js', 'content/progress.js', 'content.js'],
-      matches: ['https://*/*', 'http://*/*'],
-      runAt: 'document_start',
-      persistAcrossSessions: true, // 브라우저 재시작 후에도 유지
-    }]);
+    await chrome.scripting.registerContentScripts([CONTENT_SCRIPT_REGISTRATION]);
     logInfo('CONTENT_SCRIPT_REGISTERED', 'Content script 등록 완료');
   } catch (error) {
-    // 이미 등록된 경우 무시 (에러가 아님)
+    // 이미 등록된 경우 파일 목록/프레임 옵션만 최신으로 갱신
     if (error.message.includes('duplicate')) {
       logDebug('CONTENT_SCRIPT_ALREADY_REGISTERED', 'Content script 이미 등록됨');
+      await chrome.scripting.updateContentScripts([CONTENT_SCRIPT_REGISTRATION]).catch(() => {});
     } else {
       logInfo('CONTENT_SCRIPT_REGISTER_FAILED', 'Content script 등록 실패 (수동 주입 사용)', {}, error);
     }
   }
+
+  // 선택 텍스트 번역 컨텍스트 메뉴 (업데이트 시 중복 생성 방지를 위해 먼저 제거)
+  try {
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_TRANSLATE_SELECTION,
+      title: '선택한 텍스트 번역',
+      contexts: ['selection'],
+    });
+    logDebug('CONTEXT_MENU_CREATED', '선택 번역 컨텍스트 메뉴 등록 완료');
+  } catch (error) {
+    logInfo('CONTEXT_MENU_CREATE_FAILED', '컨텍스트 메뉴 등록 실패', {}, error);
+  }
+
+  await ensureCacheSweepAlarm();
+});
+
+/**
+ * 브라우저 시작 시 캐시 정리 알람 확인 (알람은 재시작 후 유지되지 않을 수 있음)
+ */
+chrome.runtime.onStartup.addListener(() => {
+  ensureCacheSweepAlarm();
 });
 
 // ===== Content Script 관리 =====
@@ -142,8 +205,8 @@ async function ensureContentScript(tabId) {
   logInfo('CONTENT_INJECT_START', 'Content script 수동 주입 시작', { tabId });
   try {
     await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ['content/bootstrap.js', 'content/api.js', 'content/cache.js', 'content/industry.js', 'content/dom.js', 'content/title.js', 'content/progress.js', 'content.js'],
+      target: { tabId, allFrames: true },
+      files: ['content/bootstrap.js', 'content/llm.js', 'content/api.js', 'content/usage.js', 'content/batching.js', 'content/priority.js', 'content/cache.js', 'content/language.js', 'content/industry.js', 'content/glossary.js', 'content/site-rules.js', 'content/dom.js', 'content/bilingual.js', 'content/inspector.js', 'content/selection.js', 'content/title.js', 'content/progress.js', 'content/observer.js', 'content.js'],
     });
     logInfo('CONTENT_INJECT_DONE', 'Content script 수동 주입 완료', { tabId });
   } catch (error) {
@@ -159,7 +222,7 @@ async function ensureContentScript(tabId) {
     }, 1500);
 
     const listener = (msg, sender) => {
-      if (sender.tab?.id === tabId && msg?.type === 'CONTENT_READY') {
+      if (sender.tab?.id === tabId && !sender.frameId && msg?.type === 'CONTENT_READY') {
         clearTimeout(timeout);
         chrome.runtime.onMessage.removeListener(listener);
         logInfo('CONTENT_READY_RECEIVED', 'Content script 준비 완료', { tabId });
@@ -180,15 +243,656 @@ async function ensureContentScript(tabId) {
   });
 }
 
+// ===== 컨텍스트 메뉴 =====
+
+/**
+ * 선택 텍스트 번역 메뉴 클릭 → 선택이 있는 프레임에 번역 요청
+ * content script가 아직 없으면 주입 후 한 번 재시도
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_TRANSLATE_SELECTION || !tab?.id) return;
+  const message = { action: 'translateSelection', text: info.selectionText || '' };
+  const options = { frameId: info.frameId || 0 };
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, message, options);
+  } catch (error) {
+    logDebug('SELECTION_SEND_RETRY', '선택 번역 요청 실패, content script 주입 후 재시도', { tabId: tab.id, frameId: options.frameId }, error);
+    try {
+      await ensureContentScript(tab.id);
+      await chrome.tabs.sendMessage(tab.id, message, options);
+    } catch (retryError) {
+      logError('SELECTION_TRANSLATE_FAILED', '선택 텍스트 번역 요청 실패', { tabId: tab.id }, retryError);
+    }
+  }
+});
+
+// ===== 캐시 정리 알람 =====
+
+/**
+ * 주기적 캐시 정리 알람 등록 (이미 있으면 유지)
+ */
+async function ensureCacheSweepAlarm() {
+  try {
+    const existing = await chrome.alarms.get(CACHE_SWEEP_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(CACHE_SWEEP_ALARM, { periodInMinutes: CACHE_SWEEP_PERIOD_MINUTES });
+      logDebug('CACHE_SWEEP_ALARM_CREATED', '캐시 정리 알람 등록', { periodInMinutes: CACHE_SWEEP_PERIOD_MINUTES });
+    }
+  } catch (error) {
+    logWarn('CACHE_SWEEP_ALARM_FAILED', '캐시 정리 알람 등록 실패', {}, error);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== CACHE_SWEEP_ALARM) return;
+  WPT.Cache.sweepExpired().then((result) => {
+    if (!result.success) {
+      logWarn('CACHE_SWEEP_FAILED', '캐시 정리 실패', {}, result.error);
+    } else if (result.expired || result.evicted) {
+      logInfo('CACHE_SWEEP', '만료/용량 초과 캐시 정리', { expired: result.expired, evicted: result.evicted });
+    }
+  });
+});
+
+// ===== 자동 번역 =====
+
+// 탭별 자동 번역을 검사한 URL (같은 페이지 로드에서 중복 실행 방지, 새 로드가 시작되면 삭제)
+const autoTranslateCheckedTabs = new Map();
+
+/**
+ * 탭에 메시지 전송 후 응답 대기 (실패 시 null)
+ * @param {number} tabId
+ * @param {Object} message
+ * @returns {Promise<Object|null>}
+ */
+async function requestTab(tabId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 전체 번역 메시지 생성 (사이트 규칙 모델 덮어쓰기, 사이트별 원문 함께 보기 반영)
+ * @param {Object} settings - TRANSLATE_SETTING_KEYS 조회 결과
+ * @param {string} hostname
+ * @param {boolean} useCache
+ * @returns {Object} translateFullPage 메시지
+ */
+function buildTranslateMessage(settings, hostname, useCache) {
+  const siteRule = WPT.SiteRules.findRule(settings.siteRules, hostname);
+  const bilingualSites = settings.bilingualSites || {};
+  return {
+    action: 'translateFullPage',
+    apiKey: settings.apiKey,
+    model: (siteRule && siteRule.model) || settings.model || DEFAULT_MODEL,
+    batchSize: settings.batchSize || 50,
+    concurrency: settings.concurrency || 3,
+    useCache,
+    liveTranslate: settings.liveTranslate || false,
+    lazyTranslate: settings.lazyTranslate || false,
+    preserveMarkup: settings.preserveMarkup !== false,
+    blockInspector: settings.blockInspector || false,
+    bilingual: !!bilingualSites[hostname],
+    targetLanguage: settings.targetLanguage || DEFAULT_TARGET_LANGUAGE,
+    cacheModelPolicy: settings.cacheModelPolicy || 'current'
+  };
+}
+
+/**
+ * 번역 시작 후 열려 있는 side panel이 이 작업에 연결하도록 알림 (닫혀 있으면 수신자 없음)
+ * @param {number} tabId
+ */
+function notifyTranslationStarted(tabId) {
+  chrome.runtime.sendMessage({ type: 'TRANSLATION_STARTED', tabId }).catch(() => {});
+}
+
+/**
+ * 로드가 끝난 탭의 자동 번역
+ *
+ * 조건:
+ * - http/https 페이지, API Key 설정됨
+ * - 사이트 규칙 '자동 번역 안 함'이면 실행 안 함, '항상 자동 번역'이면 캐시 없이도 실행
+ * - 그 외에는 자동 번역 설정이 ON이고 이 사이트 캐시가 있을 때 (캐시 모드)
+ * - 이미 번역 중이거나 완료된 페이지(side panel에서 시작 등)는 건너뜀
+ * - 중단된 작업이 있으면 새로 시작하지 않고 이어서 번역, 자동 번역 대상이 아니면 배지로 이어하기 안내만 표시
+ *
+ * side panel이 열려 있지 않아도 실행되며, 진행률은 툴바 배지로 표시
+ * @param {number} tabId
+ * @param {string} url
+ */
+async function maybeAutoTranslate(tabId, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return;
+  if (autoTranslateCheckedTabs.get(tabId) === url) return;
+  autoTranslateCheckedTabs.set(tabId, url);
+
+  const settings = await chrome.storage.local.get([...TRANSLATE_SETTING_KEYS, 'autoTranslate']);
+  const hostname = parsed.hostname.toLowerCase();
+  const siteRule = WPT.SiteRules.findRule(settings.siteRules, hostname);
+  const mode = siteRule ? siteRule.mode : 'default';
+  const job = await getInterruptedJob(url);
+
+  if (mode === 'never' || (mode !== 'always' && !settings.autoTranslate) || !settings.apiKey) {
+    if (job) {
+      updateBadge(tabId, job);
+    }
+    if (mode === 'never') {
+      logDebug('AUTO_TRANSLATE_SKIP', '사이트 규칙: 번역 안 함', { tabId, domain: siteRule.domain });
+    } else if (!settings.apiKey && (mode === 'always' || settings.autoTranslate)) {
+      logDebug('AUTO_TRANSLATE_SKIP', 'API Key가 없음', { tabId });
+    }
+    return;
+  }
+
+  try {
+    await ensureContentScript(tabId);
+  } catch (error) {
+    logDebug('AUTO_TRANSLATE_SKIP', 'Content script 준비 실패', { tabId }, error);
+    return;
+  }
+
+  const current = await requestTab(tabId, { action: 'getTranslationState' });
+  const state = current && current.state ? current.state.state : null;
+  if (state === 'translating' || state === 'completed') {
+    logDebug('AUTO_TRANSLATE_SKIP', '이미 번역 중이거나 완료된 페이지', { tabId, state });
+    return;
+  }
+
+  if (job) {
+    await resumeTranslationJob(tabId, job, settings.apiKey);
+    return;
+  }
+
+  if (mode !== 'always') {
+    const cacheStatus = await WPT.Cache.getCacheStatus(parsed.origin);
+    if (!cacheStatus || !cacheStatus.success || !(cacheStatus.count > 0)) {
+      logDebug('AUTO_TRANSLATE_SKIP', '캐싱된 데이터가 없음', { tabId });
+      return;
+    }
+  }
+
+  await chrome.tabs.sendMessage(tabId, buildTranslateMessage(settings, hostname, true));
+  logInfo('AUTO_TRANSLATE_TRIGGER', '자동 번역 시작', { tabId, siteRule: mode });
+  notifyTranslationStarted(tabId);
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'loading') {
+    autoTranslateCheckedTabs.delete(tabId);
+    updateBadge(tabId, null);
+    void interruptTabJobs(tabId);
+    return;
+  }
+  if (changeInfo.status !== 'complete' || !tab?.url) return;
+  maybeAutoTranslate(tabId, tab.url).catch((error) => {
+    logWarn('AUTO_TRANSLATE_ERROR', '자동 번역 시작 실패', { tabId }, error);
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  autoTranslateCheckedTabs.delete(tabId);
+  void interruptTabJobs(tabId);
+});
+
+// ===== 중단된 번역 이어하기 =====
+
+/**
+ * 작업 기록 (chrome.storage.session translationJobs, URL → 기록)
+ * - 최상위 프레임 진행 보고로 갱신: { url, tabId, state, startedAt, options, totalTexts, translatedCount, batchCount, batchesDone, updatedAt }
+ * - state: 'translating' | 'interrupted' (완료/원본 복원 시 삭제)
+ * - 탭 새로고침·닫힘 또는 번역 오류로 끝나면 'interrupted' → 같은 URL을 다시 열면 이어서 번역 제안
+ * - session storage라 service worker가 다시 시작되어도 유지되고 브라우저를 닫으면 사라짐
+ */
+let translationJobsQueue = Promise.resolve();
+
+/**
+ * 작업 기록 키 (해시 제외 URL)
+ * @param {string} url
+ * @returns {string}
+ */
+function getJobKey(url) {
+  return typeof url === 'string' ? url.split('#')[0] : '';
+}
+
+/**
+ * 작업 기록 수정 (읽기-쓰기가 겹치지 않도록 순서대로 처리)
+ * @param {(jobs: Object) => boolean|void} mutate - jobs를 직접 수정, false를 반환하면 저장하지 않음
+ * @returns {Promise<void>}
+ */
+function updateTranslationJobs(mutate) {
+  translationJobsQueue = translationJobsQueue.then(async () => {
+    const result = await chrome.storage.session.get(TRANSLATION_JOBS_KEY);
+    const jobs = result[TRANSLATION_JOBS_KEY] || {};
+    if (mutate(jobs) === false) return;
+
+    // 오래된 기록부터 정리
+    const keys = Object.keys(jobs);
+    if (keys.length > MAX_TRANSLATION_JOBS) {
+      keys.sort((a, b) => (jobs[a].updatedAt || 0) - (jobs[b].updatedAt || 0))
+        .slice(0, keys.length - MAX_TRANSLATION_JOBS)
+        .forEach((key) => delete jobs[key]);
+    }
+    await chrome.storage.session.set({ [TRANSLATION_JOBS_KEY]: jobs });
+  }).catch((error) => {
+    logWarn('TRANSLATION_JOB_SAVE_ERROR', '번역 작업 기록 저장 실패', {}, error);
+  });
+  return translationJobsQueue;
+}
+
+/**
+ * URL의 중단된 작업
+ * @param {string} url
+ * @returns {Promise<Object|null>}
+ */
+async function getInterruptedJob(url) {
+  await translationJobsQueue;
+  const result = await chrome.storage.session.get(TRANSLATION_JOBS_KEY);
+  const job = (result[TRANSLATION_JOBS_KEY] || {})[getJobKey(url)];
+  return job && job.state === 'interrupted' ? job : null;
+}
+
+/**
+ * 진행 보고로 작업 기록 갱신
+ * - 번역 중: 기록 생성/갱신 / 완료·원본 복원: 삭제 / 오류·예산 초과 일시 중지: 중단으로 표시
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} data - content script 진행 데이터
+ * @param {{startedAt: number, options: Object}|null} job - content script 작업 정보 (API Key 제외)
+ */
+function recordTranslationJob(tab, data, job) {
+  const key = getJobKey(tab.url);
+  const state = data ? data.state : null;
+  if (!key || !state || state === 'inactive') return;
+
+  void updateTranslationJobs((jobs) => {
+    if (state === 'completed' || state === 'restored') {
+      if (!jobs[key]) return false;
+      delete jobs[key];
+      return true;
+    }
+    if (state === 'error' || state === 'paused') {
+      if (!jobs[key]) return false;
+      jobs[key] = { ...jobs[key], state: 'interrupted', updatedAt: Date.now() };
+      return true;
+    }
+    if (state !== 'translating' || !job) return false;
+    jobs[key] = {
+      url: key,
+      tabId: tab.id,
+      state: 'translating',
+      startedAt: job.startedAt,
+      options: job.options,
+      totalTexts: data.totalTexts || 0,
+      translatedCount: data.translatedCount || 0,
+      batchCount: data.batchCount || 0,
+      batchesDone: data.batchesDone || 0,
+      updatedAt: Date.now()
+    };
+    return true;
+  });
+}
+
+/**
+ * 탭의 진행 중 작업을 중단으로 표시 (새로고침/이동/닫힘으로 content script가 사라짐)
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+function interruptTabJobs(tabId) {
+  return updateTranslationJobs((jobs) => {
+    let changed = false;
+    Object.values(jobs).forEach((job) => {
+      if (job.tabId !== tabId || job.state !== 'translating') return;
+      job.state = 'interrupted';
+      job.updatedAt = Date.now();
+      changed = true;
+      logInfo('TRANSLATION_JOB_INTERRUPTED', '번역 작업 중단', { tabId, done: job.translatedCount, total: job.totalTexts });
+    });
+    return changed;
+  });
+}
+
+/**
+ * 중단된 작업 이어서 번역
+ * - 작업 기록의 설정(모델, 배치, 대상 언어 등)을 그대로 사용, API Key만 현재 설정에서 가져옴
+ * - 이미 번역된 단위는 캐시에서 바로 적용되고 남은 단위만 API 호출 (resumeFrom: 원래 작업 시작 시각)
+ * @param {number} tabId
+ * @param {Object} job - 작업 기록
+ * @param {string} apiKey
+ */
+async function resumeTranslationJob(tabId, job, apiKey) {
+  await chrome.tabs.sendMessage(tabId, {
+    ...job.options,
+    action: 'translateFullPage',
+    apiKey,
+    resumeFrom: job.startedAt
+  });
+  logInfo('TRANSLATION_JOB_RESUME', '중단된 번역 이어서 시작', {
+    tabId,
+    done: job.translatedCount,
+    total: job.totalTexts,
+    batches: `${job.batchesDone}/${job.batchCount}`
+  });
+  notifyTranslationStarted(tabId);
+}
+
+/**
+ * side panel 이어서 번역 버튼
+ * @param {number} tabId
+ * @returns {Promise<{success: boolean, useCache?: boolean, error?: string}>}
+ */
+async function resumeTranslationJobForTab(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const job = await getInterruptedJob(tab.url);
+  if (!job) {
+    return { success: false, error: '이어서 번역할 작업이 없습니다.' };
+  }
+  const { apiKey, siteRules } = await chrome.storage.local.get(['apiKey', 'siteRules']);
+  if (!apiKey) {
+    return { success: false, error: '먼저 설정에서 API Key를 입력해주세요.' };
+  }
+  const siteRule = WPT.SiteRules.findRule(siteRules, new URL(tab.url).hostname.toLowerCase());
+  if (siteRule && siteRule.mode === 'never') {
+    return { success: false, error: '이 사이트는 사이트별 규칙에서 번역 안 함으로 설정되어 있습니다.' };
+  }
+
+  await ensureContentScript(tabId);
+  await resumeTranslationJob(tabId, job, apiKey);
+  return { success: true, useCache: job.options ? job.options.useCache !== false : true };
+}
+
+// ===== 툴바 배지 =====
+
+/**
+ * 탭별 번역 상태 배지
+ * - 번역 중: 진행률(%) / 완료: ✓ / 실패(번역 오류 또는 실패한 배치 있음): ! / 중단된 작업(이어서 번역 가능): ↻
+ * - 사용 예산 초과로 일시 중지: $ (제목에 사유 표시)
+ * - 마우스를 올리면 번역 개수와 실패 배치 수를 제목으로 표시
+ * @param {number} tabId
+ * @param {Object|null} data - content script 진행 데이터 (side panel Port와 동일), null이면 배지 제거
+ */
+function updateBadge(tabId, data) {
+  const state = data ? data.state : null;
+  const total = (data && data.totalTexts) || 0;
+  const done = (data && data.translatedCount) || 0;
+  const failedBatches = data && Array.isArray(data.batches)
+    ? data.batches.filter((batch) => batch && batch.status === 'failed').length
+    : 0;
+
+  let text = '';
+  let color = BADGE_COLORS.progress;
+  let title = ACTION_TITLE;
+
+  if (state === 'translating') {
+    const percent = total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0;
+    text = `${percent}%`;
+    title = `번역 중 ${done}/${total}`;
+  } else if (state === 'error' || (state === 'completed' && failedBatches > 0)) {
+    text = '!';
+    color = BADGE_COLORS.error;
+    title = state === 'error'
+      ? '번역 실패 - 사이드 패널에서 로그를 확인하세요'
+      : `번역 완료 ${done}/${total} · 실패한 배치 ${failedBatches}개`;
+  } else if (state === 'completed') {
+    text = '✓';
+    color = BADGE_COLORS.done;
+    title = `번역 완료 ${done}/${total}`;
+  } else if (state === 'paused') {
+    text = '$';
+    color = BADGE_COLORS.interrupted;
+    title = `${data.pauseReason || '사용 예산 초과로 번역 일시 중지'} (${done}/${total})`;
+  } else if (state === 'interrupted') {
+    text = '↻';
+    color = BADGE_COLORS.interrupted;
+    title = `번역 중단됨 ${done}/${total} - 사이드 패널이나 단축키(Alt+Shift+T)로 이어서 번역`;
+  }
+
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+  chrome.action.setTitle({ tabId, title }).catch(() => {});
+  if (text) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  }
+}
+
+/**
+ * 최상위 프레임의 진행 보고 → 툴바 배지
+ */
+chrome.runtime.onMessage.addListener((msg, sender) => {
+  if (msg?.type !== 'TRANSLATION_PROGRESS' || !sender.tab || sender.frameId) return false;
+  updateBadge(sender.tab.id, msg.data);
+  recordTranslationJob(sender.tab, msg.data, msg.job);
+  return false;
+});
+
+// ===== 사용량 집계 =====
+
+let usageStatsQueue = Promise.resolve();
+
+/**
+ * 날짜 키 (로컬 시간 YYYY-MM-DD, content/usage.js getDayKey와 동일하게 유지)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getUsageDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addUsage(target, usage) {
+  const next = target || { promptTokens: 0, completionTokens: 0, cost: 0, requests: 0 };
+  next.promptTokens += usage.promptTokens || 0;
+  next.completionTokens += usage.completionTokens || 0;
+  next.cost += usage.cost || 0;
+  next.requests += 1;
+  return next;
+}
+
+/**
+ * API 요청 1건의 사용량을 일별/사이트별로 누적 (chrome.storage.local usageStats)
+ * - 형식: { days: { 'YYYY-MM-DD': 사용량 }, domains: { 호스트: { ...사용량, lastUsedAt } } }
+ * - 여러 탭/프레임의 보고를 순서대로 기록, 90일 지난 날짜와 오래 쓰지 않은 사이트(200개 초과분)는 정리
+ * @param {string} hostname
+ * @param {{promptTokens: number, completionTokens: number, cost: number}} usage
+ * @returns {Promise<void>}
+ */
+function recordUsage(hostname, usage) {
+  usageStatsQueue = usageStatsQueue.then(async () => {
+    const result = await chrome.storage.local.get(USAGE_STATS_KEY);
+    const stats = result[USAGE_STATS_KEY] || {};
+    const days = stats.days || {};
+    const domains = stats.domains || {};
+    const today = getUsageDayKey();
+
+    days[today] = addUsage(days[today], usage);
+    if (hostname) {
+      domains[hostname] = { ...addUsage(domains[hostname], usage), lastUsedAt: Date.now() };
+    }
+
+    const oldest = getUsageDayKey(new Date(Date.now() - USAGE_DAYS_KEPT * 24 * 60 * 60 * 1000));
+    Object.keys(days).forEach((day) => {
+      if (day < oldest) delete days[day];
+    });
+    const hosts = Object.keys(domains);
+    if (hosts.length > USAGE_MAX_DOMAINS) {
+      hosts.sort((a, b) => (domains[a].lastUsedAt || 0) - (domains[b].lastUsedAt || 0))
+        .slice(0, hosts.length - USAGE_MAX_DOMAINS)
+        .forEach((host) => delete domains[host]);
+    }
+
+    await chrome.storage.local.set({ [USAGE_STATS_KEY]: { days, domains } });
+  }).catch((error) => {
+    logWarn('USAGE_RECORD_ERROR', '사용량 기록 실패', { hostname }, error);
+  });
+  return usageStatsQueue;
+}
+
+/**
+ * content script의 API 사용량 보고 (사이트는 탭 주소 기준, iframe 요청도 페이지 사이트로 집계)
+ */
+chrome.runtime.onMessage.addListener((msg, sender) => {
+  if (msg?.type !== 'USAGE_RECORD' || !msg.usage) return false;
+  let hostname = msg.hostname || '';
+  try {
+    if (sender.tab && sender.tab.url) hostname = new URL(sender.tab.url).hostname;
+  } catch (_) {
+    // 탭 주소를 알 수 없으면 보고한 프레임 기준
+  }
+  void recordUsage(hostname.toLowerCase(), msg.usage);
+  logDebug('USAGE_RECORD', 'API 사용량 기록', { hostname, purpose: msg.purpose, model: msg.model, ...msg.usage });
+  return false;
+});
+
+// ===== 단축키 =====
+
+/**
+ * 단축키 번역: side panel 번역 버튼과 같은 설정으로 캐시 모드 번역 (중단된 작업이 있으면 이어서 번역)
+ * @param {chrome.tabs.Tab} tab
+ */
+async function translateTabFromCommand(tab) {
+  const settings = await chrome.storage.local.get(TRANSLATE_SETTING_KEYS);
+  if (!settings.apiKey) {
+    updateBadge(tab.id, { state: 'error' });
+    chrome.action.setTitle({ tabId: tab.id, title: 'API Key를 먼저 설정해주세요 (사이드 패널 → 설정)' }).catch(() => {});
+    return;
+  }
+
+  const siteRule = WPT.SiteRules.findRule(settings.siteRules, new URL(tab.url).hostname.toLowerCase());
+  if (siteRule && siteRule.mode === 'never') {
+    logDebug('COMMAND_TRANSLATE_SKIP', '사이트 규칙: 번역 안 함', { tabId: tab.id, domain: siteRule.domain });
+    return;
+  }
+
+  await ensureContentScript(tab.id);
+  const current = await requestTab(tab.id, { action: 'getTranslationState' });
+  if (current?.state?.state === 'translating') {
+    logDebug('COMMAND_TRANSLATE_SKIP', '이미 번역 중', { tabId: tab.id });
+    return;
+  }
+
+  const job = await getInterruptedJob(tab.url);
+  if (job) {
+    await resumeTranslationJob(tab.id, job, settings.apiKey);
+    return;
+  }
+
+  await chrome.tabs.sendMessage(tab.id, buildTranslateMessage(settings, new URL(tab.url).hostname.toLowerCase(), true));
+  notifyTranslationStarted(tab.id);
+}
+
+/**
+ * 단축키 원문 함께 보기 전환: 사이트별 설정 저장 후 페이지에 즉시 반영
+ * (side panel handleBilingualToggle과 같은 저장 형식)
+ * @param {chrome.tabs.Tab} tab
+ */
+async function toggleBilingualFromCommand(tab) {
+  const site = new URL(tab.url).hostname;
+  const { bilingualSites = {} } = await chrome.storage.local.get('bilingualSites');
+  const enabled = !bilingualSites[site];
+  if (enabled) {
+    bilingualSites[site] = true;
+  } else {
+    delete bilingualSites[site];
+  }
+  await chrome.storage.local.set({ bilingualSites });
+  await chrome.tabs.sendMessage(tab.id, { action: 'setBilingual', enabled }).catch(() => {});
+  logInfo('COMMAND_BILINGUAL', '단축키로 원문 함께 보기 전환', { tabId: tab.id, site, enabled });
+}
+
+/**
+ * 단축키 처리 (manifest commands)
+ * - translate-page: 현재 페이지 번역 / restore-original: 원본 보기 / toggle-bilingual: 원문 함께 보기 전환
+ * - http/https 페이지에서만 동작
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id || !/^https?:/.test(tab.url || '')) return;
+  logInfo('COMMAND', '단축키 실행', { command, tabId: tab.id });
+
+  try {
+    if (command === 'translate-page') {
+      await translateTabFromCommand(tab);
+    } else if (command === 'restore-original') {
+      await chrome.tabs.sendMessage(tab.id, { action: 'restoreOriginal' });
+    } else if (command === 'toggle-bilingual') {
+      await toggleBilingualFromCommand(tab);
+    }
+  } catch (error) {
+    logError('COMMAND_FAILED', '단축키 실행 실패', { command, tabId: tab.id }, error);
+  }
+});
+
 // ===== 메시지 핸들러 =====
 
+/**
+ * 하위 프레임 진행 상태를 같은 탭의 최상위 프레임으로 중계
+ * (교차 출처 iframe은 sidepanel Port에 직접 연결하지 않음)
+ */
+chrome.runtime.onMessage.addListener((msg, sender) => {
+  if (msg?.type !== 'FRAME_PROGRESS' || !sender.tab || !sender.frameId) return false;
+  chrome.tabs.sendMessage(sender.tab.id, {
+    action: 'frameProgress',
+    frameId: sender.frameId,
+    data: msg.data
+  }, { frameId: 0 }).catch(() => {});
+  return false;
+});
+
+/**
+ * content script 번역 캐시 요청 (content/cache.js CACHE_REQUEST)
+ * - 출처는 요청한 프레임 URL로 정하므로 페이지가 다른 사이트 캐시를 조회·삭제할 수 없음
+ */
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type !== WPT.Cache.CACHE_REQUEST || !sender.url) return false;
+  let context;
+  try {
+    context = { origin: new URL(sender.url).origin, url: sender.url.split('#')[0] };
+  } catch (_) {
+    return false;
+  }
+  WPT.Cache.handleRequest(msg.method, msg.args, context).then((result) => {
+    sendResponse({ success: true, result });
+  }).catch((error) => {
+    logWarn('CACHE_REQUEST_ERROR', '캐시 요청 처리 실패', { method: msg.method, origin: context.origin }, error);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true; // 비동기 응답
+});
+
+/**
+ * content script LLM 일반 요청 (content/llm.js LLM_REQUEST)
+ * - 확장 프로그램 출처에서 호출해야 페이지의 CORS/사설망 접근 제한 없이 로컬 서버(Ollama, LM Studio 등)에 닿음
+ */
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type !== WPT.Llm.LLM_REQUEST || !sender.tab) return false;
+  WPT.Llm.handleRequest(msg, sender.url).then((response) => {
+    if (!response.success) {
+      logDebug('LLM_REQUEST_ERROR', 'LLM 요청 실패', { tabId: sender.tab.id, status: response.error.status || null, error: response.error.message });
+    }
+    sendResponse(response);
+  });
+  return true; // 비동기 응답
+});
+
+/**
+ * content script LLM 스트리밍 요청 (content/llm.js LLM_STREAM_PORT, Port 하나가 요청 하나)
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== WPT.Llm.LLM_STREAM_PORT || !port.sender?.tab) return;
+  WPT.Llm.handleStreamPort(port, port.sender.url);
+});
+
 /**
  * sidepanel에서 전체 IndexedDB 캐시 상태 조회 요청을 받음
- * background는 확장 프로그램 레벨에서 전체 캐시에 접근 가능
+ * - 모든 사이트의 캐시가 background 출처 DB에 있으므로 출처별 카운터(stats 저장소)만 합산
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getTotalCacheStatus') {
-    getTotalCacheStatusFromDB().then((result) => {
+    WPT.Cache.getTotalStatus().then((result) => {
       sendResponse({ success: true, count: result.count, size: result.size });
     }).catch((error) => {
       logError('TOTAL_CACHE_STATUS_ERROR', '전체 캐시 상태 조회 실패', {}, error);
@@ -197,6 +901,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // 비동기 응답
   }
 
+  // side panel 이어서 번역 (작업 기록은 background가 관리)
+  if (request.action === 'resumeTranslationJob') {
+    resumeTranslationJobForTab(request.tabId).then(sendResponse).catch((error) => {
+      logError('TRANSLATION_JOB_RESUME_ERROR', '이어서 번역 시작 실패', { tabId: request.tabId }, error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 비동기 응답
+  }
+
   // GEO 검사: 봇 시뮬레이션용 HTML Fetch
   if (request.action === 'FETCH_HTML_FOR_BOT_AUDIT') {
     const url = request.url;
@@ -233,75 +946,6 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
-/**
- * IndexedDB에서 전체 캐시 상태 조회
- * @returns {Promise<{count: number, size: number}>}
- */
-async function getTotalCacheStatusFromDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('TranslationCache', 1);
-
-    request.onsuccess = (event) => {
-      const db = event.target.result;
-
-      try {
-        // Object store 존재 여부 확인
-        if (!db.objectStoreNames.contains('translations')) {
-          db.close();
-          logDebug('TOTAL_CACHE_NOT_FOUND', 'Object store "translations"가 없음 (캐시 미생성)');
-          resolve({ count: 0, size: 0 });
-          return;
-        }
-
-        const transaction = db.transaction(['translations'], 'readonly');
-        const store = transaction.objectStore('translations');
-        const getAllRequest = store.getAll();
-
-        getAllRequest.onsuccess = () => {
-          const items = getAllRequest.result;
-          let totalSize = 0;
-
-          items.forEach(item => {
-            totalSize += JSON.stringify(item).length;
-          });
-
-          db.close();
-          logDebug('TOTAL_CACHE_STATUS_SUCCESS', '전체 IndexedDB 캐시 상태 조회 성공', {
-            count: items.length,
-            sizeBytes: totalSize
-          });
-          resolve({ count: items.length, size: totalSize });
-        };
-
-        getAllRequest.onerror = () => {
-          db.close();
-          const errorMsg = getAllRequest.error?.message || '캐시 조회 실패';
-          reject(new Error(errorMsg));
-        };
-      } catch (error) {
-        db.close();
-        reject(error);
-      }
-    };
-
-    request.onerror = () => {
-      const errorMsg = request.error?.message || 'IndexedDB 열기 실패';
-      reject(new Error(errorMsg));
-    };
-
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      logDebug('TOTAL_CACHE_UPGRADE', 'IndexedDB 업그레이드');
-
-      // Object store가 없으면 생성
-      if (!db.objectStoreNames.contains('translations')) {
-        db.createObjectStore('translations', { keyPath: 'hash' });
-        logDebug('TOTAL_CACHE_STORE_CREATED', 'Object store "translations" 생성');
-      }
-    };
-  });
-}
-
 // ===== Side Panel 관리 =====
 
 /**
@@ -7,6 +7,10 @@
  * - 배치 처리 (기본 50개 문장, 동시 3개 배치)
  * - WeakMap 기반 원본 텍스트 복원
  * - Port를 통한 실시간 진행 상태 푸시
+ * - MutationObserver 기반 동적 콘텐츠 실시간 번역 (페이지 따라가기)
+ * - Shadow DOM / iframe 포함 번역 (교차 출처 iframe은 프레임별 실행 후 진행 상태 합산)
+ * - 원문 함께 보기 (번역 블록 아래 원문 표시, API 재호출 없이 전환)
+ * - 블록 검토 도구 (마우스 오버 원문 표시, 블록 단위 재번역/오류 표시)
  *
  * 아키텍처:
  * - 번역 상태: inactive → translating → completed → restored
@@ -22,14 +26,26 @@
 if (typeof window.__WPT_INITIALIZED !== 'undefined') {
   // Content script 이미 초기화됨 - 재실행 방지
   console.log('[WPT] Content script already initialized, skipping reinit');
+} else if (window !== window.top && (() => { try { return !!window.frameElement; } catch (_) { return false; } })()) {
+  // 상위 문서에서 접근 가능한 동일 출처 iframe: 상위 프레임이 직접 수집/번역/복원하므로 대기만 함
+  window.__WPT_INITIALIZED = true;
 } else {
   // 초기화 플래그 설정
   window.__WPT_INITIALIZED = true;
 
 // ===== 전역 상태 변수 (IIFE 내부) =====
-let translationState = 'inactive'; // 'inactive', 'translating', 'completed', 'restored'
+let translationState = 'inactive'; // 'inactive', 'translating', 'completed', 'restored', 'cancelled'
 let originalTexts = new WeakMap(); // 원본 텍스트 저장 (GC 안전)
 let translatedElements = new Set(); // 번역된 요소 추적
+let originalAttributes = new Map(); // 번역된 속성 원본 (요소 → { 속성명: 원본 값 })
+let originalStructures = new Map(); // 인라인 서식 재배치 전 자식 목록 (요소 → Node[])
+let translatedBlocks = new Map(); // 번역된 블록 (요소 → { original: 원문, unit: 번역 단위 }, 원문 함께 보기/블록 검토용)
+let liveSettings = null; // 실시간 번역(페이지 따라가기) 설정 { apiKey, model, batchSize, useCache }
+let lazyJob = null; // 지연 번역: 화면에 다가오면 번역할 배치 { batches, tracker, cacheOffset, apiKey, model, useCache, running }
+let currentTargetLanguage = 'ko'; // 번역 대상 언어 코드 (WPT.Language, 번역 시작 시 요청 값으로 설정)
+let currentCacheModelPolicy = 'current'; // 캐시 적중 모델 범위 ('current': 현재 모델 계열만, 'any': 모든 모델)
+let currentJob = null; // 진행 중인 전체 번역 작업 { startedAt, options } (background 작업 기록용, API Key 제외)
+let jsonProtocolDisabled = false; // 서버가 JSON 형식 요청(response_format)을 거부하면 이 페이지에서는 [n] 줄 형식 사용
 
 // ===== IndexedDB 캐시 설정 =====
 const DB_NAME = 'TranslationCache';
@@ -39,6 +55,9 @@ const DEFAULT_TTL_MINUTES = 525600; // 기본 365일(1년)을 분 단위로 표
 const API_RETRY_MAX_ATTEMPTS = 3;
 const API_RETRY_BASE_DELAY_MS = 800;
 const API_RETRY_BACKOFF_FACTOR = 2;
+const JSON_REPAIR_ATTEMPTS = 1; // JSON 응답에서 누락/잘못된 항목만 다시 요청하는 횟수
+// 서버가 JSON 형식 요청 자체를 지원하지 않을 때의 오류 메시지 (OpenAI 호환 response_format, Gemini responseSchema/responseMimeType)
+const RESPONSE_FORMAT_UNSUPPORTED_PATTERN = /response_format|json_schema|structured output|response_?schema|response_?mime_?type/i;
 
 // ===== 로깅 시스템 =====
 // debugLog OFF: 모든 로그 차단 / ON: 모든 로그 출력
@@ -165,7 +184,19 @@ let progressStatus = {
   activeMs: 0,            // 경과 시간 (ms)
   originalTitle: '',      // 번역 전 페이지 제목
   translatedTitle: '',    // 번역 후 페이지 제목
-  previewText: ''         // 히스토리용 번역 프리뷰
+  previewText: '',        // 히스토리용 번역 프리뷰
+  liveActive: false,      // 실시간 번역 감시 중 여부
+  liveCount: 0,           // 실시간 번역으로 추가 처리된 텍스트 수
+  attributeTotal: 0,      // 번역 대상 속성 수 (placeholder, title, alt 등)
+  attributeCount: 0,      // 번역 적용된 속성 수
+  skippedCount: 0,        // 번역 불필요로 건너뛴 수 (이미 대상 언어, 숫자/URL 등)
+  glossaryViolations: 0,  // 용어집을 따르지 않은 블록 수
+  resumed: false,         // 중단된 작업을 이어서 번역 중인지
+  usage: null,            // 이 작업의 API 사용량 { promptTokens, completionTokens, cost, requests }
+  pauseReason: '',        // 일시 중지(paused) 사유 (사용 예산 초과)
+  splitCount: 0,          // 길어서 나눠 번역한 단위 수
+  lazyPending: 0,         // 지연 번역: 스크롤해서 화면에 다가오면 번역할 단위 수
+  protocolStats: createProtocolStats() // 배치 응답 처리 통계 (JSON 재요청, fallback 횟수)
 };
 
 // ===== 산업군 컨텍스트 분석 =====
@@ -198,6 +229,16 @@ let progressStatus = {
  */
 let port = null;
 
+// ===== 프레임 구분 =====
+/**
+ * all_frames 주입 시 프레임 역할
+ * - 최상위 프레임: sidepanel과 통신하고 하위 프레임 진행 상태를 합산
+ * - 교차 출처 iframe: 스스로 번역하고 진행 상태를 background 경유로 최상위 프레임에 전달
+ * (동일 출처 iframe은 상위 프레임이 직접 순회하므로 초기화 단계에서 제외됨)
+ */
+const IS_TOP_FRAME = window === window.top;
+const frameProgress = new Map(); // frameId → 하위 프레임의 마지막 진행 상태 (최상위 프레임 전용)
+
 // 부트스트랩에서 WPT 네임스페이스를 노출한다. 부트스트랩 미주입 시에도 기존 동작 유지되도록 안전하게 접근한다.
 window.WPT = window.WPT || {};
 const WPT = window.WPT;
@@ -212,7 +253,12 @@ const CONST = (WPT.Constants && WPT.Constants.PORT_NAMES && WPT.Constants.PORT_M
     GET_TRANSLATION_STATE: 'getTranslationState',
     GET_TRANSLATED_TITLE: 'getTranslatedTitle',
     GET_CACHE_STATUS: 'getCacheStatus',
-    CLEAR_CACHE_FOR_DOMAIN: 'clearCacheForDomain'
+    CLEAR_CACHE_FOR_DOMAIN: 'clearCacheForDomain',
+    FRAME_PROGRESS: 'frameProgress',
+    SET_BILINGUAL: 'setBilingual',
+    TRANSLATE_SELECTION: 'translateSelection',
+    EXPORT_CACHE: 'exportCache',
+    IMPORT_CACHE: 'importCache'
   }
 };
 // 진행 모듈이 아직 없다면 안전한 no-op 셈
@@ -235,7 +281,7 @@ if (!WPT.Progress) {
  * sidepanel이 열릴 때마다 연결되며, 현재 상태를 즉시 푸시
  */
 chrome.runtime.onConnect.addListener((p) => {
-  if (p.name === CONST.PORT_NAMES.PANEL) {
+  if (p.name === CONST.PORT_NAMES.PANEL && IS_TOP_FRAME) {
     port = p;
     log('Side panel connected');
 
@@ -250,13 +296,14 @@ chrome.runtime.onConnect.addListener((p) => {
           reason: msg.reason
         });
 
-        // 현재 진행 중인 번역 작업 중단
-        if (translationState.state === 'translating') {
-          translationState.state = 'cancelled';
+        // 현재 진행 중인 번역 작업 중단 (배치 루프가 다음 배치 전에 멈춤, 지연 번역 대기도 해제)
+        if (translationState === 'translating') {
+          translationState = 'cancelled';
+          stopLazyTranslation();
           logInfo('TRANSLATION_CANCELLED', '번역 작업 취소됨', {
             cancelReason: msg.reason,
-            translatedCount: translationState.translatedCount,
-            totalTexts: translationState.totalTexts
+            translatedCount: progressStatus.translatedCount,
+            totalTexts: progressStatus.totalTexts
           });
         }
       }
@@ -283,7 +330,60 @@ chrome.runtime.onConnect.addListener((p) => {
  * 첫 번째 배치 시작 시 자동 호출
  */
 // 진행 상태 getter를 Progress 모듈에 연결
-WPT.Progress && WPT.Progress.setStatusGetter && WPT.Progress.setStatusGetter(() => progressStatus);
+WPT.Progress && WPT.Progress.setStatusGetter && WPT.Progress.setStatusGetter(() => (IS_TOP_FRAME ? getAggregatedProgress() : progressStatus));
+
+// 최상위 프레임은 진행률을 background에 보고 (side panel 없이도 툴바 배지에 표시, 새로고침 후 이어하기용 작업 기록)
+if (IS_TOP_FRAME && WPT.Progress && WPT.Progress.setReporter) {
+  WPT.Progress.setReporter((data) => {
+    chrome.runtime.sendMessage({ type: 'TRANSLATION_PROGRESS', data, job: currentJob }).catch(() => {});
+  });
+}
+
+// 하위 프레임은 sidepanel Port 대신 background 중계로 진행 상태 전달
+if (!IS_TOP_FRAME && WPT.Progress && WPT.Progress.setPort) {
+  WPT.Progress.setPort({
+    postMessage(msg) {
+      chrome.runtime.sendMessage({ type: 'FRAME_PROGRESS', data: msg.data }).catch(() => {});
+    }
+  });
+}
+
+/**
+ * 최상위 프레임 상태에 하위 프레임 진행 상태 합산
+ * - 텍스트/번역/캐시 수, API 사용량, 배치 응답 처리 통계만 합산, 상태와 배치 정보는 최상위 프레임 기준
+ * @returns {Object} sidepanel로 보낼 진행 상태
+ */
+function getAggregatedProgress() {
+  if (frameProgress.size === 0) return progressStatus;
+  const merged = { ...progressStatus };
+  frameProgress.forEach((data) => {
+    merged.totalTexts += data.totalTexts || 0;
+    merged.translatedCount += data.translatedCount || 0;
+    merged.cachedCount += data.cachedCount || 0;
+    merged.liveCount += data.liveCount || 0;
+    merged.attributeTotal += data.attributeTotal || 0;
+    merged.attributeCount += data.attributeCount || 0;
+    merged.skippedCount += data.skippedCount || 0;
+    merged.glossaryViolations += data.glossaryViolations || 0;
+    merged.splitCount += data.splitCount || 0;
+    merged.lazyPending += data.lazyPending || 0;
+    if (data.usage) {
+      const usage = merged.usage || (WPT.Usage ? WPT.Usage.createUsage() : { promptTokens: 0, completionTokens: 0, cost: 0, requests: 0 });
+      merged.usage = {
+        promptTokens: usage.promptTokens + (data.usage.promptTokens || 0),
+        completionTokens: usage.completionTokens + (data.usage.completionTokens || 0),
+        cost: usage.cost + (data.usage.cost || 0),
+        requests: usage.requests + (data.usage.requests || 0)
+      };
+    }
+    if (data.protocolStats) {
+      const stats = { ...merged.protocolStats };
+      Object.keys(stats).forEach((key) => { stats[key] += data.protocolStats[key] || 0; });
+      merged.protocolStats = stats;
+    }
+  });
+  return merged;
+}
 
 // ===== 메시지 리스너 =====
 /**
@@ -297,22 +397,48 @@ WPT.Progress && WPT.Progress.setStatusGetter && WPT.Progress.setStatusGetter(()
  * - getTranslatedTitle: 번역된 제목 조회
  * - clearAllCache: 전역 캐시 비우기
  * - clearPageCache: 페이지 캐시 비우기
+ * - exportCache / importCache: 사이트 캐시 내보내기 / 가져오기
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // 하위 프레임: 번역/복원만 수행하고 응답은 최상위 프레임에 맡김
+  if (!IS_TOP_FRAME) {
+    if (request.action === CONST.ACTIONS.TRANSLATE_FULL_PAGE) {
+      handleTranslateFullPage(request.apiKey, request.model, request.batchSize, request.concurrency, request.useCache, getTranslateOptions(request));
+    } else if (request.action === CONST.ACTIONS.RESTORE_ORIGINAL) {
+      handleRestoreOriginal();
+    } else if (request.action === CONST.ACTIONS.SET_BILINGUAL) {
+      handleSetBilingual(request.enabled);
+    }
+    return false;
+  }
+
   // PING: Content script 준비 상태 확인
   if (request.type === CONST.ACTIONS.PING) {
     sendResponse({ ok: true });
     return true;
   }
 
-  if (request.action === CONST.ACTIONS.TRANSLATE_FULL_PAGE) {
-    handleTranslateFullPage(request.apiKey, request.model, request.batchSize, request.concurrency, request.useCache);
+  if (request.action === CONST.ACTIONS.FRAME_PROGRESS) {
+    // background가 중계한 하위 프레임 진행 상태
+    const data = request.data || {};
+    if (data.state === 'translating' || data.state === 'completed') {
+      frameProgress.set(request.frameId, data);
+    } else {
+      frameProgress.delete(request.frameId);
+    }
+    WPT.Progress.pushProgress();
+    sendResponse({ success: true });
+  } else if (request.action === CONST.ACTIONS.TRANSLATE_FULL_PAGE) {
+    handleTranslateFullPage(request.apiKey, request.model, request.batchSize, request.concurrency, request.useCache, getTranslateOptions(request));
     sendResponse({ success: true });
   } else if (request.action === CONST.ACTIONS.RESTORE_ORIGINAL) {
     handleRestoreOriginal();
     sendResponse({ success: true });
+  } else if (request.action === CONST.ACTIONS.SET_BILINGUAL) {
+    handleSetBilingual(request.enabled);
+    sendResponse({ success: true });
   } else if (request.action === CONST.ACTIONS.GET_TRANSLATION_STATE) {
-    sendResponse({ state: progressStatus });
+    sendResponse({ state: getAggregatedProgress() });
   } else if (request.action === CONST.ACTIONS.GET_TRANSLATED_TITLE) {
     sendResponse({ title: document.title });
   } else if (request.action === CONST.ACTIONS.GET_CACHE_STATUS) {
@@ -357,6 +483,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     })();
     return true; // 비동기 응답
 
+  } else if (request.action === CONST.ACTIONS.EXPORT_CACHE) {
+    // Sidepanel 캐시 내보내기: 현재 사이트 항목 목록 (파일 형식은 sidepanel이 작성)
+    (WPT.Cache && WPT.Cache.exportRecords ? WPT.Cache.exportRecords() : Promise.reject(new Error('not_supported'))).then(records => {
+      logInfo('CACHE_EXPORT', '캐시 내보내기', { count: records.length });
+      sendResponse({ success: true, domain: window.location.origin, records });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 비동기 응답
+  } else if (request.action === CONST.ACTIONS.IMPORT_CACHE) {
+    // Sidepanel 캐시 가져오기: 파일에서 읽은 항목을 나눠서 전달받아 병합
+    (WPT.Cache && WPT.Cache.importRecords ? WPT.Cache.importRecords(request.records, request.policy) : Promise.reject(new Error('not_supported'))).then(result => {
+      logInfo('CACHE_IMPORT', '캐시 가져오기', { policy: request.policy, ...result });
+      sendResponse({ success: true, ...result });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // 비동기 응답
   } else if (request.action === CONST.ACTIONS.CLEAR_CACHE_FOR_DOMAIN) {
     // Sidepanel에서 현재 도메인의 캐시 삭제 요청
     (WPT.Cache && WPT.Cache.handleClearCacheForDomain ? WPT.Cache.handleClearCacheForDomain() : Promise.resolve({ success: false, error: 'not_supported' })).then(result => {
@@ -380,6 +524,74 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // ===== 번역 메인 로직 =====
 
+/**
+ * 진행 중이던 전체 번역이 취소되었는지 (취소 요청 또는 번역 도중 원본 보기)
+ * @returns {boolean}
+ */
+function isTranslationCancelled() {
+  return translationState === 'cancelled' || translationState === 'restored';
+}
+
+/**
+ * 사이트 규칙이 '번역 안 함'인지 (전체/실시간 번역 모두 시작하지 않음)
+ * @returns {boolean}
+ */
+function isSiteTranslationBlocked() {
+  const rule = WPT.SiteRules ? WPT.SiteRules.getRule() : null;
+  return !!rule && rule.mode === 'never';
+}
+
+/**
+ * 번역 요청 메시지에서 부가 기능 옵션 추출
+ * @param {Object} request - TRANSLATE_FULL_PAGE 메시지
+ * @returns {{liveTranslate: boolean, lazyTranslate: boolean, preserveMarkup: boolean, bilingual: boolean, blockInspector: boolean, targetLanguage: string, cacheModelPolicy: string, resumeFrom: number}}
+ */
+function getTranslateOptions(request) {
+  return {
+    liveTranslate: !!request.liveTranslate,
+    lazyTranslate: !!request.lazyTranslate,
+    preserveMarkup: request.preserveMarkup !== false,
+    bilingual: !!request.bilingual,
+    blockInspector: !!request.blockInspector,
+    targetLanguage: WPT.Language ? WPT.Language.normalizeTarget(request.targetLanguage) : 'ko',
+    cacheModelPolicy: request.cacheModelPolicy === 'any' ? 'any' : 'current',
+    resumeFrom: Number(request.resumeFrom) > 0 ? Number(request.resumeFrom) : 0
+  };
+}
+
+/**
+ * 캐시 조회 조건 (모델 정책은 번역 시작 요청 기준)
+ * @param {string} model - 현재 번역 모델
+ * @returns {{model: string, modelPolicy: string}}
+ */
+function getCacheLookupOptions(model) {
+  return { model, modelPolicy: currentCacheModelPolicy };
+}
+
+/**
+ * 번역이 필요 없는 단위 제외 (로컬 판별, API 호출 없음)
+ * - 이미 대상 언어인 텍스트 (예: 한국어로 번역할 때 한글 문단)
+ * - 언어가 아닌 텍스트 (숫자, 날짜, 이모지, URL 등)
+ * @param {Array<string>} texts - 번역 단위 텍스트
+ * @param {Array<Object>} elements - 번역 단위 (texts와 같은 순서)
+ * @returns {{texts: Array<string>, elements: Array<Object>, skippedTarget: number, skippedNonLinguistic: number}}
+ */
+function skipUntranslatableTexts(texts, elements) {
+  const result = { texts: [], elements: [], skippedTarget: 0, skippedNonLinguistic: 0 };
+  texts.forEach((text, i) => {
+    const kind = WPT.Language ? WPT.Language.classifyText(text, currentTargetLanguage) : 'translate';
+    if (kind === 'target') {
+      result.skippedTarget++;
+    } else if (kind === 'nonLinguistic') {
+      result.skippedNonLinguistic++;
+    } else {
+      result.texts.push(text);
+      result.elements.push(elements[i]);
+    }
+  });
+  return result;
+}
+
 /**
  * 전체 페이지 번역 핸들러
  *
@@ -388,16 +600,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * 2. 캐시 확인 및 분류 (캐시 hit / miss)
  * 3. 대규모 변경 감지 (≥20% 변경 시 전면 재번역)
  * 4. 캐시 적용 (배치 단위로 DOM 업데이트)
- * 5. 신규 번역 처리 (병렬 API 호출 → 순차 DOM 적용)
+ * 5. 신규 번역 처리 (화면에 보이는 배치부터 병렬 API 호출 → 보낸 순서대로 DOM 적용)
  * 6. 완료 상태 업데이트
  *
- * @param {string} apiKey - OpenRouter API Key
+ * @param {string} apiKey - API Key (설정에서 고른 제공자)
  * @param {string} model - AI 모델 (예: openai/gpt-4o-mini)
- * @param {number} batchSize - 배치 크기 (기본 50)
+ * @param {number} batchSize - 배치 하나의 최대 텍스트 수 (기본 50, 배치는 모델 토큰 예산만큼 채움)
  * @param {number} concurrency - 동시 처리 개수 (기본 3)
  * @param {boolean} useCache - 캐시 사용 여부 (기본 true)
+ * @param {Object} [options] - 부가 기능 옵션 (getTranslateOptions 참고)
+ * @param {boolean} [options.liveTranslate=false] - 완료 후 동적 콘텐츠 실시간 번역 여부
+ * @param {boolean} [options.lazyTranslate=false] - 지연 번역: 화면과 근처 배치만 번역하고 나머지는 스크롤해서 다가올 때 번역
+ * @param {boolean} [options.preserveMarkup=true] - 링크/강조 등 인라인 서식 유지 여부
+ * @param {boolean} [options.bilingual=false] - 원문 함께 보기 여부 (사이트별 설정)
+ * @param {boolean} [options.blockInspector=false] - 블록 검토 도구 사용 여부
+ * @param {string} [options.targetLanguage='ko'] - 번역 대상 언어 코드
+ * @param {'current'|'any'} [options.cacheModelPolicy='current'] - 캐시 적중 모델 범위 (현재 모델 계열만 / 모든 모델)
+ * @param {number} [options.resumeFrom=0] - 중단된 작업 이어하기: 원래 작업 시작 시각 (ms)
+ *   이미 번역된 단위는 캐시에서 적용하고 남은 단위만 API 호출 (새로 번역 작업이면 이 시각 이후 저장된 번역만 사용)
  */
-async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrency = 3, useCache = true) {
+async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrency = 3, useCache = true, options = {}) {
+  const { liveTranslate = false, lazyTranslate = false, preserveMarkup = true, bilingual = false, blockInspector = false, targetLanguage = 'ko', cacheModelPolicy = 'current', resumeFrom = 0 } = options;
   // CONTENT_INIT 로깅
   const url = window.location.href;
   logInfo('CONTENT_INIT', '번역 시작', {
@@ -405,9 +628,48 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
     batchSize,
     concurrency,
     useCache,
-    model
+    liveTranslate,
+    lazyTranslate,
+    preserveMarkup,
+    bilingual,
+    blockInspector,
+    targetLanguage,
+    cacheModelPolicy,
+    model,
+    resumeFrom: resumeFrom || null
   });
 
+  // 사이트 규칙 '번역 안 함': 어떤 경로로 요청해도 시작하지 않음 (현재 페이지 상태 유지)
+  if (WPT.SiteRules) {
+    await WPT.SiteRules.load();
+    if (isSiteTranslationBlocked()) {
+      logInfo('SITE_RULE_NEVER', '사이트 규칙: 번역 안 함', { domain: WPT.SiteRules.getRule().domain });
+      return;
+    }
+  }
+
+  // 이후 프롬프트/캐시 키/실시간 번역/블록 재번역이 같은 대상 언어·캐시 정책을 사용
+  currentTargetLanguage = targetLanguage;
+  currentCacheModelPolicy = cacheModelPolicy;
+
+  // 작업 기록 (이어서 번역해도 시작 시각은 원래 작업 기준)
+  currentJob = {
+    startedAt: resumeFrom || Date.now(),
+    options: { model, batchSize, concurrency, useCache, liveTranslate, lazyTranslate, preserveMarkup, blockInspector, bilingual, targetLanguage, cacheModelPolicy }
+  };
+
+  // 진행 중인 실시간/지연 번역 감시 중단 (전체 번역이 새로 수집함)
+  stopLiveTranslation();
+  stopLazyTranslation();
+  frameProgress.clear();
+  if (WPT.Bilingual) {
+    WPT.Bilingual.setEnabled(bilingual);
+  }
+  stopBlockInspector();
+  if (blockInspector) {
+    startBlockInspector({ apiKey, model });
+  }
+
   // 상태 초기화
   translationState = 'translating';
   if (WPT.Progress && WPT.Progress.reset) {
@@ -430,12 +692,25 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
     activeMs: 0,
     originalTitle: (document.title || '').trim(),
     translatedTitle: (document.title || '').trim(),
-    previewText: ''
+    previewText: '',
+    liveActive: false,
+    liveCount: 0,
+    attributeTotal: 0,
+    attributeCount: 0,
+    skippedCount: 0,
+    glossaryViolations: 0,
+    resumed: !!resumeFrom,
+    usage: WPT.Usage ? WPT.Usage.startJob() : null,
+    pauseReason: '',
+    splitCount: 0,
+    lazyPending: 0,
+    protocolStats: createProtocolStats()
   };
 
   WPT.Progress.pushProgress();
 
   let titlePromise = Promise.resolve();
+  let tracker = null; // 화면 위치 추적기 (WPT.Priority, 신규 번역 단위 기준)
 
   try {
     // 텍스트 노드 수집
@@ -444,68 +719,89 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
         getProgressStatus: () => progressStatus,
         originalTextsRef: originalTexts,
         translatedElementsRef: translatedElements,
+        originalAttributesRef: originalAttributes,
+        originalStructuresRef: originalStructures,
+        translatedBlocksRef: translatedBlocks,
+        inlineMarkup: preserveMarkup,
         capturePreview: capturePreviewFromTranslation,
-        setCachedTranslation: WPT.Cache && WPT.Cache.setCachedTranslation ? WPT.Cache.setCachedTranslation : null,
+        setCachedTranslation: WPT.Cache && WPT.Cache.setCachedTranslation
+          ? (text, translation, cacheModel) => WPT.Cache.setCachedTranslation(text, translation, cacheModel, currentTargetLanguage)
+          : null,
         progressPush: WPT.Progress && WPT.Progress.pushProgress ? WPT.Progress.pushProgress : null,
+        checkTranslation: WPT.Glossary
+          ? (source, translation) => WPT.Glossary.findViolations(source, translation, currentTargetLanguage)
+          : null,
         logDebug: (evt, msg, data) => logDebug(evt, msg, data)
       });
+      if (WPT.Glossary) {
+        await WPT.Glossary.load();
+      }
     }
     const textNodes = (WPT.Dom && WPT.Dom.getAllTextNodes) ? WPT.Dom.getAllTextNodes() : [];
-    const extracted = (WPT.Dom && WPT.Dom.extractTexts) ? WPT.Dom.extractTexts(textNodes) : { texts: [], elements: [] };
-    const texts = extracted.texts;
-    const elements = extracted.elements;
+    const attrUnits = (WPT.Dom && WPT.Dom.getAllAttributeUnits) ? WPT.Dom.getAllAttributeUnits() : [];
+    const extracted = (WPT.Dom && WPT.Dom.extractTexts) ? WPT.Dom.extractTexts(textNodes, attrUnits) : { texts: [], elements: [] };
+    const filtered = skipUntranslatableTexts(extracted.texts, extracted.elements);
+    const texts = filtered.texts;
+    const elements = filtered.elements;
 
     logDebug('TEXT_NODES_COLLECTED', '텍스트 노드 수집 완료', {
+      siteRule: WPT.SiteRules ? WPT.SiteRules.getRule() : null,
       textNodes: textNodes.length,
-      texts: texts.length
+      attributes: attrUnits.length,
+      texts: texts.length,
+      skippedTarget: filtered.skippedTarget,
+      skippedNonLinguistic: filtered.skippedNonLinguistic
     });
 
     progressStatus.totalTexts = texts.length;
+    progressStatus.attributeTotal = elements.filter(element => WPT.Dom.isAttributeUnit(element)).length;
+    progressStatus.skippedCount = filtered.skippedTarget + filtered.skippedNonLinguistic;
     WPT.Progress.pushProgress();
 
-  await (WPT.Industry && WPT.Industry.ensureIndustryContext ? WPT.Industry.ensureIndustryContext(texts, apiKey, model) : Promise.resolve());
+    // 사용 예산을 넘었으면 API 호출 없이 캐시만 적용하고 일시 중지 (예산을 늘린 뒤 이어서 번역)
+    let budgetStop = WPT.Usage ? await WPT.Usage.checkBudget() : null;
 
-    titlePromise = (WPT.Title && WPT.Title.translateDocumentTitle ? WPT.Title.translateDocumentTitle(apiKey, model, useCache, progressStatus.originalTitle, () => progressStatus) : Promise.resolve());
+    if (!budgetStop) {
+      await (WPT.Industry && WPT.Industry.ensureIndustryContext ? WPT.Industry.ensureIndustryContext(texts, apiKey, model) : Promise.resolve());
+    }
+
+    // 페이지 제목은 최상위 프레임만 번역
+    titlePromise = (IS_TOP_FRAME && !budgetStop && WPT.Title && WPT.Title.translateDocumentTitle ? WPT.Title.translateDocumentTitle(apiKey, model, useCache, progressStatus.originalTitle, () => progressStatus, currentTargetLanguage, getCacheLookupOptions(model)) : Promise.resolve());
 
     // 캐시 확인 및 분류
     const cachedItems = [];
     const newTexts = [];
     const newElements = [];
-
-    if (useCache) {
-      // 병렬로 캐시 조회
-      const cachePromises = texts.map((text, i) => {
-        const element = elements[i];
-
-        if (translatedElements.has(element)) {
+    // 이어하기: 새로 번역 작업은 중단 전에 이 작업이 저장한 번역만 사용
+    const cacheLookup = useCache ? getCacheLookupOptions(model) : { ...getCacheLookupOptions(model), since: resumeFrom };
+
+    if (useCache || resumeFrom) {
+      // 아직 번역하지 않은 단위만 한 번에 캐시 조회 (background 저장소에 요청 한 번)
+      const lookupIndices = [];
+      texts.forEach((text, i) => {
+        if (translatedElements.has(elements[i])) {
           progressStatus.translatedCount++;
-          return null;
+        } else {
+          lookupIndices.push(i);
         }
-
-        return (WPT.Cache && WPT.Cache.getCachedTranslation ? WPT.Cache.getCachedTranslation(text) : Promise.resolve(null)).then(cached => ({
-          index: i,
-          element,
-          text,
-          cached
-        }));
       });
 
-      const cacheResults = await Promise.all(cachePromises);
-
-      for (const result of cacheResults) {
-        if (!result) continue; // 이미 번역된 요소
+      const cachedList = WPT.Cache && WPT.Cache.getCachedTranslations
+        ? await WPT.Cache.getCachedTranslations(lookupIndices.map(i => texts[i]), currentTargetLanguage, cacheLookup)
+        : lookupIndices.map(() => null);
 
-        if (result.cached) {
+      lookupIndices.forEach((i, k) => {
+        if (cachedList[k]) {
           cachedItems.push({
-            element: result.element,
-            text: result.text,
-            translation: result.cached
+            element: elements[i],
+            text: texts[i],
+            translation: cachedList[k]
           });
         } else {
-          newTexts.push(result.text);
-          newElements.push(result.element);
+          newTexts.push(texts[i]);
+          newElements.push(elements[i]);
         }
-      }
+      });
     } else {
       for (let i = 0; i < texts.length; i++) {
         if (!translatedElements.has(elements[i])) {
@@ -525,11 +821,12 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
       hits: cachedItems.length,
       misses: newTexts.length,
       total: texts.length,
+      resumed: !!resumeFrom,
       ttlMin: (WPT.Cache && WPT.Cache.getTTL ? await WPT.Cache.getTTL() : 0)
     });
 
-    // 대규모 변경 확인 (≥20% 변경 시 자동 전면 재번역)
-    if (useCache && texts.length > 0) {
+    // 대규모 변경 확인 (≥20% 변경 시 자동 전면 재번역, 이어하기는 남은 단위가 많은 것이 정상이므로 제외)
+    if (useCache && !resumeFrom && texts.length > 0) {
       const changeRate = newTexts.length / texts.length;
       if (changeRate >= 0.20) {
         logInfo('AUTO_FULL_RETRANSLATE', '대규모 페이지 변경 감지, 전면 재번역', {
@@ -554,6 +851,35 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
       }
     }
 
+    // 화면에 보이는 단위 → 근처 → 나머지 순서로 정렬 (같은 등급은 문서 순서, 번역 중 스크롤은 추적기로 반영)
+    if (WPT.Priority && newTexts.length > 0) {
+      const tiers = WPT.Priority.rankUnits(newElements);
+      const order = WPT.Priority.sortByTier(tiers);
+      const sourceTexts = newTexts.slice();
+      const sourceElements = newElements.slice();
+      order.forEach((from, to) => {
+        newTexts[to] = sourceTexts[from];
+        newElements[to] = sourceElements[from];
+      });
+      tracker = WPT.Priority.createTracker(newElements, order.map(from => tiers[from]));
+
+      logDebug('PRIORITY_PLAN', '화면 위치 기준 번역 순서 정렬', {
+        visible: tiers.filter(tier => tier === WPT.Priority.TIERS.VISIBLE).length,
+        near: tiers.filter(tier => tier === WPT.Priority.TIERS.NEAR).length,
+        rest: tiers.filter(tier => tier === WPT.Priority.TIERS.FAR).length,
+        observing: tracker.isObserving()
+      });
+    }
+
+    // 지연 번역은 스크롤을 관찰할 수 있을 때만 (관찰할 수 없으면 남은 배치가 영영 번역되지 않으므로 전부 번역)
+    const lazyMode = lazyTranslate && !!tracker && tracker.isObserving();
+    if (lazyTranslate && !lazyMode && newTexts.length > 0) {
+      logWarn('LAZY_TRANSLATE_UNAVAILABLE', '화면 위치를 관찰할 수 없어 지연 번역 대신 전체 번역', {});
+    }
+
+    // 신규 번역 배치 계획 (모델 토큰 예산만큼 채움, 설정의 배치 크기는 최대 개수)
+    const batchRanges = planBatches(newTexts, model, batchSize);
+
     // 캐시 적용 (배치로 나눠서 진행 상황 표시)
     if (cachedItems.length > 0) {
       // 캐시도 배치로 분할
@@ -567,7 +893,7 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
       }
 
       // 전체 배치 계획에 추가
-      const totalBatches = cacheBatches.length + Math.ceil(newTexts.length / batchSize);
+      const totalBatches = cacheBatches.length + batchRanges.length;
       progressStatus.batchCount = totalBatches;
       progressStatus.batches = cacheBatches.map((b, i) => ({
         index: i,
@@ -578,7 +904,7 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
       // 캐시 배치 적용
       for (let i = 0; i < cacheBatches.length; i++) {
         // 번역 취소 상태 체크
-        if (translationState.state === 'cancelled') {
+        if (isTranslationCancelled()) {
           logInfo('CACHE_APPLY_CANCELLED', '번역 취소로 인해 캐시 적용 중단', {
             completedBatches: i,
             totalCacheBatches: cacheBatches.length
@@ -591,28 +917,10 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
 
         await new Promise(resolve => {
           requestAnimationFrame(() => {
-            cacheBatches[i].items.forEach(({ element, text, translation }) => {
-              // element는 Semantic Chunking의 그룹 객체일 수 있음
-              // 그룹 객체인지 확인: { block, nodes: [...], texts: [...] }
-              if (element && element.nodes && Array.isArray(element.nodes)) {
-                // Semantic Chunking: 그룹의 모든 노드에 적용
-                element.nodes.forEach((node, nodeIdx) => {
-                  if (!originalTexts.has(node)) {
-                    originalTexts.set(node, node.textContent);
-                  }
-
-                  // 첫 번째 노드에만 전체 번역, 나머지는 비움
-                  if (nodeIdx === 0) {
-                    node.textContent = translation;
-                  } else {
-                    node.textContent = '';
-                  }
-
-                  translatedElements.add(node);
-                  progressStatus.translatedCount++;
-                });
-
-                capturePreviewFromTranslation(translation);
+            runDomMutation(() => cacheBatches[i].items.forEach(({ element, text, translation }) => {
+              // element는 Semantic Chunking의 그룹 객체(인라인 서식 포함) 또는 속성 단위일 수 있음
+              if (WPT.Dom && WPT.Dom.applyUnitTranslation && element && (element.nodes || element.attr)) {
+                progressStatus.translatedCount += WPT.Dom.applyUnitTranslation(element, translation);
               } else {
                 // 일반 텍스트 노드 (fallback)
                 if (!originalTexts.has(element)) {
@@ -623,7 +931,7 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
                 translatedElements.add(element);
                 progressStatus.translatedCount++;
               }
-            });
+            }));
 
             progressStatus.batches[i].status = 'completed';
             progressStatus.batchesDone++;
@@ -642,15 +950,16 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
     // 신규 번역 처리
     if (newTexts.length > 0) {
       // 배치 생성
-      const batches = [];
-      for (let i = 0; i < newTexts.length; i += batchSize) {
-        batches.push({
-          texts: newTexts.slice(i, i + batchSize),
-          elements: newElements.slice(i, i + batchSize),
-          status: 'pending',
-          size: Math.min(batchSize, newTexts.length - i)
-        });
-      }
+      const batches = batchRanges.map(({ start, end }) => ({
+        start,                     // 추적기 단위 구간 [start, end)
+        end,
+        texts: newTexts.slice(start, end),
+        elements: newElements.slice(start, end),
+        status: 'pending',
+        size: end - start,
+        streamed: [],              // 스트리밍으로 먼저 도착한 번역 (index → 번역)
+        appliedTranslations: new Map()  // DOM에 이미 적용한 번역 (index → 번역)
+      }));
 
       // 캐시 배치 인덱스 오프셋 계산
       const cacheOffset = progressStatus.batches.length;
@@ -671,19 +980,30 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
       logInfo('BATCH_PLAN', '배치 계획 생성', {
         totalTexts: newTexts.length,
         batchSize,
+        tokenBudget: WPT.Batching ? WPT.Batching.getTokenBudget(model) : null,
         concurrency,
-        batches: batches.length
+        batches: batches.length,
+        lazy: lazyMode
       });
 
-      // DOM 적용 순서를 보장하면서도 준비된 배치는 즉시 반영하기 위한 포인터
+      // 지연 번역이면 화면과 근처 배치만 지금 번역
+      const maxTier = lazyMode ? WPT.Priority.TIERS.NEAR : Infinity;
+
+      // API 요청을 보낸 배치 순서 (DOM도 이 순서로 적용, 화면에 보이는 배치가 먼저 반영됨)
+      const dispatchOrder = [];
+
+      // DOM 적용 순서를 보장하면서도 준비된 배치는 즉시 반영하기 위한 포인터 (dispatchOrder 기준)
       let nextDomIndex = 0;
       let isFlushing = false;
       let flushRequested = false;
 
       /**
        * 준비가 완료된 배치를 순차적으로 DOM에 적용하는 헬퍼
-       * - batch.translations === undefined: 아직 번역 대기 → 대기
+       * - batch.translations === undefined: 아직 번역 대기 → 스트리밍으로 도착한 줄만 먼저 적용 후 대기
        * - batch.translations === null: 번역 실패 → 건너뛰고 다음 배치로 진행
+       * - 적용한 번역은 batch.appliedTranslations에 기록, 최종 결과와 같으면 다시 적용하지 않고 다르면 최종 값으로 교체
+       * - 캐시는 최종 파싱 결과만 저장 (스트리밍 값은 저장하지 않음)
+       * - 새로 번역 모드도 결과를 캐시에 저장 (saveCache, 중단되면 이어서 번역이 완료된 단위를 캐시에서 적용)
        */
       const flushReadyBatches = async () => {
         if (isFlushing) {
@@ -695,16 +1015,22 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
         flushRequested = false;
 
         try {
-          while (nextDomIndex < batches.length) {
-            const targetBatch = batches[nextDomIndex];
+          // 취소(원본 보기) 후 도착한 응답은 페이지에 적용하지 않음
+          while (nextDomIndex < dispatchOrder.length && !isTranslationCancelled()) {
+            const batchIdx = cacheOffset + dispatchOrder[nextDomIndex];
+            const targetBatch = batches[dispatchOrder[nextDomIndex]];
 
             if (targetBatch.applied) {
               nextDomIndex++;
               continue;
             }
 
-            // 번역 결과가 아직 없는 경우 즉시 종료하고 다음 완료 시점에 재시도
+            // 번역 결과가 아직 없는 경우 도착한 줄만 적용하고 다음 도착/완료 시점에 재시도
             if (typeof targetBatch.translations === 'undefined') {
+              const hasPendingLines = targetBatch.streamed.some((line, idx) => line && targetBatch.appliedTranslations.get(idx) !== line);
+              if (hasPendingLines && WPT.Dom && WPT.Dom.applyTranslationsToDom) {
+                await WPT.Dom.applyTranslationsToDom({ ...targetBatch, translations: targetBatch.streamed }, { useCache, batchIdx, model, saveCache: false });
+              }
               break;
             }
 
@@ -716,7 +1042,7 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
             }
 
             if (WPT.Dom && WPT.Dom.applyTranslationsToDom) {
-              await WPT.Dom.applyTranslationsToDom(targetBatch, { useCache, batchIdx: cacheOffset + nextDomIndex, model });
+              await WPT.Dom.applyTranslationsToDom(targetBatch, { useCache, batchIdx, model, saveCache: true });
             }
             targetBatch.applied = true;
             nextDomIndex++;
@@ -729,22 +1055,41 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
         }
       };
 
-      // 병렬 배치 처리 (API 호출)
+      // 병렬 배치 처리 (API 호출, 429를 받으면 동시 요청 수를 줄였다가 성공이 이어지면 다시 늘림)
+      const limiter = WPT.Batching ? WPT.Batching.createConcurrencyController(concurrency) : null;
       const processQueue = async () => {
-        let index = 0;
-
         const worker = async () => {
-          while (index < batches.length) {
+          while (pickNextBatch(batches, tracker, maxTier) !== -1) {
             // 번역 취소 상태 체크
-            if (translationState.state === 'cancelled') {
+            if (isTranslationCancelled()) {
               logInfo('BATCH_CANCELLED', '번역 취소로 인해 배치 처리 중단', {
-                remainingBatches: batches.length - index
+                remainingBatches: batches.length - dispatchOrder.length
               });
               break;
             }
 
-            const localIndex = index++;
+            // 사용 예산 체크 (배치마다, 넘으면 남은 배치는 대기 상태로 둠)
+            if (!budgetStop && WPT.Usage) {
+              budgetStop = await WPT.Usage.checkBudget();
+            }
+            if (budgetStop) {
+              break;
+            }
+
+            if (limiter) {
+              await limiter.acquire();
+            }
+
+            // 기다리는 동안 스크롤했을 수 있으므로 요청 직전에 다시 고름
+            const localIndex = isTranslationCancelled() ? -1 : pickNextBatch(batches, tracker, maxTier);
+            if (localIndex === -1) {
+              if (limiter) limiter.release();
+              break;
+            }
+
             const batch = batches[localIndex];
+            batch.dispatched = true;
+            dispatchOrder.push(localIndex);
             const globalIndex = cacheOffset + localIndex; // 전역 배치 인덱스
 
             // 배치 상태 업데이트
@@ -754,16 +1099,23 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
             WPT.Progress.onBatchStart();
 
             try {
-              // API 호출 실행 후 즉시 결과 저장
-              const translations = await translateBatch(batch, apiKey, model);
+              // API 호출 실행 후 즉시 결과 저장 (스트리밍으로 완성된 줄은 도착 즉시 반영 시도)
+              const translations = await translateBatch(batch, apiKey, model, (idx, line) => {
+                batch.streamed[idx] = line;
+                void flushReadyBatches();
+              });
               batch.translations = translations;
               progressStatus.batches[globalIndex].status = 'completed';
               progressStatus.batchesDone++;
+              if (limiter) limiter.onSuccess();
             } catch (error) {
               logError('BATCH_TRANSLATION_FAILED', `배치 ${globalIndex + 1} 번역 실패`, {}, error);
               batch.translations = null; // 실패 표시
               progressStatus.batches[globalIndex].status = 'failed';
               progressStatus.batchesDone++;
+            } finally {
+              if (limiter) limiter.release();
+              if (tracker) tracker.release(batch.start, batch.end);
             }
 
             WPT.Progress.onBatchEnd();
@@ -776,8 +1128,35 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
         await Promise.all(workers);
       };
 
-      await processQueue();
+      const stopRateLimitWatch = limiter && WPT.Api && WPT.Api.onRateLimit
+        ? WPT.Api.onRateLimit(() => {
+          const before = limiter.getLimit();
+          const limit = limiter.onRateLimit();
+          if (limit !== before) {
+            logWarn('RATE_LIMITED', '요청 한도 초과, 동시 요청 수 축소', { from: before, to: limit });
+          }
+        })
+        : null;
+
+      try {
+        await processQueue();
+      } finally {
+        if (stopRateLimitWatch) stopRateLimitWatch();
+      }
       await flushReadyBatches();
+
+      // 지연 번역: 남은 배치는 완료 후 스크롤해서 다가올 때 번역
+      const lazyBatches = lazyMode && !budgetStop && !isTranslationCancelled()
+        ? batches.filter(batch => !batch.dispatched).length
+        : 0;
+      if (lazyBatches > 0) {
+        lazyJob = { batches, tracker, cacheOffset, apiKey, model, useCache, running: false };
+        tracker = null;
+      }
+    }
+
+    if (tracker) {
+      tracker.stop();
     }
 
     // 완료
@@ -785,10 +1164,30 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
       logInfo('TITLE_TRANSLATE_DEFER_FAIL', '제목 번역 비동기 처리 완료', {}, error);
     });
 
-    // 번역 취소 상태라면 완료 상태로 업데이트 하지 않음
-    if (translationState.state !== 'cancelled') {
+    if (budgetStop && newTexts.length > 0) {
+      // 예산 초과: 남은 배치가 있으므로 완료가 아닌 일시 중지 (background 작업 기록은 이어서 번역 가능 상태로 남음)
+      translationState = 'inactive';
+      progressStatus.state = 'paused';
+      progressStatus.pauseReason = budgetStop.message;
+      logWarn('BUDGET_EXCEEDED', '사용 예산 초과로 번역 일시 중지', {
+        period: budgetStop.period,
+        unit: budgetStop.unit,
+        limit: budgetStop.limit,
+        spent: Math.round(budgetStop.spent * 10000) / 10000,
+        translated: progressStatus.translatedCount,
+        total: progressStatus.totalTexts
+      });
+      WPT.Progress.pushProgress();
+    } else if (!isTranslationCancelled()) {
+      // 번역 취소 상태라면 완료 상태로 업데이트 하지 않음
       translationState = 'completed';
       progressStatus.state = 'completed';
+      if (liveTranslate) {
+        startLiveTranslation({ apiKey, model, batchSize, useCache });
+      }
+      if (lazyJob) {
+        startLazyTranslation();
+      }
       WPT.Progress.pushProgress();
     }
 
@@ -797,8 +1196,12 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
       totalTexts: progressStatus.totalTexts,
       translated: progressStatus.translatedCount,
       cacheHits: progressStatus.cachedCount,
+      split: progressStatus.splitCount,
+      lazyPending: progressStatus.lazyPending,
       elapsedMs: Math.round(WPT.Progress.getActiveMs ? WPT.Progress.getActiveMs() : 0),
-      batches: progressStatus.batchCount
+      batches: progressStatus.batchCount,
+      usage: progressStatus.usage,
+      protocol: progressStatus.protocolStats
     });
 
   } catch (error) {
@@ -810,17 +1213,22 @@ async function handleTranslateFullPage(apiKey, model, batchSize = 50, concurrenc
     translationState = 'inactive';
     progressStatus.state = 'error';
     WPT.Progress.pushProgress();
+
+    if (tracker) {
+      tracker.stop();
+    }
   }
 }
 
 /**
  * 배치 번역 (API 호출만, DOM 적용은 별도)
  * @param {object} batch - 배치 객체 { texts, elements }
- * @param {string} apiKey - OpenRouter API Key
+ * @param {string} apiKey - API Key (설정에서 고른 제공자)
  * @param {string} model - AI 모델
+ * @param {Function} [onLine] - 스트리밍 중 완성된 줄 콜백 (index, translation) => void
  * @returns {Promise<Array<string>>} 번역 결과 배열
  */
-async function translateBatch(batch, apiKey, model) {
+async function translateBatch(batch, apiKey, model, onLine) {
   const batchIdx = progressStatus.batchesDone;
 
   logDebug('BATCH_START', '배치 번역 시작', {
@@ -829,8 +1237,12 @@ async function translateBatch(batch, apiKey, model) {
   });
 
   try {
-    // API 호출
-    const translations = await translateWithOpenRouter(batch.texts, apiKey, model);
+    // API 호출 (토큰 예산이나 글자 수를 넘는 긴 단위가 있으면 조각으로 나눠 번역)
+    const tokenBudget = WPT.Batching ? WPT.Batching.getTokenBudget(model) : 0;
+    const oversized = tokenBudget > 0 && batch.texts.some(text => WPT.Batching.needsSplit(text, tokenBudget));
+    const translations = oversized
+      ? await translateSplitTexts(batch.texts, apiKey, model, tokenBudget)
+      : await translateWithLlm(batch.texts, apiKey, model, onLine);
     return translations;
 
   } catch (error) {
@@ -839,6 +1251,85 @@ async function translateBatch(batch, apiKey, model) {
   }
 }
 
+/**
+ * 긴 단위를 문단/문장 경계에서 조각으로 나눠 번역하고 순서대로 다시 이어 붙임
+ * - 조각도 예산만큼 묶어 요청 (스트리밍 없이, 조각이 모두 와야 단위 하나가 완성됨)
+ * - 한 조각이라도 번역을 받지 못한 단위는 null (원문 유지)
+ * - 나눠 번역한 단위 수는 progressStatus.splitCount에 집계
+ * @param {Array<string>} texts - 번역할 텍스트 배열
+ * @param {string} apiKey - API Key
+ * @param {string} model - AI 모델
+ * @param {number} tokenBudget - 요청 하나의 토큰 예산
+ * @returns {Promise<Array<string|null>>} 번역 결과 배열
+ */
+async function translateSplitTexts(texts, apiKey, model, tokenBudget) {
+  const splits = texts.map(text => (WPT.Batching.needsSplit(text, tokenBudget)
+    ? WPT.Batching.splitText(text, tokenBudget)
+    : [{ text, separator: '' }]));
+  const pieces = splits.flat().map(piece => piece.text);
+  const splitUnits = splits.filter(parts => parts.length > 1).length;
+
+  progressStatus.splitCount += splitUnits;
+  logDebug('SEGMENT_SPLIT', '긴 번역 단위를 조각으로 나눔', {
+    units: splitUnits,
+    pieces: pieces.length,
+    tokenBudget
+  });
+
+  const pieceTranslations = [];
+  const ranges = WPT.Batching.packBatches(pieces, { tokenBudget, maxItems: pieces.length });
+  for (const { start, end } of ranges) {
+    const translations = await translateWithLlm(pieces.slice(start, end), apiKey, model);
+    translations.forEach((translation, idx) => { pieceTranslations[start + idx] = translation; });
+  }
+
+  let offset = 0;
+  return splits.map(parts => {
+    const joined = WPT.Batching.joinPieces(parts, pieceTranslations.slice(offset, offset + parts.length));
+    offset += parts.length;
+    return joined;
+  });
+}
+
+/**
+ * 번역 단위를 배치 구간으로 나눔 (WPT.Batching 토큰 예산 기준, 없으면 개수 고정)
+ * @param {Array<string>} texts - 번역할 텍스트 배열
+ * @param {string} model - AI 모델 (토큰 예산 기준)
+ * @param {number} batchSize - 배치 하나의 최대 개수
+ * @returns {Array<{start: number, end: number}>} texts 구간 [start, end)
+ */
+function planBatches(texts, model, batchSize) {
+  if (WPT.Batching) {
+    return WPT.Batching.packBatches(texts, { tokenBudget: WPT.Batching.getTokenBudget(model), maxItems: batchSize });
+  }
+  const ranges = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    ranges.push({ start: i, end: Math.min(i + batchSize, texts.length) });
+  }
+  return ranges;
+}
+
+/**
+ * 아직 요청하지 않은 배치 중 우선순위가 가장 높은 배치 (등급이 같으면 앞 배치)
+ * @param {Array<{start: number, end: number, dispatched?: boolean}>} batches - 배치 목록 (start/end는 추적기 단위 구간)
+ * @param {Object|null} tracker - WPT.Priority 추적기 (없으면 앞 배치부터)
+ * @param {number} [maxTier=Infinity] - 이 등급보다 먼 배치는 고르지 않음 (지연 번역)
+ * @returns {number} 배치 index, 고를 배치가 없으면 -1
+ */
+function pickNextBatch(batches, tracker, maxTier = Infinity) {
+  let best = -1;
+  let bestTier = Infinity;
+  for (let i = 0; i < batches.length && bestTier > 0; i++) {
+    if (batches[i].dispatched) continue;
+    const tier = tracker ? tracker.getTier(batches[i].start, batches[i].end) : 0;
+    if (tier < bestTier) {
+      best = i;
+      bestTier = tier;
+    }
+  }
+  return bestTier <= maxTier ? best : -1;
+}
+
 /**
  * DOM 적용 (순서 보장)
  * requestAnimationFrame을 사용하여 위에서 아래로 순차 적용
@@ -870,7 +1361,7 @@ async function applyTranslationsToDom(batch, useCache, batchIdx, model) {
 
           // 캐시에 저장
           if (useCache && WPT.Cache && WPT.Cache.setCachedTranslation) {
-            WPT.Cache.setCachedTranslation(originalText, translation, model);
+            WPT.Cache.setCachedTranslation(originalText, translation, model, currentTargetLanguage);
           }
         } else {
           skipped++;
@@ -914,7 +1405,7 @@ function capturePreviewFromTranslation(translation) {
 
 /**
  * 페이지 제목을 별도로 번역하여 히스토리 정보에 활용한다.
- * @param {string} apiKey - OpenRouter API Key
+ * @param {string} apiKey - API Key (설정에서 고른 제공자)
  * @param {string} model - 번역에 사용할 모델
  * @param {boolean} useCache - 캐시 활용 여부 (빠른 모드 여부)
  * @param {string} originalTitle - 번역 전 페이지 제목
@@ -932,7 +1423,7 @@ async function translateDocumentTitle(apiKey, model, useCache, originalTitle) {
     progressStatus.translatedTitle = originalTitle;
 
     if (useCache) {
-      const cached = WPT.Cache && WPT.Cache.getCachedTranslation ? await WPT.Cache.getCachedTranslation(originalTitle) : null;
+      const cached = WPT.Cache && WPT.Cache.getCachedTranslation ? await WPT.Cache.getCachedTranslation(originalTitle, currentTargetLanguage, getCacheLookupOptions(model)) : null;
       if (cached && cached.trim().length > 0) {
         applyTranslatedTitleToDocument(cached.trim());
         WPT.Progress.pushProgress();
@@ -940,7 +1431,7 @@ async function translateDocumentTitle(apiKey, model, useCache, originalTitle) {
       }
     }
 
-    const translations = await translateWithOpenRouter([originalTitle], apiKey, model);
+    const translations = await translateWithLlm([originalTitle], apiKey, model);
     const translated = translations && translations[0] ? translations[0].trim() : '';
     const finalTitle = translated.length > 0 ? translated : originalTitle;
 
@@ -948,7 +1439,7 @@ async function translateDocumentTitle(apiKey, model, useCache, originalTitle) {
 
     if (useCache && finalTitle !== originalTitle) {
       if (WPT.Cache && WPT.Cache.setCachedTranslation) {
-        await WPT.Cache.setCachedTranslation(originalTitle, finalTitle, model);
+        await WPT.Cache.setCachedTranslation(originalTitle, finalTitle, model, currentTargetLanguage);
       }
     }
 
@@ -960,20 +1451,7 @@ async function translateDocumentTitle(apiKey, model, useCache, originalTitle) {
   }
 }
 
-// ===== OpenRouter API 통신 =====
-
-/**
- * OpenRouter API 호출을 공통 처리하는 헬퍼
- * @param {string} prompt - 모델에 전달할 프롬프트
- * @param {string} apiKey - OpenRouter API Key
- * @param {string} model - 사용할 모델 이름
- * @param {object} meta - 로깅을 위한 부가 정보
- * @param {string} meta.purpose - 호출 목적 식별자
- * @param {number} [meta.batchIdx] - 번역 배치 인덱스
- * @param {number} [meta.itemCount] - 처리 대상 텍스트 개수
- * @returns {Promise<string>} 모델 응답 텍스트
- */
-// requestOpenRouter는 WPT.Api.requestOpenRouter로 이동
+// ===== LLM API 통신 =====
 
 /**
  * 번역된 제목을 document.title과 progressStatus에 반영한다.
@@ -1020,54 +1498,410 @@ function applyTranslatedTitleToDocument(titleText) {
 //
 
 /**
- * OpenRouter API를 사용한 배치 번역
+ * 배치 번역 응답 JSON 스키마 (id로 원문 항목과 짝지음)
+ */
+const TRANSLATION_RESPONSE_SCHEMA = {
+  name: 'translations',
+  schema: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            text: { type: 'string' }
+          },
+          required: ['id', 'text'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['items'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * 배치 응답 처리 통계 (fallback이 얼마나 자주 일어나는지 확인용)
+ * @returns {{jsonBatches: number, lineBatches: number, formatFallbacks: number, repairRequests: number, repairedItems: number, lineFallbacks: number, positionalFallbacks: number, missingItems: number}}
+ */
+function createProtocolStats() {
+  return {
+    jsonBatches: 0,          // JSON 형식으로 요청한 배치 수
+    lineBatches: 0,          // [n] 줄 형식으로 요청한 배치 수 (JSON 형식 미지원 서버)
+    formatFallbacks: 0,      // 서버가 JSON 형식 요청을 지원하지 않아 줄 형식으로 전환한 횟수
+    repairRequests: 0,       // 누락/잘못된 항목만 다시 요청한 횟수
+    repairedItems: 0,        // 재요청으로 채운 항목 수
+    lineFallbacks: 0,        // JSON 대신 [n] 줄로 답해 줄 형식으로 읽은 응답 수
+    positionalFallbacks: 0,  // 번호 매핑 실패로 줄 순서대로 적용한 응답 수
+    missingItems: 0          // 재요청 후에도 번역을 받지 못한 항목 수
+  };
+}
+
+/**
+ * 번역 프롬프트 공통 부분 (대상 언어, 산업군 지시, 용어집, 자리표시 태그 규칙)
+ * @param {Array<string>} texts - 번역할 텍스트 배열
+ * @returns {{languageName: string, context: string, rules: string}}
+ */
+function buildTranslationContext(texts) {
+  const languageName = WPT.Language ? WPT.Language.getLanguageName(currentTargetLanguage) : '한국어';
+  const instruction = (WPT.Industry && WPT.Industry.buildIndustryInstruction ? WPT.Industry.buildIndustryInstruction(languageName) : `- 페이지의 내용을 고려하여 자연스럽고 정확한 ${languageName}로 번역해주세요.`);
+
+  // 인라인 서식 자리표시 태그(<a0>…</a0>, <x1/>)가 있으면 유지 규칙 추가
+  const markupRule = texts.some(text => /<\/?[a-z]\d+\s*\/?>/.test(text))
+    ? '\n- <a0>…</a0>, <b1>…</b1>, <x2/> 같은 자리표시 태그는 이름과 개수를 바꾸지 말고, 번역문에서 해당 단어를 감싸도록 알맞은 위치에 그대로 유지해주세요.'
+    : '';
+
+  // 사용자 용어집: 이 배치에 나오는 용어만 주입
+  const glossary = WPT.Glossary ? WPT.Glossary.buildInstruction(texts, currentTargetLanguage) : '';
+  const glossarySection = glossary ? `\n\n용어집 (반드시 이대로 번역):\n${glossary}` : '';
+
+  return {
+    languageName,
+    context: `산업군 컨텍스트:\n${instruction}${glossarySection}`,
+    rules: `- 원본의 형식과 구조를 최대한 유지하되, 내용만 ${languageName}로 번역해주세요.
+- 번역만 제공하고 다른 설명은 추가하지 마세요.
+- HTML 태그가 있다면 그대로 유지해주세요.${markupRule}`
+  };
+}
+
+/**
+ * LLM API를 사용한 배치 번역
+ *
+ * 기본은 JSON 형식 (buildJsonPrompt, 제공자가 지원하면 response_format/responseSchema로 강제)
+ * - 입력/출력: {"items":[{"id":0,"text":"..."}]} (줄바꿈이 있는 텍스트도 id로 정확히 짝지음)
+ * - 항목마다 검증하고 누락/잘못된 id만 다시 요청 (JSON_REPAIR_ATTEMPTS회)
+ * 서버가 JSON 형식 요청을 거부(400/422)하면 이 페이지에서는 [n] 줄 형식 사용 (translateWithLineProtocol)
+ *
+ * onLine이 주어지면 스트리밍으로 요청하고 완성된 항목을 도착 즉시 전달
+ * (최종 결과는 항상 전체 응답을 파싱한 값)
+ *
+ * @param {Array<string>} texts - 번역할 텍스트 배열
+ * @param {string} apiKey - API Key (설정에서 고른 제공자)
+ * @param {string} model - AI 모델 (예: openai/gpt-4o-mini)
+ * @param {Function} [onLine] - (index, translation) => void, 스트리밍 중 완성된 항목마다 호출
+ * @returns {Promise<Array<string>>} 번역 결과 배열 (받지 못한 항목은 null)
+ */
+async function translateWithLlm(texts, apiKey, model, onLine) {
+  if (jsonProtocolDisabled) {
+    return translateWithLineProtocol(texts, apiKey, model, onLine);
+  }
+
+  try {
+    return await translateWithJsonProtocol(texts, apiKey, model, onLine);
+  } catch (error) {
+    // 문맥 길이 초과 같은 다른 400/422는 이 배치만 실패 처리 (다음 배치는 계속 JSON 형식)
+    if (!isResponseFormatUnsupported(error)) throw error;
+
+    // response_format을 모르는 서버: 줄 형식도 실패하면 그 오류로 실패 처리
+    const translations = await translateWithLineProtocol(texts, apiKey, model, onLine);
+    jsonProtocolDisabled = true;
+    progressStatus.protocolStats.formatFallbacks++;
+    logWarn('JSON_PROTOCOL_UNSUPPORTED', 'JSON 형식 요청 거부, 줄 형식으로 전환', { status: error.status }, error);
+    return translations;
+  }
+}
+
+/**
+ * 서버가 JSON 형식 요청(response_format/responseSchema)을 지원하지 않아 거부한 오류인지
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isResponseFormatUnsupported(error) {
+  return !!error && (error.status === 400 || error.status === 422) && RESPONSE_FORMAT_UNSUPPORTED_PATTERN.test(error.message || '');
+}
+
+/**
+ * JSON 형식 배치 번역 (누락/잘못된 항목은 그 id만 다시 요청)
+ * @param {Array<string>} texts - 번역할 텍스트 배열
+ * @param {string} apiKey - API Key
+ * @param {string} model - AI 모델
+ * @param {Function} [onLine] - 스트리밍 항목 콜백 (첫 요청만 스트리밍)
+ * @returns {Promise<Array<string>>} 번역 결과 배열 (받지 못한 항목은 null)
+ */
+async function translateWithJsonProtocol(texts, apiKey, model, onLine) {
+  const batchIdx = progressStatus.batchesDone;
+  const stats = progressStatus.protocolStats;
+  const translations = new Array(texts.length).fill(null);
+  let pendingIds = texts.map((_, idx) => idx);
+
+  stats.jsonBatches++;
+
+  for (let attempt = 0; attempt <= JSON_REPAIR_ATTEMPTS && pendingIds.length > 0; attempt++) {
+    const isRepair = attempt > 0;
+    const meta = { purpose: 'translation', batchIdx, itemCount: pendingIds.length, responseSchema: TRANSLATION_RESPONSE_SCHEMA };
+    const streamParser = !isRepair && typeof onLine === 'function' ? createStreamJsonParser(texts.length, onLine) : null;
+    if (isRepair) stats.repairRequests++;
+
+    const responseText = await requestTranslationResponse(buildJsonPrompt(texts, pendingIds), apiKey, model, meta, streamParser);
+    let received = parseJsonTranslationResult(responseText, pendingIds);
+
+    if (!received && !isRepair) {
+      // JSON이 아닌 응답: [n] 줄로 답했으면 번호가 맞는 줄만 사용 (위치 매핑은 하지 않고 나머지는 재요청)
+      stats.lineFallbacks++;
+      received = new Map();
+      parseTranslationResult(responseText, texts.length, { positional: false }).forEach((translation, idx) => {
+        if (translation) received.set(idx, translation);
+      });
+      logWarn('JSON_PARSE_FALLBACK', 'JSON이 아닌 응답, 줄 형식으로 해석', { batchIdx, mapped: received.size, expected: texts.length });
+    }
+
+    const before = pendingIds.length;
+    if (received) {
+      received.forEach((translation, id) => { translations[id] = translation; });
+    }
+    pendingIds = pendingIds.filter(id => translations[id] === null);
+
+    if (isRepair) {
+      stats.repairedItems += before - pendingIds.length;
+    } else if (pendingIds.length > 0) {
+      logDebug('JSON_ITEMS_INVALID', '누락/잘못된 항목 재요청', { batchIdx, ids: pendingIds.slice(0, 20), count: pendingIds.length });
+    }
+  }
+
+  if (pendingIds.length > 0) {
+    stats.missingItems += pendingIds.length;
+    logWarn('JSON_ITEMS_MISSING', '재요청 후에도 번역을 받지 못한 항목', { batchIdx, ids: pendingIds.slice(0, 20), count: pendingIds.length });
+  }
+
+  return translations;
+}
+
+/**
+ * [n] 줄 형식 배치 번역 (JSON 형식을 지원하지 않는 서버용)
  *
  * 프롬프트 형식:
  * - 입력: [0] text1\n[1] text2\n...
  * - 출력: [0] 번역1\n[1] 번역2\n...
  *
  * @param {Array<string>} texts - 번역할 텍스트 배열
- * @param {string} apiKey - OpenRouter API Key
- * @param {string} model - AI 모델 (예: openai/gpt-4o-mini)
- * @returns {Promise<Array<string>>} 번역 결과 배열
+ * @param {string} apiKey - API Key
+ * @param {string} model - AI 모델
+ * @param {Function} [onLine] - 스트리밍 중 완성된 줄 콜백
+ * @returns {Promise<Array<string>>} 번역 결과 배열 (실패 시 null 포함)
  */
-async function translateWithOpenRouter(texts, apiKey, model) {
+async function translateWithLineProtocol(texts, apiKey, model, onLine) {
   const batchIdx = progressStatus.batchesDone;
-  const instruction = (WPT.Industry && WPT.Industry.buildIndustryInstruction ? WPT.Industry.buildIndustryInstruction() : '- 페이지의 내용을 고려하여 자연스럽고 정확한 한국어로 번역해주세요.');
+  const { languageName, context, rules } = buildTranslationContext(texts);
 
-  const prompt = `다음 텍스트들을 한국어로 번역해주세요.
+  const prompt = `다음 텍스트들을 ${languageName}로 번역해주세요.
 
 번역할 텍스트:
 ${texts.map((text, idx) => `[${idx}] ${text}`).join('\n')}
 
-산업군 컨텍스트:
-${instruction}
+${context}
 
 중요:
 - 각 줄을 [0], [1], [2] ... 형식으로 번호를 붙여서 번역 결과를 반환해주세요.
-- 원본의 형식과 구조를 최대한 유지하되, 내용만 한국어로 번역해주세요.
-- 번역만 제공하고 다른 설명은 추가하지 마세요.
-- HTML 태그가 있다면 그대로 유지해주세요.`;
+${rules}`;
 
-  const translatedText = await (WPT.Api && WPT.Api.requestOpenRouter ? WPT.Api.requestOpenRouter(prompt, apiKey, model, {
-    purpose: 'translation',
-    batchIdx,
-    itemCount: texts.length
-  }) : Promise.resolve(''));
+  progressStatus.protocolStats.lineBatches++;
+  const meta = { purpose: 'translation', batchIdx, itemCount: texts.length };
+  const streamParser = typeof onLine === 'function' ? createStreamLineParser(texts.length, onLine) : null;
+  const translatedText = await requestTranslationResponse(prompt, apiKey, model, meta, streamParser);
 
   return parseTranslationResult(translatedText, texts.length);
 }
 
+/**
+ * JSON 형식 번역 프롬프트 (재요청은 원래 id 그대로 일부 항목만 포함)
+ * @param {Array<string>} texts - 배치 전체 텍스트
+ * @param {Array<number>} ids - 이번에 번역할 항목 id
+ * @returns {string}
+ */
+function buildJsonPrompt(texts, ids) {
+  const { languageName, context, rules } = buildTranslationContext(ids.map(id => texts[id]));
+  const input = JSON.stringify({ items: ids.map(id => ({ id, text: texts[id] })) });
+
+  return `다음 JSON의 items마다 text를 ${languageName}로 번역해주세요.
+
+번역할 항목:
+${input}
+
+${context}
+
+중요:
+- {"items":[{"id":0,"text":"번역문"}]} 형식의 JSON 하나만 반환해주세요.
+- 모든 항목을 같은 id로 하나씩 반환하고, 여러 항목을 합치거나 나누지 마세요.
+- text 안의 줄바꿈은 그대로 유지해주세요.
+${rules}`;
+}
+
+/**
+ * 번역 요청 1회 (streamParser가 있으면 스트리밍)
+ * - HTTP 오류는 그대로 실패 처리, 스트림 자체 문제(미지원/중단)는 일반 요청으로 재시도
+ * @param {string} prompt
+ * @param {string} apiKey
+ * @param {string} model
+ * @param {Object} meta - 요청 정보 (purpose, batchIdx, responseSchema)
+ * @param {{push: Function, end: Function, count: Function}|null} streamParser
+ * @returns {Promise<string>} 응답 텍스트
+ */
+async function requestTranslationResponse(prompt, apiKey, model, meta, streamParser) {
+  if (streamParser && WPT.Api && WPT.Api.requestLlmStreaming) {
+    try {
+      const text = await WPT.Api.requestLlmStreaming(prompt, apiKey, model, streamParser.push, meta);
+      streamParser.end();
+      return text;
+    } catch (error) {
+      if (error && error.status) throw error;
+      logWarn('STREAM_FALLBACK', '스트리밍 실패, 일반 요청으로 재시도', { batchIdx: meta.batchIdx, streamedLines: streamParser.count() }, error);
+    }
+  }
+
+  return WPT.Api && WPT.Api.requestLlm ? WPT.Api.requestLlm(prompt, apiKey, model, meta) : '';
+}
+
+/**
+ * JSON 응답 항목 하나 검증
+ * @param {*} item - items 배열 원소
+ * @param {Set<number>} expectedIds - 요청한 id
+ * @returns {{id: number, text: string}|null} 올바르지 않으면 null
+ */
+function readJsonItem(item, expectedIds) {
+  if (!item || typeof item !== 'object') return null;
+  const id = typeof item.id === 'string' && /^\d+$/.test(item.id) ? parseInt(item.id) : item.id;
+  if (!Number.isInteger(id) || !expectedIds.has(id)) return null;
+  if (typeof item.text !== 'string' || !item.text.trim()) return null;
+  return { id, text: item.text.trim() };
+}
+
+/**
+ * JSON 형식 번역 결과 파싱
+ * - 코드 블록(```json)이나 앞뒤 설명이 붙어도 가장 바깥 {...}/[...]만 읽음
+ * - 요청하지 않은 id, 빈 text는 버리고, 같은 id가 두 번 오면 먼저 온 항목 사용 (스트리밍으로 먼저 적용한 항목과 일치)
+ * @param {string} responseText - API 응답 텍스트
+ * @param {Array<number>} ids - 요청한 항목 id
+ * @returns {Map<number, string>|null} id → 번역 (JSON이 아니면 null)
+ */
+function parseJsonTranslationResult(responseText, ids) {
+  const text = String(responseText || '');
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start === -1 || end < start) return null;
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (_) {
+    return null;
+  }
+
+  const items = Array.isArray(data) ? data : (data && Array.isArray(data.items) ? data.items : null);
+  if (!items) return null;
+
+  const expectedIds = new Set(ids);
+  const result = new Map();
+  items.forEach(entry => {
+    const item = readJsonItem(entry, expectedIds);
+    if (item && !result.has(item.id)) result.set(item.id, item.text);
+  });
+
+  return result;
+}
+
+/**
+ * 스트리밍 JSON 응답에서 완성된 {"id":n,"text":"..."} 항목을 점진적으로 추출
+ * - 중괄호가 닫힌 항목만 읽고, 검증은 최종 파싱과 같은 readJsonItem 사용
+ * - 이미 전달한 id는 무시 (최종 파싱과 같이 먼저 온 항목 사용)
+ * @param {number} expectedCount - 번역 단위 수
+ * @param {Function} onLine - (index, translation) => void
+ * @returns {{push: Function, end: Function, count: Function}}
+ */
+function createStreamJsonParser(expectedCount, onLine) {
+  const expectedIds = new Set(Array.from({ length: expectedCount }, (_, idx) => idx));
+  const emitted = new Set();
+  const objectPattern = /\{(?:[^{}"]|"(?:[^"\\]|\\.)*")*\}/g; // 안쪽에 객체가 없는 {...} (문자열 속 중괄호 허용)
+  let buffer = '';
+
+  const scan = () => {
+    objectPattern.lastIndex = 0;
+    let consumed = 0;
+    let match;
+    while ((match = objectPattern.exec(buffer)) !== null) {
+      consumed = objectPattern.lastIndex;
+      let item = null;
+      try {
+        item = readJsonItem(JSON.parse(match[0]), expectedIds);
+      } catch (_) {
+        // 항목이 아닌 객체
+      }
+      if (item && !emitted.has(item.id)) {
+        emitted.add(item.id);
+        onLine(item.id, item.text);
+      }
+    }
+    buffer = buffer.slice(consumed);
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      scan();
+    },
+    end() {
+      scan();
+      buffer = '';
+    },
+    count() {
+      return emitted.size;
+    }
+  };
+}
+
+/**
+ * 스트리밍 응답에서 완성된 [n] 줄을 점진적으로 추출
+ * - 줄바꿈이 도착해야 완성으로 보고, 마지막 줄은 스트림 종료(end) 시 처리
+ * - 범위를 벗어난 번호, 이미 전달한 번호, 형식이 다른 줄은 무시 (최종 파싱에서 fallback 처리)
+ * @param {number} expectedCount - 번역 단위 수
+ * @param {Function} onLine - (index, translation) => void
+ * @returns {{push: Function, end: Function, count: Function}}
+ */
+function createStreamLineParser(expectedCount, onLine) {
+  const emitted = new Set();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const match = line.trim().match(/^\[(\d+)\]\s*(.+)$/);
+    if (!match) return;
+    const index = parseInt(match[1]);
+    const translation = match[2].trim();
+    if (index >= expectedCount || emitted.has(index) || !translation) return;
+    emitted.add(index);
+    onLine(index, translation);
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      lines.forEach(handleLine);
+    },
+    end() {
+      if (buffer) handleLine(buffer);
+      buffer = '';
+    },
+    count() {
+      return emitted.size;
+    }
+  };
+}
+
 /**
  * 번역 결과 파싱
  * [0], [1] 형식의 출력을 배열로 변환
- * 매핑 실패 시 fallback 적용 (50% 미만 매핑 시)
+ * 매핑 실패 시 fallback 적용 (50% 미만 매핑 시, 줄 순서대로 적용하므로 항목이 어긋날 수 있음)
  *
  * @param {string} translatedText - API 응답 텍스트
  * @param {number} expectedCount - 예상 결과 개수
+ * @param {Object} [options]
+ * @param {boolean} [options.positional=true] - 매핑 실패 시 줄 순서대로 적용할지 (false면 번호가 맞는 줄만 사용)
  * @returns {Array<string>} 번역 결과 배열 (실패 시 null 포함)
  */
-function parseTranslationResult(translatedText, expectedCount) {
+function parseTranslationResult(translatedText, expectedCount, { positional = true } = {}) {
   const lines = translatedText.split('\n').filter(line => line.trim());
   const translationMap = new Map();
 
@@ -1089,8 +1923,9 @@ function parseTranslationResult(translatedText, expectedCount) {
 
   // 매핑 실패 시 fallback
   const mappedCount = translations.filter(t => t !== null).length;
-  if (mappedCount < expectedCount * 0.5) {
-    log(`Translation mapping failed (${mappedCount}/${expectedCount}), using fallback`);
+  if (positional && mappedCount < expectedCount * 0.5) {
+    progressStatus.protocolStats.positionalFallbacks++;
+    logWarn('POSITIONAL_FALLBACK', '번호 매핑 실패, 줄 순서대로 적용', { mapped: mappedCount, expected: expectedCount });
     const fallbackLines = translatedText.split('\n')
       .map(line => line.replace(/^\[\d+\]\s*/, '').trim())
       .filter(line => line.length > 0);
@@ -1103,6 +1938,340 @@ function parseTranslationResult(translatedText, expectedCount) {
   return translations;
 }
 
+// ===== 실시간 번역 (페이지 따라가기) =====
+
+/**
+ * 확장 프로그램이 직접 수행하는 DOM 변경 (실시간 감시 제외)
+ * @param {Function} fn - 동기 DOM 변경 함수
+ */
+function runDomMutation(fn) {
+  if (WPT.Dom && WPT.Dom.runDomMutation) {
+    return WPT.Dom.runDomMutation(fn);
+  }
+  return fn();
+}
+
+/**
+ * 번역 완료 후 동적 콘텐츠 감시 시작
+ * @param {object} settings - { apiKey, model, batchSize, useCache }
+ */
+function startLiveTranslation(settings) {
+  if (!WPT.Observer || !WPT.Observer.start || isSiteTranslationBlocked()) {
+    return;
+  }
+
+  liveSettings = settings;
+  progressStatus.liveActive = WPT.Observer.start(handleLiveMutations);
+
+  logInfo('LIVE_TRANSLATE_START', '실시간 번역 감시 시작', { active: progressStatus.liveActive });
+}
+
+/**
+ * 동적 콘텐츠 감시 중단
+ */
+function stopLiveTranslation() {
+  if (WPT.Observer && WPT.Observer.isActive && WPT.Observer.isActive()) {
+    WPT.Observer.stop();
+    logInfo('LIVE_TRANSLATE_STOP', '실시간 번역 감시 중단');
+  }
+  liveSettings = null;
+  progressStatus.liveActive = false;
+}
+
+/**
+ * 동적으로 추가/변경된 텍스트 노드 번역
+ * - 전체 번역과 같은 캐시 → 배치 번역 → DOM 적용 경로 사용
+ * - originalTexts/translatedElements에 기록되어 원본 복원 대상에 포함됨
+ * @param {{added: Array<Node>, changed: Array<Node>}} mutations - 감시 모듈이 모은 텍스트 노드
+ */
+async function handleLiveMutations({ added, changed }) {
+  // 감시 중에 '번역 안 함' 규칙이 추가되면 새 콘텐츠는 번역하지 않음
+  if (!liveSettings || translationState !== 'completed' || isSiteTranslationBlocked()) {
+    return;
+  }
+
+  const { apiKey, model, batchSize, useCache } = liveSettings;
+
+  // 이동만 된 번역 노드는 제외, 페이지가 내용을 바꾼 노드는 새 원문 기준으로 재번역
+  const targets = added.filter(node => !translatedElements.has(node));
+  changed.forEach(node => {
+    if (translatedElements.has(node)) {
+      translatedElements.delete(node);
+      originalTexts.delete(node);
+    }
+    if (!targets.includes(node)) {
+      targets.push(node);
+    }
+  });
+
+  const extracted = WPT.Dom.extractTexts(targets);
+  const { texts, elements, skippedTarget, skippedNonLinguistic } = skipUntranslatableTexts(extracted.texts, extracted.elements);
+  progressStatus.skippedCount += skippedTarget + skippedNonLinguistic;
+  if (texts.length === 0) {
+    return;
+  }
+
+  progressStatus.totalTexts += texts.length;
+  progressStatus.liveCount += texts.length;
+
+  logDebug('LIVE_TRANSLATE_BATCH', '동적 콘텐츠 번역 시작', {
+    added: added.length,
+    changed: changed.length,
+    texts: texts.length
+  });
+
+  try {
+    const pendingTexts = [];
+    const pendingElements = [];
+
+    if (useCache && WPT.Cache && WPT.Cache.getCachedTranslations) {
+      const cachedList = await WPT.Cache.getCachedTranslations(texts, currentTargetLanguage, getCacheLookupOptions(model));
+      const hitBatch = { texts: [], elements: [], translations: [] };
+
+      cachedList.forEach((cached, i) => {
+        if (cached) {
+          hitBatch.texts.push(texts[i]);
+          hitBatch.elements.push(elements[i]);
+          hitBatch.translations.push(cached);
+        } else {
+          pendingTexts.push(texts[i]);
+          pendingElements.push(elements[i]);
+        }
+      });
+
+      if (hitBatch.elements.length > 0) {
+        progressStatus.cachedCount += hitBatch.elements.length;
+        await WPT.Dom.applyTranslationsToDom(hitBatch, { useCache: false, batchIdx: 'live-cache', model });
+      }
+    } else {
+      pendingTexts.push(...texts);
+      pendingElements.push(...elements);
+    }
+
+    for (const { start, end } of planBatches(pendingTexts, model, batchSize)) {
+      // 감시 중단(복원/재번역) 시 남은 배치는 버림
+      if (!liveSettings) {
+        break;
+      }
+
+      // 사용 예산을 넘었으면 새 콘텐츠는 원문으로 둠
+      const budgetStop = WPT.Usage ? await WPT.Usage.checkBudget() : null;
+      if (budgetStop) {
+        logInfo('LIVE_TRANSLATE_BUDGET', '사용 예산 초과로 동적 콘텐츠 번역 생략', { period: budgetStop.period, remaining: pendingTexts.length - start });
+        break;
+      }
+
+      const batch = {
+        texts: pendingTexts.slice(start, end),
+        elements: pendingElements.slice(start, end)
+      };
+      batch.translations = await translateBatch(batch, apiKey, model);
+
+      if (!liveSettings) {
+        break;
+      }
+      await WPT.Dom.applyTranslationsToDom(batch, { useCache, batchIdx: 'live', model });
+    }
+  } catch (error) {
+    logError('LIVE_TRANSLATE_ERROR', '동적 콘텐츠 번역 실패', { texts: texts.length }, error);
+  }
+
+  WPT.Progress.pushProgress();
+}
+
+// ===== 지연 번역 =====
+
+/**
+ * 지연 번역 시작 (전체 번역 완료 후, lazyJob에 남은 배치가 있을 때)
+ * - 스크롤로 화면 근처에 들어온 배치만 번역, 모두 번역하면 관찰 종료
+ */
+function startLazyTranslation() {
+  const job = lazyJob;
+  if (!job) {
+    return;
+  }
+
+  const pending = job.batches.filter(batch => !batch.dispatched);
+  progressStatus.lazyPending = pending.reduce((sum, batch) => sum + batch.size, 0);
+  job.tracker.setListener(() => void translateLazyBatches());
+
+  logInfo('LAZY_TRANSLATE_START', '지연 번역 대기 시작', {
+    batches: pending.length,
+    texts: progressStatus.lazyPending
+  });
+
+  // 번역하는 동안 스크롤해 이미 다가온 배치가 있을 수 있음
+  void translateLazyBatches();
+}
+
+/**
+ * 지연 번역 중단 (남은 배치는 번역하지 않음)
+ */
+function stopLazyTranslation() {
+  if (!lazyJob) {
+    return;
+  }
+  lazyJob.tracker.stop();
+  if (progressStatus.lazyPending > 0) {
+    logInfo('LAZY_TRANSLATE_STOP', '지연 번역 대기 중단', { remaining: progressStatus.lazyPending });
+  }
+  lazyJob = null;
+  progressStatus.lazyPending = 0;
+}
+
+/**
+ * 화면 근처에 들어온 지연 배치 번역 (한 번에 한 배치씩, 이미 실행 중이면 그 루프가 이어서 처리)
+ */
+async function translateLazyBatches() {
+  const job = lazyJob;
+  if (!job || job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    while (lazyJob === job && translationState === 'completed') {
+      const localIndex = pickNextBatch(job.batches, job.tracker, WPT.Priority.TIERS.NEAR);
+      if (localIndex === -1) {
+        break;
+      }
+
+      // 사용 예산을 넘었으면 남은 배치는 원문으로 둠
+      const budgetStop = WPT.Usage ? await WPT.Usage.checkBudget() : null;
+      if (lazyJob !== job) {
+        break;
+      }
+      if (budgetStop) {
+        logInfo('LAZY_TRANSLATE_BUDGET', '사용 예산 초과로 지연 번역 중단', { period: budgetStop.period, remaining: progressStatus.lazyPending });
+        stopLazyTranslation();
+        break;
+      }
+
+      const batch = job.batches[localIndex];
+      const globalIndex = job.cacheOffset + localIndex;
+      batch.dispatched = true;
+      progressStatus.batches[globalIndex].status = 'processing';
+      WPT.Progress.pushProgress();
+
+      try {
+        batch.translations = await translateBatch(batch, job.apiKey, job.model);
+        if (lazyJob !== job) {
+          break;
+        }
+        await WPT.Dom.applyTranslationsToDom(batch, { useCache: job.useCache, batchIdx: globalIndex, model: job.model, saveCache: true });
+        progressStatus.batches[globalIndex].status = 'completed';
+      } catch (error) {
+        if (lazyJob !== job) {
+          break;
+        }
+        logError('LAZY_TRANSLATE_ERROR', `배치 ${globalIndex + 1} 지연 번역 실패`, {}, error);
+        progressStatus.batches[globalIndex].status = 'failed';
+      }
+
+      job.tracker.release(batch.start, batch.end);
+      progressStatus.batchesDone++;
+      progressStatus.lazyPending = Math.max(0, progressStatus.lazyPending - batch.size);
+      WPT.Progress.pushProgress();
+    }
+  } finally {
+    job.running = false;
+  }
+
+  if (lazyJob === job && job.batches.every(batch => batch.dispatched)) {
+    logInfo('LAZY_TRANSLATE_DONE', '지연 번역 완료', { batches: job.batches.length });
+    stopLazyTranslation();
+    WPT.Progress.pushProgress();
+  }
+}
+
+// ===== 원문 함께 보기 =====
+
+/**
+ * 원문 함께 보기 전환
+ * - 이미 번역된 블록에 즉시 반영, 이후 번역(캐시/실시간 포함)에도 적용
+ * @param {boolean} enabled - 사용 여부
+ */
+function handleSetBilingual(enabled) {
+  if (!WPT.Bilingual) {
+    return;
+  }
+  runDomMutation(() => WPT.Bilingual.setEnabled(enabled, translatedBlocks));
+  logInfo('BILINGUAL_TOGGLE', '원문 함께 보기 전환', { enabled: !!enabled, blocks: translatedBlocks.size });
+}
+
+// ===== 블록 검토 도구 =====
+
+/**
+ * 블록 검토 도구 시작 (마우스를 올린 번역 블록의 원문 표시, 블록 단위 재번역/오류 표시)
+ * @param {{apiKey: string, model: string}} settings - 재번역에 사용할 API Key와 기본 모델
+ */
+function startBlockInspector(settings) {
+  if (!WPT.Inspector) {
+    return;
+  }
+  WPT.Inspector.start({
+    blocks: translatedBlocks,
+    model: settings.model,
+    onRetranslate: (block, model) => retranslateBlock(block, settings.apiKey, model),
+    onMarkWrong: markBlockWrong
+  });
+}
+
+function stopBlockInspector() {
+  if (WPT.Inspector && WPT.Inspector.isActive()) {
+    WPT.Inspector.stop();
+  }
+}
+
+/**
+ * 블록 하나만 다른 모델로 다시 번역하고 캐시 항목 갱신
+ * @param {Element} block - 번역된 블록
+ * @param {string} apiKey - API Key (설정에서 고른 제공자)
+ * @param {string} model - 재번역 모델
+ */
+async function retranslateBlock(block, apiKey, model) {
+  const entry = translatedBlocks.get(block);
+  if (!entry) {
+    throw new Error('번역 기록이 없는 블록입니다');
+  }
+
+  const budgetStop = WPT.Usage ? await WPT.Usage.checkBudget() : null;
+  if (budgetStop) {
+    throw new Error(budgetStop.message);
+  }
+
+  const source = entry.unit.texts.join(' ');
+  const [translation] = await translateBatch({ texts: [source] }, apiKey, model);
+  if (!translation) {
+    throw new Error('번역 결과가 비어 있습니다');
+  }
+
+  runDomMutation(() => WPT.Dom.applyUnitTranslation(entry.unit, translation));
+  entry.flagged = false;
+  if (WPT.Cache && WPT.Cache.setCachedTranslation) {
+    await WPT.Cache.setCachedTranslation(source, translation, model, currentTargetLanguage);
+  }
+
+  logInfo('BLOCK_RETRANSLATED', '블록 재번역 완료', { model, length: source.length });
+}
+
+/**
+ * 블록 번역을 오류로 표시 (캐시 항목에 flagged 기록 → 다음 번역 시 재번역)
+ * @param {Element} block - 번역된 블록
+ */
+async function markBlockWrong(block) {
+  const entry = translatedBlocks.get(block);
+  if (!entry) {
+    throw new Error('번역 기록이 없는 블록입니다');
+  }
+
+  const source = entry.unit.texts.join(' ');
+  const updated = WPT.Cache && WPT.Cache.markTranslationWrong ? await WPT.Cache.markTranslationWrong(source, currentTargetLanguage) : false;
+  entry.flagged = true;
+
+  logInfo('BLOCK_MARKED_WRONG', '블록 번역 오류 표시', { cached: updated, length: source.length });
+}
+
 // ===== 원본 복원 =====
 
 /**
@@ -1112,15 +2281,43 @@ function parseTranslationResult(translatedText, expectedCount) {
 function handleRestoreOriginal() {
   log('Restoring original texts...');
 
-  translatedElements.forEach(element => {
+  // 복원 후에는 동적 콘텐츠/남은 배치를 다시 번역하지 않도록 감시 중단
+  stopLiveTranslation();
+  stopLazyTranslation();
+  stopBlockInspector();
+  frameProgress.clear();
+
+  runDomMutation(() => translatedElements.forEach(element => {
     if (element && originalTexts.has(element)) {
       const originalText = originalTexts.get(element);
       element.textContent = originalText;
     }
-  });
+  }));
+
+  // 원문 표시 제거 (사용 여부 설정은 다음 번역을 위해 유지)
+  runDomMutation(() => WPT.Bilingual && WPT.Bilingual.clear(translatedBlocks));
+
+  // 인라인 서식 재배치 되돌리기 (원래 자식 노드 순서/텍스트 그대로)
+  runDomMutation(() => originalStructures.forEach((children, container) => {
+    container.replaceChildren(...children);
+  }));
+
+  // 속성 원본 복원
+  runDomMutation(() => originalAttributes.forEach((attrs, element) => {
+    Object.keys(attrs).forEach((attr) => {
+      if (attrs[attr] === null) {
+        element.removeAttribute(attr);
+      } else {
+        element.setAttribute(attr, attrs[attr]);
+      }
+    });
+  }));
 
   originalTexts = new WeakMap();
   translatedElements.clear();
+  originalAttributes.clear();
+  originalStructures.clear();
+  translatedBlocks.clear();
 
   if (progressStatus.originalTitle) {
     applyTranslatedTitleToDocument(progressStatus.originalTitle);
@@ -1129,6 +2326,7 @@ function handleRestoreOriginal() {
   translationState = 'restored';
   progressStatus.state = 'restored';
   progressStatus.translatedCount = 0;
+  progressStatus.attributeCount = 0;
   progressStatus.previewText = '';
   progressStatus.translatedTitle = progressStatus.originalTitle;
 
@@ -1141,7 +2339,7 @@ function handleRestoreOriginal() {
  * 페이지의 모든 번역 가능한 텍스트 노드 수집
  *
  * 제외 태그: SCRIPT, STYLE, NOSCRIPT, IFRAME, SVG, CANVAS, CODE, PRE
- * 필터링: 빈 텍스트, 2000자 초과 텍스트
+ * 필터링: 빈 텍스트 (긴 텍스트는 번역 시 나눠서 처리)
  *
  * @returns {Array<Node>} 텍스트 노드 배열
  */
@@ -1178,11 +2376,6 @@ function getAllTextNodes() {
           return NodeFilter.FILTER_REJECT;
         }
 
-        // 최대 텍스트 길이 제한
-        if (text.length > 2000) {
-          return NodeFilter.FILTER_REJECT;
-        }
-
         return NodeFilter.FILTER_ACCEPT;
       }
     }
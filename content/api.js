@@ -1,6 +1,8 @@
 /**
  * Content API Module
- * - OpenRouter API 호출과 재시도 유틸리티
+ * - LLM API 호출(제공자별 형식은 content/llm.js)과 재시도 유틸리티
+ * - 응답의 usage(토큰/비용)는 WPT.Usage에 기록
+ * - 429 응답은 onRateLimit 등록 함수에 알림 (번역 작업이 동시 요청 수를 줄임)
  */
 (function apiModule(){
   try {
@@ -13,8 +15,34 @@
       BACKOFF: 2
     };
 
+    const MAX_RETRY_AFTER_MS = 30000; // 서버가 알려준 대기 시간 상한
+
+    // 요청 한도 초과(429) 알림 대상 (번역 작업의 동시 요청 수 조절)
+    const rateLimitListeners = new Set();
+
     function wait(delayMs){ return new Promise(r=>setTimeout(r, delayMs)); }
 
+    /**
+     * 요청 한도 초과(429) 응답 알림 등록 (재시도 중인 응답 포함, 받을 때마다 호출)
+     * @param {Function} listener - (error) => void
+     * @returns {Function} 등록 해제 함수
+     */
+    function onRateLimit(listener){
+      rateLimitListeners.add(listener);
+      return () => rateLimitListeners.delete(listener);
+    }
+
+    function notifyRateLimit(error){
+      rateLimitListeners.forEach((listener) => {
+        try { listener(error); } catch (_) {}
+      });
+    }
+
+    function recordUsage(usage, model, meta){
+      if (!usage || !WPT.Usage || typeof WPT.Usage.record !== 'function') return;
+      try { WPT.Usage.record(usage, { model, purpose: meta && meta.purpose }); } catch (_) {}
+    }
+
     async function executeWithRetry(asyncTask, {
       maxAttempts = DEFAULTS.MAX_ATTEMPTS,
       baseDelayMs = DEFAULTS.BASE_DELAY_MS,
@@ -26,138 +54,63 @@
         try{ return await asyncTask(attempt); }
         catch(error){
           lastError = error;
+          if (error?.status === 429) notifyRateLimit(error);
           const isNetworkError = error instanceof TypeError || (typeof error?.message === 'string' && error.message.includes('Failed to fetch'));
           const isExplicitRetryable = error?.retryable === true;
           const isExplicitNonRetryable = error?.retryable === false;
           const shouldRetry = attempt < maxAttempts && !isExplicitNonRetryable && (isExplicitRetryable || isNetworkError);
           if(!shouldRetry) throw error;
-          const delayMs = baseDelayMs * Math.pow(backoffFactor, attempt - 1);
+          const delayMs = Math.max(baseDelayMs * Math.pow(backoffFactor, attempt - 1), Math.min(error?.retryAfterMs || 0, MAX_RETRY_AFTER_MS));
           await wait(delayMs);
         }
       }
       throw lastError;
     }
 
-    async function requestOpenRouter(prompt, apiKey, model, meta = {}){
-      const url = 'https://openrouter.ai/api/v1/chat/completions';
-      const reqId = Math.random().toString(36).slice(2);
-      const startTime = performance.now();
-      let attempts = 0;
-
-      try{
-        const responseText = await executeWithRetry(async (attempt) => {
-          attempts = attempt;
-          const attemptStart = performance.now();
-          const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json',
-              'HTTP-Referer': window.location.href,
-              'X-Title': 'Web Page Translator'
-            },
-            body: JSON.stringify({
-              model,
-              messages: [{ role: 'user', content: prompt }]
-            })
-          });
-
-          const attemptDurationMs = Math.round(performance.now() - attemptStart);
-          if(!response.ok){
-            const error = new Error(`API error: ${response.statusText}`);
-            error.status = response.status;
-            error.retryable = response.status >= 500 || response.status === 429;
-            throw error;
-          }
-          const data = await response.json();
-          return data.choices?.[0]?.message?.content || '';
-        });
-
-        return responseText;
-      } finally {
-        void attempts; void reqId; void startTime; void meta; // no-op to avoid eslint noise
-      }
+    /**
+     * LLM 일반 요청 (설정에서 고른 제공자, content/llm.js)
+     * - 5xx/429/네트워크 실패는 executeWithRetry로 재시도
+     * @param {string} prompt - 프롬프트
+     * @param {string} apiKey - 현재 제공자의 API Key
+     * @param {string} model - 모델명
+     * @param {Object} [meta] - 요청 정보 (purpose: 사용량 기록용 용도, responseSchema: JSON 응답 스키마)
+     * @returns {Promise<string>} 응답 텍스트
+     */
+    async function requestLlm(prompt, apiKey, model, meta = {}){
+      const { text, usage } = await executeWithRetry(() => WPT.Llm.complete(prompt, { apiKey, model, responseSchema: meta.responseSchema }));
+      recordUsage(usage, model, meta);
+      return text;
     }
 
     /**
-     * OpenRouter API 스트리밍 요청
+     * LLM 스트리밍 요청 (설정에서 고른 제공자, content/llm.js)
+     * - 응답 시작 전 실패(5xx/429/네트워크)는 executeWithRetry로 재시도
+     * - HTTP 오류는 status를 유지해 호출 측이 스트리밍 미지원과 구분할 수 있음
      * @param {string} prompt - 프롬프트
-     * @param {string} apiKey - API 키
+     * @param {string} apiKey - 현재 제공자의 API Key
      * @param {string} model - 모델명
      * @param {Function} onChunk - 청크 수신 콜백 (text) => void
      * @param {Object} options - 추가 옵션
+     * @param {number} [options.temperature] - 생략 시 모델 기본값
+     * @param {number} [options.maxTokens] - 생략 시 모델 기본값
+     * @param {string} [options.purpose] - 요청 용도 (사용량 기록)
+     * @param {{name: string, schema: Object}} [options.responseSchema] - JSON 응답 스키마
      * @returns {Promise<string>} 전체 응답 텍스트
      */
-    async function requestOpenRouterStreaming(prompt, apiKey, model, onChunk, options = {}){
-      const url = 'https://openrouter.ai/api/v1/chat/completions';
-      const { temperature = 0.7, maxTokens = 2000 } = options;
+    async function requestLlmStreaming(prompt, apiKey, model, onChunk, options = {}){
+      const { temperature, maxTokens, responseSchema } = options;
+      const stream = await executeWithRetry(() => WPT.Llm.startStream(prompt, { apiKey, model, temperature, maxTokens, responseSchema }));
 
       try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': window.location.href,
-            'X-Title': 'Web Page Translator'
-          },
-          body: JSON.stringify({
-            model,
-            messages: [{ role: 'user', content: prompt }],
-            stream: true,
-            temperature,
-            max_tokens: maxTokens
-          })
-        });
-
-        if (!response.ok) {
-          const error = new Error(`API error: ${response.statusText}`);
-          error.status = response.status;
-          throw error;
-        }
-
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullText = '';
-        let buffer = '';
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || ''; // 마지막 불완전한 줄은 버퍼에 보관
-
-          for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed === 'data: [DONE]') continue;
-            if (!trimmed.startsWith('data: ')) continue;
-
-            try {
-              const jsonStr = trimmed.slice(6); // 'data: ' 제거
-              const data = JSON.parse(jsonStr);
-              const content = data.choices?.[0]?.delta?.content;
-
-              if (content) {
-                fullText += content;
-                if (onChunk) {
-                  onChunk(content);
-                }
-              }
-            } catch (parseError) {
-              // JSON 파싱 에러 무시 (불완전한 청크)
-            }
-          }
-        }
-
-        return fullText;
+        const { text, usage } = await WPT.Llm.readStream(stream, onChunk);
+        recordUsage(usage, model, options);
+        return text;
       } catch (error) {
         throw new Error(`스트리밍 실패: ${error.message}`);
       }
     }
 
-    WPT.Api = { wait, executeWithRetry, requestOpenRouter, requestOpenRouterStreaming };
+    WPT.Api = { wait, executeWithRetry, onRateLimit, requestLlm, requestLlmStreaming };
   } catch(_) { /* no-op */ }
 })();
 
@@ -0,0 +1,220 @@
+/**
+ * Content Batching Module
+ * - 번역 단위의 토큰 수를 어림잡아 모델별 토큰 예산만큼 배치를 채움 (개수 고정 배치 대신)
+ * - 예산보다 길거나 MAX_SEGMENT_CHARS를 넘는 단위는 문단/문장 경계에서 여러 조각으로 나눔 (번역 후 다시 이어 붙임)
+ * - 요청 한도 초과(429) 응답을 받으면 동시 요청 수를 줄이고, 성공이 이어지면 설정값까지 다시 늘림
+ */
+(function batchingModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+    if (WPT.Batching) return;
+
+    const DEFAULT_TOKEN_BUDGET = 2000;
+    const ITEM_OVERHEAD_TOKENS = 8; // 항목마다 붙는 {"id":n,"text":""} 형식 분량
+    const MAX_SEGMENT_CHARS = 2000; // 이보다 긴 단위는 토큰 예산 안이어도 나눠 번역 (긴 항목은 응답이 누락/요약되기 쉬움)
+
+    /**
+     * 모델별 배치 토큰 예산 (입력 기준, 앞에서부터 처음 맞는 항목 사용)
+     * - 번역문은 원문보다 토큰이 많아지기 쉬우므로 모델의 최대 출력 토큰보다 넉넉히 작게 잡음
+     */
+    const MODEL_TOKEN_BUDGETS = [
+      { pattern: /gpt-4o|gpt-4\.1|gpt-5/i, budget: 4000 },
+      { pattern: /claude|gemini/i, budget: 3000 },
+      { pattern: /llama|qwen|mistral|gemma|phi/i, budget: 1200 } // 로컬 서버의 작은 모델
+    ];
+
+    // 문장 끝: 마침표류 뒤 공백, 또는 CJK 문장 부호 (닫는 따옴표/괄호 포함)
+    const SENTENCE_END_PATTERN = /[.!?…]+["'”’)\]]*(\s+)|[。！？]+["'”’」』)\]]*(\s*)/g;
+
+    // 한 글자가 토큰 하나 정도인 문자 (한글, 한자, 가나)
+    const WIDE_CHAR_PATTERN = /[\u1100-\u11ff\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+    /**
+     * 토큰 수 어림값 (한글/한자/가나는 글자당 1, 나머지는 4글자당 1)
+     * @param {string} text
+     * @returns {number}
+     */
+    function estimateTokens(text){
+      const value = String(text || '');
+      const wide = (value.match(WIDE_CHAR_PATTERN) || []).length;
+      return wide + Math.ceil((value.length - wide) / 4);
+    }
+
+    /**
+     * 모델의 배치 토큰 예산
+     * @param {string} model
+     * @returns {number}
+     */
+    function getTokenBudget(model){
+      const entry = MODEL_TOKEN_BUDGETS.find(item => item.pattern.test(String(model || '')));
+      return entry ? entry.budget : DEFAULT_TOKEN_BUDGET;
+    }
+
+    /**
+     * 나눠서 번역해야 하는 단위인지 (토큰 예산 초과 또는 MAX_SEGMENT_CHARS 초과)
+     * @param {string} text
+     * @param {number} tokenBudget
+     * @returns {boolean}
+     */
+    function needsSplit(text, tokenBudget){
+      return String(text || '').length > MAX_SEGMENT_CHARS || estimateTokens(text) > tokenBudget;
+    }
+
+    /**
+     * 토큰 예산만큼 순서대로 배치 채우기
+     * - 한 배치는 tokenBudget과 maxItems(설정의 배치 크기)를 모두 넘지 않음
+     * - 혼자서 예산을 넘는 단위는 단독 배치 (번역 시 splitText로 나눔)
+     * @param {Array<string>} texts - 번역 단위 텍스트
+     * @param {{tokenBudget: number, maxItems: number}} options
+     * @returns {Array<{start: number, end: number, tokens: number}>} texts 구간 [start, end)
+     */
+    function packBatches(texts, { tokenBudget, maxItems }){
+      const batches = [];
+      let current = null;
+
+      texts.forEach((text, index) => {
+        const tokens = estimateTokens(text) + ITEM_OVERHEAD_TOKENS;
+        const fits = current && current.tokens + tokens <= tokenBudget && current.end - current.start < maxItems;
+        if (fits) {
+          current.end = index + 1;
+          current.tokens += tokens;
+          return;
+        }
+        current = { start: index, end: index + 1, tokens };
+        batches.push(current);
+      });
+      return batches;
+    }
+
+    /**
+     * 경계 뒤 공백을 건너뛴 다음 조각 시작 위치와 이어 붙일 구분자
+     * @param {string} text
+     * @param {number} end - 조각 끝
+     * @returns {{end: number, next: number, separator: string}}
+     */
+    function cutAt(text, end){
+      const gap = text.slice(end).match(/^\s*/)[0];
+      return { end, next: end + gap.length, separator: gap.includes('\n') ? '\n' : (gap ? ' ' : '') };
+    }
+
+    /**
+     * 예산과 글자 수 안에 들어가는 가장 긴 앞부분에서 자를 위치 찾기 (문단 → 문장 → 공백 → 글자 단위)
+     * - 경계가 앞쪽 절반보다 앞에 있으면 너무 잘게 나뉘므로 다음 방식 사용
+     * @param {string} text
+     * @param {number} maxTokens
+     * @returns {{end: number, next: number, separator: string}} 조각 끝, 다음 조각 시작, 이어 붙일 구분자
+     */
+    function findCut(text, maxTokens){
+      let low = 1;
+      let high = Math.min(text.length, MAX_SEGMENT_CHARS);
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (estimateTokens(text.slice(0, mid)) <= maxTokens) low = mid; else high = mid - 1;
+      }
+
+      const head = text.slice(0, low + 1); // 바로 뒤 공백도 경계로 인정
+      const half = Math.floor(low / 2);
+
+      const lineBreak = head.lastIndexOf('\n');
+      if (lineBreak > half) return cutAt(text, lineBreak);
+
+      let sentenceEnd = -1;
+      let match;
+      SENTENCE_END_PATTERN.lastIndex = 0;
+      while ((match = SENTENCE_END_PATTERN.exec(head)) !== null) {
+        const end = match.index + match[0].length - (match[1] || match[2] || '').length;
+        if (end <= low) sentenceEnd = end;
+      }
+      if (sentenceEnd > half) return cutAt(text, sentenceEnd);
+
+      const space = head.search(/\s\S*$/);
+      if (space > half) return cutAt(text, space);
+
+      return { end: low, next: low, separator: '' };
+    }
+
+    /**
+     * 긴 텍스트를 조각으로 나눔 (조각마다 maxTokens와 MAX_SEGMENT_CHARS 이하)
+     * @param {string} text
+     * @param {number} maxTokens - 조각 하나의 최대 토큰
+     * @returns {Array<{text: string, separator: string}>} separator: 다음 조각 앞에 붙일 구분자
+     */
+    function splitText(text, maxTokens){
+      const pieces = [];
+      let rest = String(text || '').trim();
+      while (rest && needsSplit(rest, maxTokens)) {
+        const cut = findCut(rest, maxTokens);
+        pieces.push({ text: rest.slice(0, cut.end).trim(), separator: cut.separator });
+        rest = rest.slice(cut.next);
+      }
+      if (rest) pieces.push({ text: rest, separator: '' });
+      return pieces.filter(piece => piece.text);
+    }
+
+    /**
+     * 번역한 조각 이어 붙이기
+     * @param {Array<{separator: string}>} pieces - splitText 결과
+     * @param {Array<string|null>} translations - 조각별 번역
+     * @returns {string|null} 한 조각이라도 없으면 null
+     */
+    function joinPieces(pieces, translations){
+      if (translations.length !== pieces.length || translations.some(translation => !translation)) return null;
+      return translations.map((translation, idx) => translation + (idx < pieces.length - 1 ? pieces[idx].separator : '')).join('');
+    }
+
+    /**
+     * 동시 요청 수 조절기
+     * - 429를 받으면 허용 수를 절반으로 줄이고, 허용 수의 두 배만큼 연속 성공하면 하나씩 늘림 (최대 max)
+     * @param {number} max - 설정의 동시 처리 개수
+     * @returns {{acquire: Function, release: Function, onRateLimit: Function, onSuccess: Function, getLimit: Function}}
+     */
+    function createConcurrencyController(max){
+      const upper = Math.max(1, max || 1);
+      let limit = upper;
+      let active = 0;
+      let successes = 0;
+      const waiters = [];
+
+      const drain = () => {
+        while (active < limit && waiters.length > 0) {
+          active++;
+          waiters.shift()();
+        }
+      };
+
+      return {
+        acquire(){
+          if (active < limit) {
+            active++;
+            return Promise.resolve();
+          }
+          return new Promise(resolve => waiters.push(resolve));
+        },
+        release(){
+          active = Math.max(0, active - 1);
+          drain();
+        },
+        onRateLimit(){
+          successes = 0;
+          limit = Math.max(1, Math.floor(limit / 2));
+          return limit;
+        },
+        onSuccess(){
+          successes++;
+          if (limit < upper && successes >= limit * 2) {
+            successes = 0;
+            limit++;
+            drain();
+          }
+          return limit;
+        },
+        getLimit(){
+          return limit;
+        }
+      };
+    }
+
+    WPT.Batching = { estimateTokens, getTokenBudget, needsSplit, packBatches, splitText, joinPieces, createConcurrencyController };
+  } catch(_) { /* no-op */ }
+})();
@@ -0,0 +1,80 @@
+/**
+ * Content Bilingual Module
+ * - 원문 함께 보기: 번역된 블록 아래에 원문을 흐리게 표시
+ * - 원문은 번역 적용 시 기록한 블록별 원본을 사용 (API 재호출 없음)
+ * - 표시용 요소는 data-wpt-original 속성으로 표시해 텍스트 수집에서 제외
+ */
+(function bilingualModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+
+    const MARKER_ATTR = 'data-wpt-original';
+    const ORIGINAL_STYLE = 'display:block;margin-top:2px;font-size:0.85em;line-height:1.4;opacity:0.6;font-weight:normal;font-style:normal;';
+
+    let enabled = false;
+
+    function findOriginalElement(block){
+      for (const child of block.children) {
+        if (child.hasAttribute(MARKER_ATTR)) return child;
+      }
+      return null;
+    }
+
+    /**
+     * 블록에 원문 표시 (이미 있으면 내용만 갱신)
+     * - DOM 변경이므로 호출 측에서 runDomMutation으로 감쌈
+     * @param {Element} block - 번역된 블록 요소
+     * @param {string} originalText - 번역 전 원문
+     */
+    function decorate(block, originalText){
+      if (!block || block.nodeType !== Node.ELEMENT_NODE || !originalText) return;
+      let element = findOriginalElement(block);
+      if (!element) {
+        element = block.ownerDocument.createElement('span');
+        element.setAttribute(MARKER_ATTR, '');
+        element.style.cssText = ORIGINAL_STYLE;
+        block.appendChild(element);
+      }
+      if (element.textContent !== originalText) element.textContent = originalText;
+    }
+
+    function undecorate(block){
+      const element = block && block.children ? findOriginalElement(block) : null;
+      if (element) element.remove();
+    }
+
+    /**
+     * 원문 함께 보기 켜기/끄기
+     * @param {boolean} value - 사용 여부
+     * @param {Map<Element, {original: string}>} [blocks] - 번역된 블록 → 원문 정보 (주어지면 즉시 반영)
+     */
+    function setEnabled(value, blocks){
+      enabled = !!value;
+      if (!blocks) return;
+      blocks.forEach((entry, block) => {
+        if (enabled && block.isConnected) {
+          decorate(block, entry.original);
+        } else {
+          undecorate(block);
+        }
+      });
+    }
+
+    /**
+     * 원문 표시 모두 제거 (원본 복원 시), 사용 여부 설정은 유지
+     * @param {Map<Element, Object>} blocks
+     */
+    function clear(blocks){
+      if (blocks) blocks.forEach((_, block) => undecorate(block));
+    }
+
+    function isEnabled(){ return enabled; }
+
+    function isMarker(element){
+      return !!(element && element.hasAttribute && element.hasAttribute(MARKER_ATTR));
+    }
+
+    WPT.Bilingual = { setEnabled, isEnabled, decorate, clear, isMarker };
+  } catch(_) { /* no-op */ }
+})();
@@ -19,7 +19,12 @@
           GET_TRANSLATION_STATE: 'getTranslationState',
           GET_TRANSLATED_TITLE: 'getTranslatedTitle',
           GET_CACHE_STATUS: 'getCacheStatus',
-          CLEAR_CACHE_FOR_DOMAIN: 'clearCacheForDomain'
+          CLEAR_CACHE_FOR_DOMAIN: 'clearCacheForDomain',
+          FRAME_PROGRESS: 'frameProgress',
+          SET_BILINGUAL: 'setBilingual',
+          TRANSLATE_SELECTION: 'translateSelection',
+          EXPORT_CACHE: 'exportCache',
+          IMPORT_CACHE: 'importCache'
         }
       };
     }
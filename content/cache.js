@@ -1,24 +1,76 @@
 /**
  * Content Cache Module
  * - IndexedDB 캐시 유틸리티
+ * - 저장소는 확장 프로그램 출처의 DB 하나 (background service worker가 importScripts로 로드해 직접 접근)
+ *   content script에서는 같은 이름의 함수가 background에 CACHE_REQUEST 메시지로 요청 (페이지 출처 DB는 사용하지 않음)
+ * - 항목 키는 출처 + 원문 키(대상 언어 + 원문) + 모델 계열: 사이트·계열마다 따로 저장해 다른 사이트나 모델의 번역이 덮어쓰지 않음
+ *   ('어떤 모델이든' 정책은 source 인덱스로 같은 원문의 모든 계열 항목 중 요청한 사이트의 가장 최근 번역 사용)
+ * - 번역에 적용된 용어집 항목의 지문(glossary)을 기록해 용어집을 바꾸면 해당 문장만 캐시 미스 (지문은 content script가 계산)
+ * - 항목마다 출처(origin)/URL을 기록하고 origin 인덱스로 사이트 단위 조회·삭제 (출처는 background가 요청한 프레임 URL로 결정)
+ * - 출처별 항목 수/용량은 stats 저장소에 쓰기·삭제 시점마다 갱신 (상태 조회 시 전체 순회 없음)
+ * - 최대 용량(전체 사이트 합계) 초과 시 lastUsed 인덱스 순으로 오래 안 쓴 항목부터 삭제(LRU), 만료 항목은 ts 인덱스로 정리
+ * - 팀 공유용 내보내기/가져오기: 파일 형식은 sidepanel(modules/cache-transfer.js)이 담당, 여기서는 항목 목록만 주고받음
+ * - 이전 버전이 페이지 출처에 만든 캐시 DB는 content script가 그 출처에서 처음 실행될 때 삭제
  */
 (function cacheModule(){
   try {
-    window.WPT = window.WPT || {};
-    const WPT = window.WPT;
+    const root = typeof window !== 'undefined' ? window : self;
+    root.WPT = root.WPT || {};
+    const WPT = root.WPT;
 
     const DB_NAME = 'TranslationCache';
-    const DB_VERSION = 1;
+    const DB_VERSION = 4; // v2: origin/url 필드 + origin 인덱스, v3: 모델 계열별 키 + source 인덱스, v4: size/lastUsed 필드 + ts/lastUsed 인덱스 + stats 저장소
     const STORE_NAME = 'translations';
+    const STATS_STORE = 'stats';
+    const ORIGIN_INDEX = 'origin';
+    const TS_INDEX = 'ts';
+    const LAST_USED_INDEX = 'lastUsed';
+    const SOURCE_INDEX = 'source';
     const DEFAULT_TTL_MINUTES = 525600;
+    const DEFAULT_MAX_SIZE_MB = 50;
+    const EVICT_TARGET_RATIO = 0.9;            // 초과 시 최대 용량의 90%까지 비워 매 쓰기마다 정리가 반복되지 않게 함
+    const EVICT_DELAY_MS = 3000;               // 번역 중 연속 쓰기를 모아 한 번만 용량 확인
+    const LAST_USED_REFRESH_MS = 10 * 60 * 1000; // 캐시 적중마다 쓰기 트랜잭션을 열지 않도록 10분 단위로만 갱신
+    const WRITE_FLUSH_DELAY_MS = 200;          // content script: 배치 적용 중 연속 저장을 모아 메시지 한 번으로 전달
+    // 내보내기에 포함할 필드 (size/lastUsed/origin은 가져오는 쪽에서 다시 계산)
+    const EXPORT_FIELDS = ['hash', 'source', 'translation', 'ts', 'model', 'lang', 'promptVersion', 'glossary', 'url'];
+    const IMPORT_POLICIES = ['newest', 'keepMine'];
+    // 번역 프롬프트(content.js translateWithLlm, title.js) 출력이 달라지는 변경 시 올림 → 이전 버전 항목은 캐시 미스
+    // v2: 용어집 지시문 추가, v3: id로 묶은 JSON 항목 형식 배치 프롬프트
+    const PROMPT_VERSION = 3;
+    const CACHE_REQUEST = 'CACHE_REQUEST';
+    // 확장 프로그램 출처(service worker)면 저장소, 페이지에 주입된 content script면 background 요청
+    const IS_STORE = typeof window === 'undefined' || root.location.protocol === 'chrome-extension:';
+
+    function getCurrentOrigin(){ return root.location.origin; }
 
     async function openDB(){
       return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
         request.onupgradeneeded = (event) => {
           const db = event.target.result;
-          if(!db.objectStoreNames.contains(STORE_NAME)){
-            db.createObjectStore(STORE_NAME, { keyPath: 'hash' });
+          const store = db.objectStoreNames.contains(STORE_NAME)
+            ? event.target.transaction.objectStore(STORE_NAME)
+            : db.createObjectStore(STORE_NAME, { keyPath: 'hash' });
+          // v3 이하 항목은 size/lastUsed가 없어 용량 계산·LRU에서 빠지므로 비움 (v2 항목은 모델 계열 없는 키라 어차피 조회되지 않음)
+          if(event.oldVersion > 0 && event.oldVersion < 4){
+            store.clear();
+            if(db.objectStoreNames.contains(STATS_STORE)) event.target.transaction.objectStore(STATS_STORE).clear();
+          }
+          if(!store.indexNames.contains(ORIGIN_INDEX)){
+            store.createIndex(ORIGIN_INDEX, 'origin', { unique: false });
+          }
+          if(!store.indexNames.contains(TS_INDEX)){
+            store.createIndex(TS_INDEX, 'ts', { unique: false });
+          }
+          if(!store.indexNames.contains(LAST_USED_INDEX)){
+            store.createIndex(LAST_USED_INDEX, 'lastUsed', { unique: false });
+          }
+          if(!store.indexNames.contains(SOURCE_INDEX)){
+            store.createIndex(SOURCE_INDEX, 'source', { unique: false });
+          }
+          if(!db.objectStoreNames.contains(STATS_STORE)){
+            db.createObjectStore(STATS_STORE, { keyPath: 'origin' });
           }
         };
         request.onsuccess = (e)=> resolve(e.target.result);
@@ -26,6 +78,44 @@
       });
     }
 
+    function requestResult(request){
+      return new Promise((res, rej)=>{
+        request.onsuccess = ()=> res(request.result);
+        request.onerror = ()=> rej(request.error);
+      });
+    }
+
+    function transactionDone(tx){
+      return new Promise((res, rej)=>{ tx.oncomplete = res; tx.onerror = ()=>rej(tx.error); tx.onabort = ()=>rej(tx.error); });
+    }
+
+    /**
+     * 항목 용량(바이트 근사치)을 size 필드에 기록 - 삭제 시 다시 직렬화하지 않고 카운터에서 뺄 수 있게 함
+     * @param {Object} record
+     * @returns {Object}
+     */
+    function withSize(record){
+      const { size, ...rest } = record;
+      return { ...rest, size: JSON.stringify(rest).length };
+    }
+
+    /**
+     * 출처별 카운터 갱신 (호출한 readwrite 트랜잭션 안에서 처리)
+     * @param {IDBObjectStore} statsStore
+     * @param {string} origin
+     * @param {number} countDelta
+     * @param {number} sizeDelta
+     */
+    async function adjustStats(statsStore, origin, countDelta, sizeDelta){
+      const current = await requestResult(statsStore.get(origin)) || { origin, count: 0, size: 0 };
+      const count = Math.max(0, current.count + countDelta);
+      if(count === 0){
+        statsStore.delete(origin);
+        return;
+      }
+      statsStore.put({ origin, count, size: Math.max(0, current.size + sizeDelta) });
+    }
+
     async function sha1Hash(str){
       const encoder = new TextEncoder();
       const data = encoder.encode(str);
@@ -34,6 +124,57 @@
       return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
     }
 
+    /**
+     * 원문 키 생성 (source 인덱스)
+     * - 같은 문장의 한국어/일본어 번역이 섞이지 않도록 대상 언어를 키에 포함
+     * - 한국어는 원문만으로 해시
+     * @param {string} text - 원문
+     * @param {string} [lang] - 대상 언어 코드
+     * @returns {Promise<string>}
+     */
+    async function buildSourceKey(text, lang){
+      const target = WPT.Language ? WPT.Language.normalizeTarget(lang) : 'ko';
+      return sha1Hash(target === 'ko' ? text : `${target}\n${text}`);
+    }
+
+    /**
+     * 항목 키 생성: 출처 + 원문 키 + 모델 계열
+     * - 출처를 키에 넣어 같은 문장을 다른 사이트에서 번역해도 사이트별 항목(과 카운터)이 따로 유지됨
+     * @param {string} source - buildSourceKey 결과
+     * @param {string} model
+     * @param {string} origin - 항목을 저장한 사이트 출처
+     * @returns {Promise<string>}
+     */
+    async function buildRecordKey(source, model, origin){
+      return sha1Hash(`${origin}\n${getModelFamily(model)}\n${source}`);
+    }
+
+    /**
+     * 모델 계열: OpenRouter 변형 접미사(:free, :nitro 등)와 날짜 스냅샷(-2024-08-06)을 뺀 모델 ID
+     * 예: 'openai/gpt-4o-2024-08-06' → 'openai/gpt-4o', 'meta-llama/llama-3-8b-instruct:free' → 'meta-llama/llama-3-8b-instruct'
+     * @param {string} model
+     * @returns {string}
+     */
+    function getModelFamily(model){
+      return String(model || '').trim().toLowerCase()
+        .replace(/:[a-z0-9-]+$/, '')
+        .replace(/-\d{4}-\d{2}-\d{2}$/, '');
+    }
+
+    /**
+     * 캐시 항목 사용 가능 여부 (프롬프트 버전 + 용어집 지문 + 모델 정책)
+     * @param {Object} record - 캐시 항목
+     * @param {{model?: string, modelPolicy?: 'current'|'any'}} options
+     * @param {string} [glossary] - 지금 원문에 적용되는 용어집 지문 (없으면 빈 문자열)
+     * @returns {boolean}
+     */
+    function isRecordUsable(record, { model, modelPolicy = 'current' } = {}, glossary = ''){
+      if((record.promptVersion || 1) !== PROMPT_VERSION) return false;
+      if((record.glossary || '') !== glossary) return false;
+      if(modelPolicy === 'any' || !model) return true;
+      return getModelFamily(record.model) === getModelFamily(model);
+    }
+
     async function getTTL(){
       try{
         const result = await chrome.storage.local.get(['cacheTTL']);
@@ -43,91 +184,582 @@
       }
     }
 
-    async function setCachedTranslation(text, translation, model){
+    async function getMaxSizeBytes(){
       try{
-        const db = await openDB();
-        const hash = await sha1Hash(text);
+        const result = await chrome.storage.local.get(['cacheMaxSizeMB']);
+        return (result.cacheMaxSizeMB || DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+      }catch{
+        return DEFAULT_MAX_SIZE_MB * 1024 * 1024;
+      }
+    }
+
+    // ===== 저장소 (확장 프로그램 출처) =====
+
+    let evictTimer = null;
+
+    function scheduleEviction(){
+      clearTimeout(evictTimer);
+      evictTimer = setTimeout(() => { evictTimer = null; evictLeastRecentlyUsed().catch(() => {}); }, EVICT_DELAY_MS);
+    }
+
+    /**
+     * 번역 여러 개 저장 (한 트랜잭션)
+     * @param {Array<{text: string, translation: string, model: string, lang?: string, glossary?: string}>} entries
+     * @param {{origin: string, url: string}} context - 요청한 프레임의 출처/URL (해시 제외)
+     */
+    async function setCachedTranslations(entries, context){
+      const list = Array.isArray(entries) ? entries.filter(entry => entry && typeof entry.text === 'string' && typeof entry.translation === 'string') : [];
+      if(list.length === 0) return;
+      const sources = await Promise.all(list.map(entry => buildSourceKey(entry.text, entry.lang)));
+      const hashes = await Promise.all(list.map((entry, i) => buildRecordKey(sources[i], entry.model, context.origin)));
+      const db = await openDB();
+      try{
+        const tx = db.transaction([STORE_NAME, STATS_STORE], 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        let countDelta = 0; let sizeDelta = 0; // 모든 항목이 요청한 사이트 출처라 카운터 하나만 갱신
         const ts = Date.now();
+        for(let i = 0; i < list.length; i++){
+          const record = withSize({
+            hash: hashes[i],
+            source: sources[i],
+            translation: list[i].translation,
+            ts,
+            model: list[i].model,
+            lang: WPT.Language ? WPT.Language.normalizeTarget(list[i].lang) : 'ko',
+            promptVersion: PROMPT_VERSION,
+            glossary: typeof list[i].glossary === 'string' ? list[i].glossary : '',
+            origin: context.origin,
+            url: context.url,
+            lastUsed: ts
+          });
+          const previous = await requestResult(store.get(record.hash));
+          store.put(record);
+          if(previous){
+            sizeDelta -= previous.size || 0;
+          }else{
+            countDelta++;
+          }
+          sizeDelta += record.size;
+        }
+        await adjustStats(tx.objectStore(STATS_STORE), context.origin, countDelta, sizeDelta);
+        await transactionDone(tx);
+      } finally {
+        db.close();
+      }
+      scheduleEviction();
+    }
+
+    /**
+     * 캐시 적중 항목의 마지막 사용 시각 갱신 (LRU 순서 유지)
+     * @param {string[]} hashes
+     */
+    async function touchRecords(hashes){
+      const db = await openDB();
+      try{
         const tx = db.transaction([STORE_NAME], 'readwrite');
         const store = tx.objectStore(STORE_NAME);
-        await store.put({ hash, translation, ts, model });
-        await new Promise((res, rej) => { tx.oncomplete = res; tx.onerror = ()=>rej(tx.error); });
+        const now = Date.now();
+        for(const hash of hashes){
+          const record = await requestResult(store.get(hash));
+          if(record) store.put({ ...record, lastUsed: now });
+        }
+        await transactionDone(tx);
+      } finally {
         db.close();
-      }catch{}
+      }
     }
 
-    async function getCachedTranslation(text){
+    /**
+     * 캐시 조회 (여러 원문을 한 트랜잭션으로)
+     * - 현재 모델 계열 항목만 쓰면 항목 키로 바로 조회, 아니면 source 인덱스의 이 사이트 항목 중 사용 가능한 가장 최근 번역
+     * @param {string[]} texts - 원문 목록
+     * @param {string} [lang] - 대상 언어 코드
+     * @param {Object} [options]
+     * @param {string} [options.model] - 현재 모델 (modelPolicy가 'current'면 같은 계열만 적중)
+     * @param {'current'|'any'} [options.modelPolicy='current'] - any: 어떤 모델의 번역이든 사용
+     * @param {number} [options.since] - 이 시각(ms) 이후 저장된 번역만 사용 (중단된 새로 번역 작업 이어하기)
+     * @param {string[]} [options.glossaryKeys] - texts와 같은 순서의 용어집 지문 (WPT.Glossary.fingerprint)
+     * @param {string} origin - 요청한 사이트 출처
+     * @returns {Promise<Array<string|null>>} texts와 같은 순서의 번역 (미스는 null)
+     */
+    async function getCachedTranslations(texts, lang, options = {}, origin){
+      const list = Array.isArray(texts) ? texts : [];
+      if(list.length === 0) return [];
+      const anyFamily = options.modelPolicy === 'any' || !options.model;
+      const sources = await Promise.all(list.map(text => buildSourceKey(String(text), lang)));
+      const hashes = anyFamily ? null : await Promise.all(sources.map(source => buildRecordKey(source, options.model, origin)));
+      const ttl = await getTTL();
+      const db = await openDB();
+      let candidates;
       try{
-        const db = await openDB();
-        const hash = await sha1Hash(text);
-        const ttl = await getTTL();
-        const tx = db.transaction([STORE_NAME], 'readonly');
-        const store = tx.objectStore(STORE_NAME);
-        const result = await new Promise((res, rej)=>{
-          const req = store.get(hash);
-          req.onsuccess = ()=> res(req.result);
-          req.onerror = ()=> rej(req.error);
-        });
+        const store = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+        candidates = await Promise.all(anyFamily
+          ? sources.map(source => requestResult(store.index(SOURCE_INDEX).getAll(IDBKeyRange.only(source)))
+            .then(records => records.filter(record => record.origin === origin)))
+          : hashes.map(hash => requestResult(store.get(hash)).then(record => record ? [record] : [])));
+      } finally {
         db.close();
-        if(!result) return null;
-        const now = Date.now();
-        if(now - result.ts > ttl) return null;
-        return result.translation;
-      }catch{ return null; }
+      }
+      const now = Date.now();
+      const stale = [];
+      const glossaryKeys = Array.isArray(options.glossaryKeys) ? options.glossaryKeys : [];
+      const results = candidates.map((records, i) => {
+        const record = records
+          .filter(item => !item.flagged) // 사용자가 오류로 표시한 번역은 재번역
+          .filter(item => now - item.ts <= ttl)
+          .filter(item => !options.since || item.ts >= options.since)
+          .filter(item => isRecordUsable(item, options, glossaryKeys[i] || ''))
+          .reduce((best, item) => (!best || item.ts > best.ts ? item : best), null);
+        if(!record) return null;
+        if(!record.lastUsed || now - record.lastUsed > LAST_USED_REFRESH_MS) stale.push(record.hash);
+        return record.translation;
+      });
+      if(stale.length > 0) touchRecords(stale).catch(() => {});
+      return results;
     }
 
-    async function clearAllCache(){
+    /**
+     * 번역 오류 표시 (블록 검토 도구)
+     * - 같은 원문의 모든 사이트·모델 계열 항목에 flagged를 기록해 다음 조회부터 캐시 미스로 처리
+     * @param {string} text - 원문
+     * @param {string} [lang] - 대상 언어 코드
+     * @returns {Promise<boolean>} 항목이 있어 표시했으면 true
+     */
+    async function markTranslationWrong(text, lang){
+      const source = await buildSourceKey(text, lang);
+      const db = await openDB();
       try{
-        const db = await openDB();
-        const tx = db.transaction([STORE_NAME], 'readwrite');
+        const tx = db.transaction([STORE_NAME, STATS_STORE], 'readwrite');
         const store = tx.objectStore(STORE_NAME);
-        await new Promise((res, rej)=>{ const r = store.clear(); r.onsuccess = res; r.onerror = ()=>rej(r.error); });
-        await new Promise((res, rej)=>{ tx.oncomplete = res; tx.onerror = ()=>rej(tx.error); });
+        const records = await requestResult(store.index(SOURCE_INDEX).getAll(IDBKeyRange.only(source)));
+        const flaggedAt = Date.now();
+        for(const record of records){
+          const updated = withSize({ ...record, flagged: true, flaggedAt });
+          store.put(updated);
+          if(record.origin) await adjustStats(tx.objectStore(STATS_STORE), record.origin, 0, updated.size - (record.size || 0));
+        }
+        await transactionDone(tx);
+        return records.length > 0;
+      } finally {
         db.close();
-        return true;
-      }catch{ return false; }
+      }
     }
 
-    async function clearPageCache(){ return await clearAllCache(); }
+    async function clearAllCache(){
+      const db = await openDB();
+      try{
+        const tx = db.transaction([STORE_NAME, STATS_STORE], 'readwrite');
+        tx.objectStore(STORE_NAME).clear();
+        tx.objectStore(STATS_STORE).clear();
+        await transactionDone(tx);
+        return true;
+      } finally {
+        db.close();
+      }
+    }
 
-    async function getCacheStatus(){
+    /**
+     * 특정 사이트의 캐시만 삭제 (origin 인덱스)
+     * @param {string} origin
+     * @returns {Promise<number>} 삭제한 항목 수
+     */
+    async function clearDomainCache(origin){
+      const db = await openDB();
       try{
-        const db = await openDB();
-        const tx = db.transaction([STORE_NAME], 'readonly');
-        const store = tx.objectStore(STORE_NAME);
-        const result = await new Promise((res, rej)=>{
-          const r = store.getAll();
+        const tx = db.transaction([STORE_NAME, STATS_STORE], 'readwrite');
+        const index = tx.objectStore(STORE_NAME).index(ORIGIN_INDEX);
+        tx.objectStore(STATS_STORE).delete(origin);
+        let deleted = 0;
+        await new Promise((res, rej)=>{
+          const r = index.openCursor(IDBKeyRange.only(origin));
           r.onsuccess = ()=>{
-            const items = r.result; let totalSize = 0;
-            items.forEach(item => totalSize += JSON.stringify(item).length);
-            res({ success: true, count: items.length, size: totalSize });
+            const cursor = r.result;
+            if(!cursor) return;
+            cursor.delete();
+            deleted++;
+            cursor.continue();
           };
           r.onerror = ()=> rej(r.error);
+          tx.oncomplete = res;
+          tx.onerror = ()=> rej(tx.error);
         });
+        return deleted;
+      } finally {
         db.close();
-        return result;
-      }catch(error){ return { success: false, count: 0, size: 0, error: error.message }; }
+      }
+    }
+
+    /**
+     * 사이트의 캐시 상태 (항목 수/용량) - stats 카운터 조회
+     * @param {string} origin
+     * @returns {Promise<{success: boolean, domain: string, count: number, size: number, error?: string}>}
+     */
+    async function getCacheStatus(origin){
+      let db = null;
+      try{
+        db = await openDB();
+        const tx = db.transaction([STATS_STORE], 'readonly');
+        const stats = await requestResult(tx.objectStore(STATS_STORE).get(origin));
+        return { success: true, domain: origin, count: stats ? stats.count : 0, size: stats ? stats.size : 0 };
+      }catch(error){
+        return { success: false, domain: origin, count: 0, size: 0, error: error.message };
+      } finally {
+        if(db) db.close();
+      }
+    }
+
+    /**
+     * 전체 캐시 상태 - 출처별 카운터 합산 (항목 순회 없음)
+     * @returns {Promise<{count: number, size: number}>}
+     */
+    async function getTotalStatus(){
+      const db = await openDB();
+      try{
+        const all = await requestResult(db.transaction([STATS_STORE], 'readonly').objectStore(STATS_STORE).getAll());
+        return all.reduce((sum, stats) => ({ count: sum.count + stats.count, size: sum.size + stats.size }), { count: 0, size: 0 });
+      } finally {
+        db.close();
+      }
+    }
+
+    /**
+     * 인덱스 커서로 항목을 지우며 출처별 카운터 차감
+     * @param {IDBDatabase} db
+     * @param {string} indexName - TS_INDEX | LAST_USED_INDEX
+     * @param {IDBKeyRange|null} range
+     * @param {(record: Object, freed: number) => boolean} shouldDelete - false를 반환하면 순회 중단
+     * @returns {Promise<{deleted: number, freed: number}>}
+     */
+    async function deleteByIndex(db, indexName, range, shouldDelete){
+      const tx = db.transaction([STORE_NAME, STATS_STORE], 'readwrite');
+      const index = tx.objectStore(STORE_NAME).index(indexName);
+      const removed = new Map(); // origin → { count, size }
+      let deleted = 0; let freed = 0;
+      await new Promise((res, rej)=>{
+        const r = index.openCursor(range);
+        r.onsuccess = ()=>{
+          const cursor = r.result;
+          if(!cursor || !shouldDelete(cursor.value, freed)){ res(); return; }
+          const size = cursor.value.size || 0;
+          const origin = cursor.value.origin || '';
+          const entry = removed.get(origin) || { count: 0, size: 0 };
+          entry.count++;
+          entry.size += size;
+          removed.set(origin, entry);
+          cursor.delete();
+          deleted++;
+          freed += size;
+          cursor.continue();
+        };
+        r.onerror = ()=> rej(r.error);
+      });
+      const statsStore = tx.objectStore(STATS_STORE);
+      for(const [origin, entry] of removed){
+        await adjustStats(statsStore, origin, -entry.count, -entry.size);
+      }
+      await transactionDone(tx);
+      return { deleted, freed };
+    }
+
+    /**
+     * 최대 용량(cacheMaxSizeMB, 전체 사이트 합계) 초과 시 오래 사용하지 않은 항목부터 삭제
+     * @returns {Promise<number>} 삭제한 항목 수
+     */
+    async function evictLeastRecentlyUsed(){
+      const db = await openDB();
+      try{
+        const maxSize = await getMaxSizeBytes();
+        const all = await requestResult(db.transaction([STATS_STORE], 'readonly').objectStore(STATS_STORE).getAll());
+        const total = all.reduce((sum, stats) => sum + stats.size, 0);
+        if(total <= maxSize) return 0;
+        const needed = total - Math.floor(maxSize * EVICT_TARGET_RATIO);
+        const { deleted } = await deleteByIndex(db, LAST_USED_INDEX, null, (record, freed) => freed < needed);
+        return deleted;
+      } finally {
+        db.close();
+      }
+    }
+
+    /**
+     * 만료 항목 정리 + 용량 확인 (background 주기 알람)
+     * - ts 인덱스 범위 커서로 만료 구간만 순회
+     * @returns {Promise<{success: boolean, expired?: number, evicted?: number, error?: string}>}
+     */
+    async function sweepExpired(){
+      try{
+        const ttl = await getTTL();
+        const db = await openDB();
+        let expired = 0;
+        try{
+          ({ deleted: expired } = await deleteByIndex(db, TS_INDEX, IDBKeyRange.upperBound(Date.now() - ttl), () => true));
+        } finally {
+          db.close();
+        }
+        const evicted = await evictLeastRecentlyUsed();
+        return { success: true, expired, evicted };
+      }catch(error){ return { success: false, error: error.message }; }
+    }
+
+    /**
+     * 사이트 캐시 항목 내보내기 (오류로 표시한 번역은 제외)
+     * @param {string} origin
+     * @returns {Promise<Object[]>} EXPORT_FIELDS만 담은 항목 목록
+     */
+    async function exportRecords(origin){
+      const db = await openDB();
+      try{
+        const tx = db.transaction([STORE_NAME], 'readonly');
+        const records = await requestResult(tx.objectStore(STORE_NAME).index(ORIGIN_INDEX).getAll(IDBKeyRange.only(origin)));
+        return records.filter(record => !record.flagged).map(record => {
+          const picked = {};
+          EXPORT_FIELDS.forEach(field => { if(record[field] !== undefined) picked[field] = record[field]; });
+          return picked;
+        });
+      } finally {
+        db.close();
+      }
+    }
+
+    /**
+     * 가져온 항목 검증·정규화
+     * - 다른 프롬프트 버전의 번역은 어차피 캐시 미스이므로 저장하지 않음
+     * - 항목 키는 내보낸 사이트 기준이므로 저장할 출처로 다시 계산
+     * @param {Object} raw
+     * @param {string} origin - 저장할 출처 (가져오기를 요청한 사이트)
+     * @returns {Promise<Object|null>} 유효하지 않으면 null
+     */
+    async function normalizeImportedRecord(raw, origin){
+      if(!raw || typeof raw !== 'object') return null;
+      if(typeof raw.source !== 'string' || !/^[0-9a-f]{40}$/.test(raw.source)) return null;
+      if(typeof raw.translation !== 'string' || !raw.translation) return null;
+      if(!Number.isFinite(raw.ts) || raw.ts <= 0 || raw.ts > Date.now() + 24 * 60 * 60 * 1000) return null;
+      if((raw.promptVersion || 1) !== PROMPT_VERSION) return null;
+      const model = typeof raw.model === 'string' ? raw.model : '';
+      return withSize({
+        hash: await buildRecordKey(raw.source, model, origin),
+        source: raw.source,
+        translation: raw.translation,
+        ts: raw.ts,
+        model,
+        lang: WPT.Language ? WPT.Language.normalizeTarget(raw.lang) : 'ko',
+        promptVersion: PROMPT_VERSION,
+        glossary: typeof raw.glossary === 'string' ? raw.glossary : '',
+        origin,
+        url: typeof raw.url === 'string' ? raw.url : '',
+        lastUsed: Math.min(raw.ts, Date.now())
+      });
+    }
+
+    /**
+     * 내보낸 항목을 사이트 캐시에 합치기 (이 사이트 기준으로 다시 계산한 항목 키 기준)
+     * - newest: 가져온 번역이 더 최근이면 교체 / keepMine: 내 번역 유지
+     * - 오류로 표시한 내 번역은 정책과 관계없이 교체
+     * @param {Object[]} records - exportRecords 형식 항목
+     * @param {'newest'|'keepMine'} policy
+     * @param {string} origin - 저장할 출처
+     * @returns {Promise<{added: number, updated: number, kept: number, invalid: number}>}
+     */
+    async function importRecords(records, policy, origin){
+      const mode = IMPORT_POLICIES.includes(policy) ? policy : 'newest';
+      const result = { added: 0, updated: 0, kept: 0, invalid: 0 };
+      // 키 계산(비동기 해시)은 트랜잭션을 열기 전에 끝내야 트랜잭션이 자동 완료되지 않음
+      const normalized = await Promise.all((Array.isArray(records) ? records : []).map(raw => normalizeImportedRecord(raw, origin)));
+      const db = await openDB();
+      try{
+        const tx = db.transaction([STORE_NAME, STATS_STORE], 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        let countDelta = 0; let sizeDelta = 0; // 모든 항목이 요청한 사이트 출처라 카운터 하나만 갱신
+        for(const record of normalized){
+          if(!record){ result.invalid++; continue; }
+          const existing = await requestResult(store.get(record.hash));
+          if(existing && !existing.flagged && (mode === 'keepMine' || existing.ts >= record.ts)){
+            result.kept++;
+            continue;
+          }
+          store.put(existing ? { ...record, lastUsed: Math.max(record.lastUsed, existing.lastUsed || 0) } : record);
+          if(existing){
+            sizeDelta -= existing.size || 0;
+            result.updated++;
+          }else{
+            countDelta++;
+            result.added++;
+          }
+          sizeDelta += record.size;
+        }
+        await adjustStats(tx.objectStore(STATS_STORE), origin, countDelta, sizeDelta);
+        await transactionDone(tx);
+      } finally {
+        db.close();
+      }
+      if(result.added || result.updated) scheduleEviction();
+      return result;
+    }
+
+    // content script 요청 → 저장소 함수 (출처는 요청 인자가 아니라 background가 정한 context 사용)
+    const REQUEST_HANDLERS = {
+      get: ([texts, lang, options], context) => getCachedTranslations(texts, lang, options, context.origin),
+      set: ([entries], context) => setCachedTranslations(entries, context),
+      markWrong: ([text, lang]) => markTranslationWrong(text, lang),
+      clearAll: () => clearAllCache(),
+      clearDomain: (args, context) => clearDomainCache(context.origin),
+      status: (args, context) => getCacheStatus(context.origin),
+      export: (args, context) => exportRecords(context.origin),
+      import: ([records, policy], context) => importRecords(records, policy, context.origin)
+    };
+
+    /**
+     * content script의 CACHE_REQUEST 처리 (background onMessage)
+     * @param {string} method - REQUEST_HANDLERS 키
+     * @param {Array} args
+     * @param {{origin: string, url: string}} context - 요청한 프레임의 출처/URL
+     * @returns {Promise<*>}
+     */
+    async function handleRequest(method, args, context){
+      const handler = Object.prototype.hasOwnProperty.call(REQUEST_HANDLERS, method) ? REQUEST_HANDLERS[method] : null;
+      if(!handler) throw new Error(`unknown_cache_method: ${method}`);
+      return handler(Array.isArray(args) ? args : [], context);
+    }
+
+    if(IS_STORE){
+      WPT.Cache = { PROMPT_VERSION, CACHE_REQUEST, getModelFamily, openDB, getTTL, getMaxSizeBytes, getCachedTranslations, setCachedTranslations, markTranslationWrong, clearAllCache, clearDomainCache, getCacheStatus, getTotalStatus, evictLeastRecentlyUsed, sweepExpired, exportRecords, importRecords, handleRequest };
+      return;
+    }
+
+    // ===== content script (background 저장소에 요청) =====
+
+    async function request(method, ...args){
+      const response = await chrome.runtime.sendMessage({ type: CACHE_REQUEST, method, args });
+      if(!response || !response.success) throw new Error(response?.error || 'cache_unavailable');
+      return response.result;
+    }
+
+    // 원문에 적용되는 용어집 지문 (용어집 모듈이 없으면 빈 문자열)
+    function getGlossaryKey(text, lang){
+      return WPT.Glossary && WPT.Glossary.fingerprint ? WPT.Glossary.fingerprint(text, lang) : '';
+    }
+
+    /**
+     * 캐시 조회 (원문 여러 개를 메시지 한 번으로)
+     * @param {string[]} texts
+     * @param {string} [lang]
+     * @param {Object} [options] - 저장소 getCachedTranslations 옵션
+     * @returns {Promise<Array<string|null>>}
+     */
+    async function requestCachedTranslations(texts, lang, options = {}){
+      try{
+        const glossaryKeys = texts.map(text => getGlossaryKey(text, lang));
+        const results = await request('get', texts, lang, { ...options, glossaryKeys });
+        return Array.isArray(results) ? results : texts.map(() => null);
+      }catch{ return texts.map(() => null); }
+    }
+
+    async function requestCachedTranslation(text, lang, options = {}){
+      const [cached] = await requestCachedTranslations([text], lang, options);
+      return cached || null;
+    }
+
+    let pendingWrites = [];
+    let flushTimer = null;
+    let flushPromise = null;
+    let resolveFlush = null;
+
+    function flushWrites(){
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      const entries = pendingWrites;
+      const done = resolveFlush;
+      pendingWrites = [];
+      flushPromise = null;
+      resolveFlush = null;
+      if(entries.length === 0){
+        if(done) done();
+        return;
+      }
+      request('set', entries).catch(() => {}).then(() => { if(done) done(); });
+    }
+
+    /**
+     * 번역 저장 (WRITE_FLUSH_DELAY_MS 동안 모아 한 번에 전달)
+     * @returns {Promise<void>} 모은 항목이 저장되면 완료
+     */
+    function queueCachedTranslation(text, translation, model, lang){
+      pendingWrites.push({ text, translation, model, lang, glossary: getGlossaryKey(text, lang) });
+      if(!flushPromise){
+        flushPromise = new Promise(resolve => { resolveFlush = resolve; });
+        flushTimer = setTimeout(flushWrites, WRITE_FLUSH_DELAY_MS);
+      }
+      return flushPromise;
+    }
+
+    // 페이지를 떠날 때 모아 둔 저장 요청 전달
+    root.addEventListener('pagehide', () => { if(pendingWrites.length > 0) flushWrites(); });
+
+    /**
+     * 이전 버전이 페이지 출처에 만든 캐시 DB 삭제
+     * - 항목에 원문 키/출처가 없어 새 저장소로 옮겨도 조회되지 않으므로 가져오지 않고 지움
+     * - 같은 이름을 쓰는 사이트 DB를 지우지 않도록 저장소 구성(translations, keyPath hash)이 같을 때만 삭제
+     * - 삭제한 뒤에는 DB 목록에 없으므로 이 출처의 다음 실행부터는 목록 조회만 함
+     * @returns {Promise<boolean>} 삭제했으면 true
+     */
+    async function removeLegacyPageCache(){
+      if(typeof indexedDB === 'undefined' || !indexedDB.databases) return false;
+      const databases = await indexedDB.databases();
+      if(!databases.some(info => info.name === DB_NAME)) return false;
+      const db = await requestResult(indexedDB.open(DB_NAME));
+      let legacy = false;
+      try{
+        legacy = db.objectStoreNames.contains(STORE_NAME)
+          && db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).keyPath === 'hash';
+      } finally {
+        db.close();
+      }
+      if(!legacy) return false;
+      await requestResult(indexedDB.deleteDatabase(DB_NAME));
+      return true;
+    }
+
+    removeLegacyPageCache().catch(() => {});
+
+    async function getCurrentCacheStatus(){
+      try{
+        return await request('status');
+      }catch(error){ return { success: false, domain: getCurrentOrigin(), count: 0, size: 0, error: error.message }; }
     }
 
     async function handleClearCacheForDomain(){
       try{
-        const success = await clearPageCache();
-        return success ? { success: true } : { success: false, error: '캐시 삭제 실패' };
+        const deleted = await request('clearDomain');
+        return { success: true, domain: getCurrentOrigin(), deleted };
       }catch(error){ return { success: false, error: error.message }; }
     }
 
     /**
-     * 캐시 데이터가 존재하는지 확인
+     * 현재 사이트의 캐시 데이터가 존재하는지 확인
      * @returns {Promise<boolean>} 캐시 데이터가 있으면 true, 없으면 false
      */
     async function hasCachedData(){
       try{
-        const status = await getCacheStatus();
+        const status = await getCurrentCacheStatus();
         return status.success && status.count > 0;
       }catch{ return false; }
     }
 
-    WPT.Cache = { openDB, getTTL, getCachedTranslation, setCachedTranslation, clearAllCache, clearPageCache, getCacheStatus, handleClearCacheForDomain, hasCachedData };
+    WPT.Cache = {
+      PROMPT_VERSION,
+      getModelFamily,
+      getTTL,
+      getMaxSizeBytes,
+      getCachedTranslations: requestCachedTranslations,
+      getCachedTranslation: requestCachedTranslation,
+      setCachedTranslation: queueCachedTranslation,
+      markTranslationWrong: (text, lang) => request('markWrong', text, lang).catch(() => false),
+      clearAllCache: () => request('clearAll').catch(() => false),
+      clearPageCache: () => request('clearDomain').then(() => true, () => false),
+      getCacheStatus: getCurrentCacheStatus,
+      handleClearCacheForDomain,
+      hasCachedData,
+      exportRecords: () => request('export'),
+      importRecords: (records, policy = 'newest') => request('import', records, policy)
+    };
   } catch(_) { /* no-op */ }
 })();
-
@@ -2,6 +2,10 @@
  * Content DOM Module
  * - 안전한 Semantic Chunking 구현
  * - 모든 텍스트 노드를 정확히 수집 → 블록별 그룹화 → 문맥 기반 번역
+ * - 열린 shadow root, 동일 출처 iframe 문서까지 수집 (교차 출처 프레임은 프레임별 content script 담당)
+ * - placeholder/title/alt/aria-label, 버튼형 input value 속성도 같은 배치/캐시 경로로 번역
+ * - 번역한 블록의 원문을 기록해 원문 함께 보기(WPT.Bilingual)에 제공
+ * - 블록마다 용어집 확인 결과(glossaryIssues)를 기록해 블록 검토 도구에 제공
  */
 (function domModule(){
   try {
@@ -13,69 +17,261 @@
       getProgressStatus: null,
       originalTextsRef: null,
       translatedElementsRef: null,
+      originalAttributesRef: null,
+      originalStructuresRef: null,
+      translatedBlocksRef: null,
+      inlineMarkup: false,
       capturePreview: null,
       setCachedTranslation: null,
       progressPush: null,
+      checkTranslation: null, // (원문, 번역문) => 용어집 위반 목록
       logDebug: null
     };
 
     function setEnv(newEnv){ env = Object.assign({}, env, newEnv || {}); }
 
+    /**
+     * 확장 프로그램이 직접 일으킨 DOM 변경 실행
+     * - 실시간 감시(WPT.Observer)가 켜져 있으면 이 변경은 감시 대상에서 제외됨
+     * @param {Function} fn - 동기 DOM 변경 함수
+     * @returns {*} fn의 반환값
+     */
+    function runDomMutation(fn){
+      if (WPT.Observer && typeof WPT.Observer.runSilently === 'function') {
+        return WPT.Observer.runSilently(fn);
+      }
+      return fn();
+    }
+
+    const EXCLUDE_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'SVG', 'CANVAS', 'CODE', 'PRE'];
+    const TRANSLATABLE_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+    const BUTTON_INPUT_TYPES = ['submit', 'button', 'reset'];
+
+    /**
+     * 상위 요소 조회 (Shadow DOM 경계 통과)
+     * - shadow root 최상위 요소는 parentElement가 null이므로 host로 이어서 올라감
+     * @param {Element} element
+     * @returns {Element|null}
+     */
+    function getParentAcrossShadow(element){
+      if (element.parentElement) return element.parentElement;
+      const parent = element.parentNode;
+      return parent && parent.host ? parent.host : null;
+    }
+
+    // 원문 함께 보기로 삽입한 원문 표시 요소 여부
+    function isBilingualMarker(element){
+      return !!(WPT.Bilingual && WPT.Bilingual.isMarker(element));
+    }
+
+    /**
+     * 사이트 규칙(content/site-rules.js)의 번역 범위 안인지 확인
+     * - 제외 선택자에 해당하는 상위 요소가 있으면 범위 밖
+     * - 포함 선택자가 있으면 해당하는 상위 요소(자신 포함)가 있어야 범위 안
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    function isInSiteScope(element){
+      const rules = WPT.SiteRules;
+      if (!rules || !rules.hasSelectors()) return true;
+
+      let included = !rules.hasInclude();
+      let current = element;
+      while (current) {
+        if (rules.isExcluded(current)) return false;
+        if (!included && rules.isIncluded(current)) included = true;
+        current = getParentAcrossShadow(current);
+      }
+      return included;
+    }
+
+    /**
+     * 번역 대상 텍스트 노드 판별
+     * - 제외 태그(및 그 하위, shadow host 포함), 원문 표시 요소, 빈 텍스트는 제외
+     * - 긴 텍스트도 수집 (번역 시 WPT.Batching이 문장 단위로 나눠 번역 후 이어 붙임)
+     * - 사이트 규칙의 포함/제외 선택자 범위 밖 텍스트는 제외
+     * @param {Node} node - 텍스트 노드
+     * @returns {boolean} 번역 대상이면 true
+     */
+    function isTranslatableTextNode(node){
+      // shadow root 바로 아래 텍스트는 host를 부모로 간주
+      const parent = node && (node.parentElement || (node.parentNode && node.parentNode.host) || null);
+      if (!parent) {
+        return false;
+      }
+
+      // 제외할 태그 및 상위 요소 확인 (shadow host를 거쳐 문서 body까지)
+      let current = parent;
+      while (current && current !== document.body) {
+        if (EXCLUDE_TAGS.includes(current.tagName) || isBilingualMarker(current)) {
+          return false;
+        }
+        current = getParentAcrossShadow(current);
+      }
+
+      if (!isInSiteScope(parent)) {
+        return false;
+      }
+
+      const text = (node.textContent || '').trim();
+      if (!text || text.length === 0) {
+        return false;
+      }
+
+      return true;
+    }
+
+    /**
+     * 접근 가능한 iframe 문서 조회
+     * - 동일 출처(또는 about:blank/srcdoc) iframe만 contentDocument 접근 가능
+     * - 교차 출처 iframe은 all_frames로 주입된 해당 프레임의 content script가 직접 번역
+     * @param {HTMLIFrameElement} frame
+     * @returns {Document|null}
+     */
+    function getAccessibleFrameDocument(frame){
+      try {
+        const doc = frame.contentDocument;
+        return doc && doc.body ? doc : null;
+      } catch (_) {
+        return null;
+      }
+    }
+
     /**
      * 안전한 텍스트 노드 수집 (TreeWalker 기반)
-     * - 모든 텍스트 노드를 정확히 수집 (누락 없음)
+     * - 모든 텍스트 노드를 DOM 순서대로 수집 (누락 없음)
+     * - 열린 shadow root와 접근 가능한 iframe 문서까지 재귀 탐색
      * - 빈 텍스트, 제외 태그 필터링
+     * @param {Node} [root=document.body] - 탐색 시작 노드 (동적 추가 영역 수집 시 사용)
      * @returns {Array<Node>} 텍스트 노드 배열
      */
-    function getAllTextNodes(){
-      const EXCLUDE_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'SVG', 'CANVAS', 'CODE', 'PRE'];
+    function getAllTextNodes(root){
       const nodes = [];
+      const startNode = root || document.body;
+      if (!startNode) return nodes;
+      collectNodes(startNode, nodes, null);
+      return nodes;
+    }
+
+    /**
+     * 번역 대상 속성 수집
+     * - 텍스트 노드와 같은 범위(shadow root, 접근 가능한 iframe 포함)를 탐색
+     * - 이미 번역해 원본이 기록된 속성은 제외
+     * @param {Node} [root=document.body] - 탐색 시작 노드
+     * @returns {Array<{element: Element, attr: string, text: string}>} 속성 단위 배열
+     */
+    function getAllAttributeUnits(root){
+      const units = [];
+      const startNode = root || document.body;
+      if (!startNode) return units;
+      collectNodes(startNode, null, units);
+      return units;
+    }
 
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_TEXT,
+    /**
+     * 요소의 번역 대상 속성 추출
+     * - 버튼형 input(submit/button/reset)은 화면에 보이는 value도 포함
+     * @param {Element} element
+     * @param {Array<Object>} units - 결과를 추가할 배열
+     */
+    function collectAttributeUnits(element, units){
+      const names = TRANSLATABLE_ATTRIBUTES.slice();
+      if (element.tagName === 'INPUT' && BUTTON_INPUT_TYPES.includes((element.getAttribute('type') || '').toLowerCase())) {
+        names.push('value');
+      }
+
+      const recorded = env.originalAttributesRef ? env.originalAttributesRef.get(element) : null;
+      names.forEach((attr) => {
+        if (recorded && Object.prototype.hasOwnProperty.call(recorded, attr)) return;
+        const value = element.getAttribute(attr);
+        const text = (value || '').trim();
+        if (!text || text.length > 2000) return;
+        units.push({ element, attr, text });
+      });
+    }
+
+    function collectNodes(root, nodes, attrUnits){
+      const doc = root.ownerDocument || root;
+      const walker = doc.createTreeWalker(
+        root,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
         {
           acceptNode: function(node) {
-            if (!node.parentElement) {
-              return NodeFilter.FILTER_REJECT;
-            }
-
-            // 제외할 태그
-            const tagName = node.parentElement.tagName;
-            if (EXCLUDE_TAGS.includes(tagName)) {
-              return NodeFilter.FILTER_REJECT;
+            if (node.nodeType === Node.TEXT_NODE) {
+              return isTranslatableTextNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
             }
-
-            // 상위 요소 확인
-            let current = node.parentElement;
-            while (current && current !== document.body) {
-              if (EXCLUDE_TAGS.includes(current.tagName)) {
-                return NodeFilter.FILTER_REJECT;
-              }
-              current = current.parentElement;
+            // iframe은 하위 문서를 따로 탐색, 그 외 제외 태그는 하위 전체 건너뜀
+            if (node.tagName === 'IFRAME') {
+              return NodeFilter.FILTER_ACCEPT;
             }
-
-            const text = (node.textContent || '').trim();
-            if (!text || text.length === 0) {
+            if (EXCLUDE_TAGS.includes(node.tagName) || isBilingualMarker(node)) {
               return NodeFilter.FILTER_REJECT;
             }
-
-            // 최대 텍스트 길이 제한
-            if (text.length > 2000) {
+            // 사이트 규칙 제외 선택자: 하위 전체 건너뜀
+            if (WPT.SiteRules && WPT.SiteRules.isExcluded(node)) {
               return NodeFilter.FILTER_REJECT;
             }
-
-            return NodeFilter.FILTER_ACCEPT;
+            if (attrUnits && isInSiteScope(node)) collectAttributeUnits(node, attrUnits);
+            return node.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
           }
         }
       );
 
       let currentNode;
       while (currentNode = walker.nextNode()) {
-        nodes.push(currentNode);
+        if (currentNode.nodeType === Node.TEXT_NODE) {
+          if (nodes) nodes.push(currentNode);
+        } else if (currentNode.tagName === 'IFRAME') {
+          const frameDoc = getAccessibleFrameDocument(currentNode);
+          if (frameDoc) collectNodes(frameDoc.body, nodes, attrUnits);
+        } else if (currentNode.shadowRoot) {
+          collectNodes(currentNode.shadowRoot, nodes, attrUnits);
+        }
       }
+    }
 
-      return nodes;
+    /**
+     * 하위의 열린 shadow root와 iframe 수집 (실시간 감시 대상, collectNodes와 같은 범위)
+     * - 시작 노드 자신의 shadow root/iframe 포함
+     * - 접근 가능한 iframe 문서는 body를 roots에 넣고 그 안도 탐색
+     * @param {Node} [root=document.body] - 탐색 시작 노드
+     * @returns {{roots: Array<Node>, frames: Array<HTMLIFrameElement>}} roots: 감시할 shadow root/iframe body, frames: 발견한 iframe (로드 후 다시 확인용)
+     */
+    function getNestedRoots(root){
+      const result = { roots: [], frames: [] };
+      const startNode = root || document.body;
+      if (!startNode) return result;
+      visitNestedRoot(startNode, result);
+      collectNestedRoots(startNode, result);
+      return result;
+    }
+
+    function visitNestedRoot(node, result){
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.tagName === 'IFRAME') {
+        result.frames.push(node);
+        const frameDoc = getAccessibleFrameDocument(node);
+        if (frameDoc) {
+          result.roots.push(frameDoc.body);
+          collectNestedRoots(frameDoc.body, result);
+        }
+      } else if (node.shadowRoot) {
+        result.roots.push(node.shadowRoot);
+        collectNestedRoots(node.shadowRoot, result);
+      }
+    }
+
+    function collectNestedRoots(root, result){
+      const doc = root.ownerDocument || root;
+      const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+        acceptNode: function(node) {
+          return node.tagName === 'IFRAME' || node.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        }
+      });
+      let currentNode;
+      while (currentNode = walker.nextNode()) {
+        visitNestedRoot(currentNode, result);
+      }
     }
 
     /**
@@ -132,16 +328,226 @@
       return groups;
     }
 
+    // ===== 인라인 서식 보존 (자리표시 태그) =====
+    // <p>Click <a href>here</a> to <b>start</b></p> → "Click <a0>here</a0> to <b1>start</b1>"
+    // 번역 결과의 태그 위치대로 원래 인라인 요소를 다시 배치해 링크/강조/코드 유지
+
+    const INLINE_TAGS = ['A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'DEL', 'DFN', 'EM', 'FONT', 'I', 'INS', 'LABEL', 'MARK', 'Q', 'S', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR'];
+    // 내용은 그대로 두고 위치만 옮기는 인라인 요소 (번역하지 않음)
+    const OPAQUE_INLINE_TAGS = ['BR', 'CODE', 'IMG', 'KBD', 'SAMP', 'SVG', 'WBR'];
+    const MAX_PLACEHOLDERS = 30;
+    const PLACEHOLDER_PATTERN = /<(\/?)([a-z])(\d+)\s*(\/?)>/g;
+
+    function getPlaceholderLetter(tagName){
+      if (tagName === 'A') return 'a';
+      if (tagName === 'B' || tagName === 'STRONG') return 'b';
+      if (tagName === 'I' || tagName === 'EM') return 'i';
+      return 's';
+    }
+
+    /**
+     * 인라인 요소를 건너뛴 가장 가까운 블록 컨테이너
+     * @param {Node} textNode
+     * @returns {Element|null} 블록 컨테이너 (body 또는 shadow root 경계에 닿으면 null)
+     */
+    function findInlineContainer(textNode){
+      let current = textNode.parentElement;
+      while (current && current !== document.body) {
+        if (!INLINE_TAGS.includes(current.tagName)) return current;
+        current = current.parentElement;
+      }
+      return null;
+    }
+
+    /**
+     * 블록의 인라인 구조를 자리표시 태그 문자열로 직렬화
+     * - 그룹 텍스트 노드 외의 텍스트, 하위 블록 요소, 과도한 태그 수가 있으면 null (기존 방식 사용)
+     * @param {Element} block - 블록 컨테이너
+     * @param {Array<Node>} nodes - 블록에 속한 번역 대상 텍스트 노드
+     * @returns {{source: string, placeholders: Map<string, {element: Element, paired: boolean}>}|null}
+     */
+    function buildInlineMarkup(block, nodes){
+      const nodeSet = new Set(nodes);
+      const placeholders = new Map();
+      let seen = 0;
+      let counter = 0;
+
+      function serialize(container){
+        let out = '';
+        for (const child of container.childNodes) {
+          if (child.nodeType === Node.TEXT_NODE) {
+            const text = child.textContent || '';
+            if (nodeSet.has(child)) {
+              if (text.includes('<')) return null;
+              seen++;
+              out += text.replace(/\s+/g, ' ');
+            } else if (!text.trim()) {
+              out += text ? ' ' : '';
+            } else {
+              return null;
+            }
+          } else if (child.nodeType === Node.ELEMENT_NODE) {
+            // 원문 표시 요소는 직렬화에서 제외 (재배치 후 다시 붙음)
+            if (isBilingualMarker(child)) continue;
+            const tagName = child.tagName.toUpperCase();
+            if (INLINE_TAGS.includes(tagName) && nodes.some((node) => child.contains(node))) {
+              const id = `${getPlaceholderLetter(tagName)}${counter++}`;
+              placeholders.set(id, { element: child, paired: true });
+              const inner = serialize(child);
+              if (inner === null) return null;
+              out += `<${id}>${inner}</${id}>`;
+            } else if (INLINE_TAGS.includes(tagName) || OPAQUE_INLINE_TAGS.includes(tagName)) {
+              const id = `x${counter++}`;
+              placeholders.set(id, { element: child, paired: false });
+              out += `<${id}/>`;
+            } else {
+              return null;
+            }
+          }
+          if (counter > MAX_PLACEHOLDERS) return null;
+        }
+        return out;
+      }
+
+      const source = serialize(block);
+      if (source === null || seen !== nodes.length || placeholders.size === 0) return null;
+      return { source: source.replace(/ {2,}/g, ' ').trim(), placeholders };
+    }
+
+    /**
+     * 번역 결과의 자리표시 태그 검증 및 트리 변환
+     * - 모든 태그가 정확히 한 번씩, 올바르게 중첩되어 있어야 함
+     * @param {string} translation - 번역 결과
+     * @param {Map<string, Object>} placeholders - buildInlineMarkup 결과
+     * @returns {Array<string|Object>|null} 루트 자식 목록 (검증 실패 시 null)
+     */
+    function parseInlineMarkup(translation, placeholders){
+      const root = { children: [] };
+      const stack = [root];
+      const used = new Set();
+      let lastIndex = 0;
+      let match;
+
+      PLACEHOLDER_PATTERN.lastIndex = 0;
+      while ((match = PLACEHOLDER_PATTERN.exec(translation)) !== null) {
+        const top = stack[stack.length - 1];
+        if (match.index > lastIndex) top.children.push(translation.slice(lastIndex, match.index));
+        lastIndex = PLACEHOLDER_PATTERN.lastIndex;
+
+        const id = match[2] + match[3];
+        const info = placeholders.get(id);
+        const isClose = match[1] === '/';
+        const isSelfClose = match[4] === '/';
+        if (!info) return null;
+
+        if (isClose) {
+          if (!info.paired || top.id !== id) return null;
+          stack.pop();
+        } else {
+          if (used.has(id) || info.paired === isSelfClose) return null;
+          used.add(id);
+          const item = { id, element: info.element, paired: info.paired, children: [] };
+          top.children.push(item);
+          if (info.paired) stack.push(item);
+        }
+      }
+      if (lastIndex < translation.length) stack[stack.length - 1].children.push(translation.slice(lastIndex));
+
+      if (stack.length !== 1 || used.size !== placeholders.size) return null;
+      return root.children;
+    }
+
+    /**
+     * 검증된 트리대로 원래 요소를 재배치하고 번역 텍스트 삽입
+     * - 변경 전 자식 목록을 기록해 복원 시 그대로 되돌림
+     * @param {Element} container
+     * @param {Array<string|Object>} children
+     * @param {Array<Node>} createdNodes - 새로 만든 텍스트 노드 (번역 완료 추적용)
+     */
+    function projectInlineMarkup(container, children, createdNodes){
+      const originalStructures = env.originalStructuresRef;
+      if (originalStructures && !originalStructures.has(container)) {
+        originalStructures.set(container, Array.from(container.childNodes));
+      }
+
+      const doc = container.ownerDocument;
+      const newChildren = children.map((child) => {
+        if (typeof child === 'string') {
+          const textNode = doc.createTextNode(child);
+          createdNodes.push(textNode);
+          return textNode;
+        }
+        if (child.paired) projectInlineMarkup(child.element, child.children, createdNodes);
+        return child.element;
+      });
+      container.replaceChildren(...newChildren);
+    }
+
+    /**
+     * 인라인 서식 그룹에 번역 적용
+     * @returns {boolean} 태그 검증 실패 시 false (호출 측에서 기존 방식으로 적용)
+     */
+    function applyMarkupTranslation(group, translation){
+      const tree = parseInlineMarkup(translation, group.markup.placeholders);
+      if (!tree) return false;
+
+      const createdNodes = [];
+      projectInlineMarkup(group.block, tree, createdNodes);
+
+      const translatedElements = env.translatedElementsRef;
+      if (translatedElements) {
+        group.nodes.forEach((node) => translatedElements.add(node));
+        createdNodes.forEach((node) => translatedElements.add(node));
+      }
+      return true;
+    }
+
+    /**
+     * 인라인 서식 모드 그룹화
+     * - 인라인 요소를 건너뛴 블록 단위로 묶고 자리표시 태그 문자열 생성
+     * - 직렬화할 수 없는 블록은 기존 groupByBlock 방식으로 그룹화
+     * @param {Array<Node>} textNodes
+     * @returns {Array<Object>} 그룹 배열 (인라인 서식 그룹은 markup 속성 포함)
+     */
+    function groupWithInlineMarkup(textNodes){
+      const blockMap = new Map();
+      const order = [];
+
+      textNodes.forEach(node => {
+        const key = findInlineContainer(node) || node;
+        if (!blockMap.has(key)) {
+          blockMap.set(key, []);
+          order.push(key);
+        }
+        blockMap.get(key).push(node);
+      });
+
+      const groups = [];
+      order.forEach(key => {
+        const nodes = blockMap.get(key);
+        const markup = key.nodeType === Node.ELEMENT_NODE ? buildInlineMarkup(key, nodes) : null;
+        if (markup) {
+          groups.push({ block: key, nodes, texts: [markup.source], markup });
+        } else {
+          groups.push(...groupByBlock(nodes));
+        }
+      });
+      return groups;
+    }
+
     /**
      * 그룹별로 텍스트 추출 (번역 API 호출용)
      * - 각 그룹의 텍스트를 공백으로 합쳐서 하나의 번역 단위로 만듦
+     * - 인라인 서식 모드에서는 블록의 인라인 구조를 자리표시 태그로 포함
+     * - 속성 단위는 그룹 뒤에 하나씩 추가 (같은 배치/캐시 경로 사용)
      * @param {Array<Node>} textNodes - 텍스트 노드 배열
+     * @param {Array<Object>} [attrUnits] - getAllAttributeUnits 결과
      * @returns {{texts: Array<string>, elements: Array<Object>}}
      *          texts: 그룹별 합친 텍스트 배열
-     *          elements: 그룹 객체 배열 (DOM 적용 시 사용)
+     *          elements: 그룹 객체 또는 속성 단위 배열 (DOM 적용 시 사용)
      */
-    function extractTexts(textNodes){
-      const groups = groupByBlock(textNodes);
+    function extractTexts(textNodes, attrUnits){
+      const groups = env.inlineMarkup ? groupWithInlineMarkup(textNodes) : groupByBlock(textNodes);
       const texts = [];
       const elements = [];
 
@@ -154,14 +560,52 @@
         }
       });
 
+      (attrUnits || []).forEach(unit => {
+        texts.push(unit.text);
+        elements.push(unit);
+      });
+
       return { texts, elements };
     }
 
     /**
-     * 번역 결과를 DOM에 적용 (그룹 단위)
-     * - 그룹의 첫 번째 텍스트 노드에 전체 번역 적용
-     * - 나머지 노드는 빈 문자열로 설정 (중복 방지)
-     * - 안전하고 예측 가능한 매핑 보장
+     * 속성 단위 여부 ({ element, attr, text })
+     * @param {Object} unit
+     * @returns {boolean}
+     */
+    function isAttributeUnit(unit){
+      return !!(unit && unit.attr && unit.element);
+    }
+
+    /**
+     * 속성 번역 적용
+     * - 최초 원본만 기록해 복원 시 되돌림
+     * @param {{element: Element, attr: string}} unit - 속성 단위
+     * @param {string} translation - 번역 결과
+     */
+    function applyAttributeTranslation(unit, translation){
+      const originalAttributes = env.originalAttributesRef;
+      let firstTranslation = true;
+      if (originalAttributes) {
+        const recorded = originalAttributes.get(unit.element) || {};
+        firstTranslation = !Object.prototype.hasOwnProperty.call(recorded, unit.attr);
+        if (firstTranslation) {
+          recorded[unit.attr] = unit.element.getAttribute(unit.attr);
+        }
+        originalAttributes.set(unit.element, recorded);
+      }
+      unit.element.setAttribute(unit.attr, translation);
+
+      // 같은 속성을 다시 적용(스트리밍 값 교체)할 때는 중복 집계하지 않음
+      const status = (env.getProgressStatus || (()=>({})))();
+      if (firstTranslation && status && typeof status.attributeCount === 'number') {
+        status.attributeCount++;
+      }
+    }
+
+    /**
+     * 기존 방식 적용: 그룹의 첫 번째 텍스트 노드에 전체 번역, 나머지는 비움
+     * - 인라인 서식 그룹이 태그 검증에 실패한 경우 태그를 제거하고 이 방식으로 적용
      *
      * 예시:
      * <p>The <strong>quick</strong> fox</p>
@@ -170,54 +614,127 @@
      * → node[0] = "빠른 여우", node[1] = "", node[2] = ""
      * 결과: <p>빠른 여우<strong></strong></p>
      */
-    async function applyTranslationsToDom(batch, { useCache, batchIdx, model }){
-      let applied = 0; let skipped = 0;
-      const getStatus = env.getProgressStatus || (()=>({}));
+    function applyPlainTranslation(group, translation){
       const originalTexts = env.originalTextsRef;
       const translatedElements = env.translatedElementsRef;
+      const text = group.markup ? translation.replace(PLACEHOLDER_PATTERN, '') : translation;
+
+      group.nodes.forEach((node, nodeIdx) => {
+        // 원본 저장 (복원용)
+        if (originalTexts && !originalTexts.has(node)){
+          originalTexts.set(node, node.textContent);
+        }
+
+        node.textContent = nodeIdx === 0 ? text : '';
+
+        if (translatedElements) translatedElements.add(node);
+      });
+    }
+
+    /**
+     * 용어집 확인 결과를 블록에 기록하고 위반 블록 수 갱신 (같은 블록 재번역 시 중복 집계하지 않음)
+     * @param {Object} entry - translatedBlocks 항목
+     * @param {string} translation - 자리표시 태그를 뺀 번역문
+     */
+    function checkBlockTranslation(entry, translation){
+      const hadIssues = !!(entry.glossaryIssues && entry.glossaryIssues.length);
+      entry.glossaryIssues = env.checkTranslation(entry.original, translation);
+      const hasIssues = entry.glossaryIssues.length > 0;
+      const status = env.getProgressStatus ? env.getProgressStatus() : null;
+      if (status && typeof status.glossaryViolations === 'number' && hadIssues !== hasIssues) {
+        status.glossaryViolations = Math.max(0, status.glossaryViolations + (hasIssues ? 1 : -1));
+      }
+      if (hasIssues && typeof env.logDebug === 'function'){
+        env.logDebug('GLOSSARY_VIOLATION', '용어집과 다른 번역', { terms: entry.glossaryIssues.map(issue => issue.source) });
+      }
+    }
+
+    /**
+     * 번역 단위 하나를 DOM에 적용 (runDomMutation 안에서 호출)
+     * - 속성 단위 / 인라인 서식 그룹 / 일반 그룹 구분
+     * @param {Object} unit - extractTexts의 elements 항목
+     * @param {string} translation - 번역 결과
+     * @returns {number} 번역 완료로 집계할 수
+     */
+    function applyUnitTranslation(unit, translation){
+      if (isAttributeUnit(unit)) {
+        applyAttributeTranslation(unit, translation);
+        return 1;
+      }
+
+      // 블록 원문과 번역 단위 기록 (최초 번역 시점 기준, 원문 함께 보기/블록 다시 번역용)
+      const blocks = env.translatedBlocksRef;
+      const hasBlock = unit.block && unit.block.nodeType === Node.ELEMENT_NODE;
+      if (blocks && hasBlock && !blocks.has(unit.block)) {
+        const originalText = unit.markup ? unit.markup.source.replace(PLACEHOLDER_PATTERN, '') : unit.texts.join(' ');
+        blocks.set(unit.block, { original: originalText.replace(/\s+/g, ' ').trim(), unit });
+      }
+
+      if (unit.markup && !applyMarkupTranslation(unit, translation)) {
+        if (typeof env.logDebug === 'function'){
+          env.logDebug('INLINE_MARKUP_FALLBACK', '자리표시 태그 검증 실패, 기존 방식으로 적용', { tags: unit.markup.placeholders.size });
+        }
+        applyPlainTranslation(unit, translation);
+      } else if (!unit.markup) {
+        applyPlainTranslation(unit, translation);
+      }
+
+      if (blocks && hasBlock && WPT.Bilingual && WPT.Bilingual.isEnabled()) {
+        WPT.Bilingual.decorate(unit.block, blocks.get(unit.block).original);
+      }
+
+      if (blocks && hasBlock && typeof env.checkTranslation === 'function') {
+        checkBlockTranslation(blocks.get(unit.block), translation.replace(PLACEHOLDER_PATTERN, ''));
+      }
+
+      if (typeof env.capturePreview === 'function') env.capturePreview(translation.replace(PLACEHOLDER_PATTERN, ''));
+      return unit.nodes.length;
+    }
+
+    /**
+     * 번역 결과를 DOM에 적용 (그룹 단위)
+     * - 인라인 서식 그룹은 원래 링크/강조 요소를 유지한 채 재배치
+     * - 일반 그룹은 첫 번째 텍스트 노드에 전체 번역 적용, 나머지는 비움
+     * - batch.appliedTranslations(Map: index → 적용한 번역)가 있으면 같은 번역은 다시 적용하지 않고,
+     *   값이 달라진 단위(스트리밍 값과 최종 파싱 결과가 다른 경우)는 최종 값으로 다시 적용
+     * - saveCache: 번역 결과 캐시 저장 여부 (기본값은 useCache, 스트리밍 부분 적용은 false로 최종 결과만 저장)
+     */
+    async function applyTranslationsToDom(batch, { useCache, batchIdx, model, saveCache = useCache }){
+      let applied = 0; let reapplied = 0; let skipped = 0;
+      const getStatus = env.getProgressStatus || (()=>({}));
+      const appliedTranslations = batch.appliedTranslations || null;
 
       await new Promise(resolve => {
         requestAnimationFrame(() => {
-          batch.elements.forEach((group, idx) => {
+          runDomMutation(() => batch.elements.forEach((group, idx) => {
             const translation = batch.translations[idx];
-            if (translation && translation !== null){
-              const originalText = batch.texts[idx];
-
-              // 그룹 내 모든 노드 처리
-              group.nodes.forEach((node, nodeIdx) => {
-                // 원본 저장 (복원용)
-                if (originalTexts && !originalTexts.has(node)){
-                  originalTexts.set(node, node.textContent);
-                }
+            if (!translation) {
+              skipped++;
+              return;
+            }
 
-                // 첫 번째 노드에만 전체 번역 적용, 나머지는 비움
-                if (nodeIdx === 0) {
-                  node.textContent = translation;
-                } else {
-                  node.textContent = '';
+            const previous = appliedTranslations ? appliedTranslations.get(idx) : undefined;
+            if (previous !== translation) {
+              const count = applyUnitTranslation(group, translation);
+              if (appliedTranslations) appliedTranslations.set(idx, translation);
+              if (typeof previous === 'undefined') {
+                applied++;
+                const status = getStatus();
+                if (status && typeof status.translatedCount === 'number') {
+                  status.translatedCount += count; // 모든 노드 카운트
                 }
-
-                if (translatedElements) translatedElements.add(node);
-              });
-
-              if (typeof env.capturePreview === 'function') env.capturePreview(translation);
-              applied++;
-
-              const status = getStatus();
-              if (status && typeof status.translatedCount === 'number') {
-                status.translatedCount += group.nodes.length; // 모든 노드 카운트
+              } else {
+                reapplied++;
               }
+            }
 
-              if (useCache && typeof env.setCachedTranslation === 'function'){
-                env.setCachedTranslation(originalText, translation, model);
-              }
-            } else {
-              skipped++;
+            if (saveCache && typeof env.setCachedTranslation === 'function'){
+              env.setCachedTranslation(batch.texts[idx], translation, model);
             }
-          });
+          }));
 
           if (typeof env.logDebug === 'function'){
-            env.logDebug('DOM_APPLY', '번역 DOM 적용 완료', { batchIdx, applied, skipped, mode: useCache ? 'fast':'fresh' });
+            env.logDebug('DOM_APPLY', '번역 DOM 적용 완료', { batchIdx, applied, reapplied, skipped, mode: useCache ? 'fast':'fresh' });
           }
           if (typeof env.progressPush === 'function') env.progressPush();
           resolve();
@@ -225,7 +742,7 @@
       });
     }
 
-    WPT.Dom = { setEnv, getAllTextNodes, extractTexts, applyTranslationsToDom };
+    WPT.Dom = { setEnv, runDomMutation, isTranslatableTextNode, getAllTextNodes, getAllAttributeUnits, getNestedRoots, extractTexts, isAttributeUnit, applyUnitTranslation, applyTranslationsToDom };
   } catch(_) { /* no-op */ }
 })();
 
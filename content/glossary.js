@@ -0,0 +1,170 @@
+/**
+ * Content Glossary Module
+ * - 사용자 용어집(chrome.storage.local glossary)에서 현재 사이트·대상 언어에 맞는 항목을 골라 번역 프롬프트에 주입
+ * - 번역 결과가 용어집을 따르지 않았는지 확인 (블록 검토 도구/진행 상황에 표시)
+ * - sidepanel(modules/glossary.js)도 이 모듈을 import해 텍스트 번역에 같은 일치 규칙 사용 (사이트는 hostname 인자로 지정)
+ */
+(function glossaryModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+    if (WPT.Glossary) return;
+
+    const STORAGE_KEY = 'glossary';
+    const MAX_PROMPT_ENTRIES = 40; // 배치 하나에 주입할 최대 항목 수 (프롬프트 길이 제한)
+
+    // 내부 상태
+    let entries = [];
+    let compiled = null; // [{ entry, pattern }] (entries 변경 시 다시 생성)
+
+    function escapeRegExp(value){
+      return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * 원문 용어 패턴: 라틴 문자/숫자 용어는 단어 경계로, 그 외(한중일 등)는 부분 문자열로 찾음
+     * @param {string} source
+     * @returns {RegExp}
+     */
+    function buildPattern(source){
+      const escaped = escapeRegExp(source);
+      return /^[\p{Script=Latin}\p{N}]/u.test(source)
+        ? new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu')
+        : new RegExp(escaped, 'iu');
+    }
+
+    function getCompiled(){
+      if (!compiled) {
+        compiled = entries
+          .filter(entry => entry && typeof entry.source === 'string' && entry.source.trim())
+          .map(entry => ({ entry, pattern: buildPattern(entry.source.trim()) }));
+      }
+      return compiled;
+    }
+
+    function setEntries(value){
+      entries = Array.isArray(value) ? value : [];
+      compiled = null;
+    }
+
+    /**
+     * 항목 적용 범위: 도메인이 비어 있으면 모든 사이트, 있으면 그 도메인과 하위 도메인
+     * @param {Object} entry
+     * @param {string} hostname
+     * @returns {boolean}
+     */
+    function matchesDomain(entry, hostname){
+      const domain = (entry.domain || '').toLowerCase();
+      if (!domain) return true;
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+
+    /**
+     * 대상 언어: 원문 유지 항목은 모든 언어, 번역 항목은 지정한 언어(비어 있으면 모든 언어)
+     * @param {Object} entry
+     * @param {string} target - 대상 언어 코드
+     * @returns {boolean}
+     */
+    function matchesLanguage(entry, target){
+      return !!entry.keep || !entry.lang || entry.lang === target;
+    }
+
+    /**
+     * 텍스트에 등장하는 용어집 항목
+     * @param {Array<string>} texts - 원문 (번역 단위 목록)
+     * @param {string} target - 대상 언어 코드
+     * @param {string} [hostname] - 사이트 한정 항목 판단용 (기본값은 현재 페이지)
+     * @returns {Array<Object>} 적용할 항목
+     */
+    function selectEntries(texts, target, hostname = window.location.hostname){
+      const normalized = WPT.Language ? WPT.Language.normalizeTarget(target) : target;
+      const host = String(hostname || '').toLowerCase();
+      const joined = (Array.isArray(texts) ? texts : [texts]).join('\n');
+      const selected = [];
+      for (const { entry, pattern } of getCompiled()) {
+        if (selected.length >= MAX_PROMPT_ENTRIES) break;
+        if (!matchesDomain(entry, host) || !matchesLanguage(entry, normalized)) continue;
+        if (pattern.test(joined)) selected.push(entry);
+      }
+      return selected;
+    }
+
+    /**
+     * 번역 프롬프트용 용어집 지시문 (해당 항목이 없으면 빈 문자열)
+     * @param {Array<string>} texts - 원문
+     * @param {string} target - 대상 언어 코드
+     * @param {string} [hostname] - 기본값은 현재 페이지
+     * @returns {string}
+     */
+    function buildInstruction(texts, target, hostname){
+      return selectEntries(texts, target, hostname).map(entry => (entry.keep
+        ? `- "${entry.source}" → 번역하지 말고 원문 그대로 유지`
+        : `- "${entry.source}" → "${entry.target}"`)).join('\n');
+    }
+
+    /**
+     * 번역 결과가 용어집을 따르지 않은 항목
+     * - 원문 유지: 번역문에 원문 용어가 없음 / 번역 항목: 번역문에 지정한 번역어가 없음 (대소문자 무시)
+     * @param {string} source - 원문
+     * @param {string} translation - 번역문
+     * @param {string} target - 대상 언어 코드
+     * @param {string} [hostname] - 기본값은 현재 페이지
+     * @returns {Array<{source: string, target: string, keep: boolean}>}
+     */
+    function findViolations(source, translation, target, hostname){
+      if (!source || !translation || entries.length === 0) return [];
+      const lowered = translation.toLowerCase();
+      return selectEntries([source], target, hostname)
+        .filter(entry => !lowered.includes((entry.keep ? entry.source : entry.target || '').trim().toLowerCase()))
+        .map(entry => ({ source: entry.source, target: entry.keep ? entry.source : entry.target, keep: !!entry.keep }));
+    }
+
+    /**
+     * 캐시 항목 구분용 용어집 지문: 원문에 적용되는 항목(원문 용어/번역어/원문 유지)이 바뀌면 달라짐
+     * - 적용 항목이 없으면 빈 문자열 (용어집과 무관한 문장은 용어집을 편집해도 캐시 유지)
+     * @param {string} text - 원문
+     * @param {string} target - 대상 언어 코드
+     * @param {string} [hostname] - 기본값은 현재 페이지
+     * @returns {string} FNV-1a 32비트 해시 (16진수)
+     */
+    function fingerprint(text, target, hostname){
+      const selected = selectEntries([text], target, hostname);
+      if (selected.length === 0) return '';
+      const serialized = selected
+        .map(entry => [entry.source.trim(), entry.keep ? '' : (entry.target || '').trim(), entry.keep ? '1' : '0'].join('\u0000'))
+        .sort()
+        .join('\u0001');
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < serialized.length; i++) {
+        hash ^= serialized.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * 용어집과 다른 항목 안내 문구 (블록 검토 도구, 선택 번역 팝업, sidepanel 텍스트 번역)
+     * @param {Array<{source: string, target: string, keep: boolean}>} issues - findViolations 결과
+     * @returns {string} 항목이 없으면 빈 문자열
+     */
+    function describeViolations(issues){
+      if (!issues || issues.length === 0) return '';
+      return `용어집과 다름: ${issues.map(issue => (issue.keep ? `${issue.source} (원문 유지)` : `${issue.source} → ${issue.target}`)).join(', ')}`;
+    }
+
+    /**
+     * 저장소에서 용어집 다시 읽기 (전체 번역 시작 시 최신 상태 보장)
+     * @returns {Promise<void>}
+     */
+    function load(){
+      return chrome.storage.local.get([STORAGE_KEY]).then(result => setEntries(result[STORAGE_KEY])).catch(() => {});
+    }
+
+    load();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) setEntries(changes[STORAGE_KEY].newValue);
+    });
+
+    WPT.Glossary = { load, selectEntries, buildInstruction, findViolations, describeViolations, fingerprint };
+  } catch(_) { /* no-op */ }
+})();
@@ -41,10 +41,16 @@
       }catch{ return null; }
     }
 
-    function buildIndustryInstruction(context){
+    /**
+     * 번역 프롬프트용 산업군 지시문
+     * @param {string} [languageName='한국어'] - 대상 언어 이름
+     * @param {Object} [context] - 생략 시 마지막으로 추론한 산업군 컨텍스트
+     * @returns {string}
+     */
+    function buildIndustryInstruction(languageName = '한국어', context){
       if(typeof context === 'undefined') context = industryContext;
       if(!context){
-        return '- 페이지의 내용을 고려하여 자연스럽고 정확한 한국어로 번역해주세요.';
+        return `- 페이지의 내용을 고려하여 자연스럽고 정확한 ${languageName}로 번역해주세요.`;
       }
       const keywordLine = context.keywords && context.keywords.length > 0 ? `- 핵심 용어: ${context.keywords.slice(0,8).join(', ')}.` : '';
       const toneLine = context.tone ? `- 권장 어조: ${context.tone}.` : '';
@@ -63,7 +69,7 @@
       if(samples.length === 0){ industryContext = null; return; }
       try{
         const prompt = `다음은 웹페이지에서 발췌한 텍스트 일부입니다. 콘텐츠가 속한 산업군을 분석하고, 번역 시 참고할 핵심 정보를 JSON으로 제공해주세요.\n\n샘플 텍스트:\n${samples.map((s,i)=>`[${i}] ${s}`).join('\n')}\n\n응답 형식 (JSON만 반환): {"industry": "산업군 이름", "keywords": ["용어1", ...], "tone": "권장 어조", "summary": "두 문장 이내 근거"}`;
-        const response = await (WPT.Api && WPT.Api.requestOpenRouter ? WPT.Api.requestOpenRouter(prompt, apiKey, model, { purpose: 'industry-detect', itemCount: samples.length }) : Promise.resolve(''));
+        const response = await (WPT.Api && WPT.Api.requestLlm ? WPT.Api.requestLlm(prompt, apiKey, model, { purpose: 'industry-detect', itemCount: samples.length }) : Promise.resolve(''));
         const parsed = parseIndustryContext(response);
         industryContext = parsed || null;
       }catch{ industryContext = null; }
@@ -0,0 +1,260 @@
+/**
+ * Content Inspector Module
+ * - 블록 검토 도구: 번역된 블록에 마우스를 올리면 원문과 작업 버튼을 띄움
+ * - 다른 모델로 이 블록만 다시 번역 / 번역 오류 표시 (실제 처리는 content.js 콜백)
+ * - 용어집을 따르지 않은 블록은 어긋난 용어를 함께 표시
+ * - 오버레이는 documentElement 아래 닫힌 shadow root에 두어 페이지 스타일·텍스트 수집·실시간 감시와 분리
+ * - 동일 출처 iframe과 열린 shadow root 안의 블록도 검토 (iframe 문서에도 이벤트를 걸고 위치는 최상위 화면 기준으로 변환)
+ */
+(function inspectorModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+
+    const DEFAULTS = {
+      SHOW_DELAY_MS: 450,   // 블록 위에 머문 뒤 표시까지 대기
+      HIDE_DELAY_MS: 300,   // 블록/오버레이를 벗어난 뒤 숨김까지 대기 (오버레이로 이동 허용)
+      MAX_ORIGINAL_CHARS: 400
+    };
+
+    const OVERLAY_STYLE = `
+      :host { all: initial; }
+      .box { position: fixed; z-index: 2147483647; max-width: 360px; min-width: 220px; padding: 10px 12px;
+        background: #1f2329; color: #f1f3f5; border-radius: 8px; box-shadow: 0 6px 20px rgba(0,0,0,0.3);
+        font: 12px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+      .label { font-size: 11px; color: #9aa4af; margin-bottom: 2px; }
+      .original { white-space: pre-wrap; word-break: break-word; margin-bottom: 8px; }
+      .actions { display: flex; gap: 6px; align-items: center; flex-wrap: wrap; }
+      input { flex: 1 1 120px; min-width: 0; padding: 4px 6px; border: 1px solid #3a414a; border-radius: 4px;
+        background: #2a2f36; color: inherit; font: inherit; }
+      button { padding: 4px 8px; border: none; border-radius: 4px; background: #3b82f6; color: #fff; font: inherit; cursor: pointer; }
+      button.secondary { background: #3a414a; }
+      button:disabled { opacity: 0.5; cursor: default; }
+      .status { margin-top: 6px; font-size: 11px; color: #9aa4af; min-height: 0; }
+      .status.error { color: #f87171; }
+    `;
+
+    // 내부 상태
+    let blocks = null;        // Map<Element, { original, unit }> (content.js 소유)
+    let handlers = null;      // { onRetranslate(block, model), onMarkWrong(block) }
+    let defaultModel = '';
+    let host = null;
+    let ui = null;
+    let currentBlock = null;
+    let showTimer = null;
+    let hideTimer = null;
+    let busy = false;
+    let frameWindows = [];    // 이벤트를 건 동일 출처 iframe 창
+
+    /**
+     * 이벤트 대상이 속한 번역 블록 (shadow root 경계를 넘어 상위로 탐색)
+     * @param {EventTarget} target - composedPath()[0] (열린 shadow root 안의 실제 대상)
+     * @returns {Element|null}
+     */
+    function findBlock(target){
+      let current = target && target.nodeType === Node.ELEMENT_NODE ? target : (target && target.parentElement);
+      while (current) {
+        if (blocks && blocks.has(current)) return current;
+        current = current.parentElement || (current.parentNode && current.parentNode.host) || null;
+      }
+      return null;
+    }
+
+    /**
+     * 최상위 화면 기준 요소 위치 (iframe 안의 요소는 프레임 위치만큼 이동)
+     * @param {Element} element
+     * @returns {{top: number, bottom: number, left: number}}
+     */
+    function getViewportRect(element){
+      const rect = element.getBoundingClientRect();
+      let top = rect.top;
+      let bottom = rect.bottom;
+      let left = rect.left;
+      let view = element.ownerDocument && element.ownerDocument.defaultView;
+      while (view && view !== window && view.frameElement) {
+        const frameRect = view.frameElement.getBoundingClientRect();
+        top += frameRect.top;
+        bottom += frameRect.top;
+        left += frameRect.left;
+        view = view.frameElement.ownerDocument.defaultView;
+      }
+      return { top, bottom, left };
+    }
+
+    function ensureOverlay(){
+      if (host && host.isConnected) return;
+      host = document.createElement('wpt-inspector');
+      const root = host.attachShadow({ mode: 'closed' });
+      root.innerHTML = `<style>${OVERLAY_STYLE}</style>
+        <div class="box" hidden>
+          <div class="label">원문</div>
+          <div class="original"></div>
+          <div class="actions">
+            <input class="model" type="text" placeholder="모델 (예: openai/gpt-4o)" aria-label="다시 번역할 모델">
+            <button class="retranslate" type="button">다시 번역</button>
+            <button class="wrong secondary" type="button">번역 오류 표시</button>
+          </div>
+          <div class="status"></div>
+        </div>`;
+      ui = {
+        box: root.querySelector('.box'),
+        original: root.querySelector('.original'),
+        model: root.querySelector('.model'),
+        retranslate: root.querySelector('.retranslate'),
+        wrong: root.querySelector('.wrong'),
+        status: root.querySelector('.status')
+      };
+      ui.box.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+      ui.box.addEventListener('mouseleave', scheduleHide);
+      ui.retranslate.addEventListener('click', () => runAction('retranslate'));
+      ui.wrong.addEventListener('click', () => runAction('wrong'));
+      document.documentElement.appendChild(host);
+    }
+
+    function setStatus(text, isError){
+      ui.status.textContent = text || '';
+      ui.status.className = isError ? 'status error' : 'status';
+    }
+
+    function position(block){
+      const rect = getViewportRect(block);
+      const boxHeight = ui.box.offsetHeight || 120;
+      const below = rect.bottom + 6;
+      const top = below + boxHeight > window.innerHeight ? Math.max(6, rect.top - boxHeight - 6) : below;
+      const left = Math.min(Math.max(6, rect.left), Math.max(6, window.innerWidth - 370));
+      ui.box.style.top = `${Math.round(top)}px`;
+      ui.box.style.left = `${Math.round(left)}px`;
+    }
+
+    function show(block){
+      const entry = blocks && blocks.get(block);
+      if (!entry) return;
+      ensureOverlay();
+      currentBlock = block;
+      const original = entry.original || '';
+      ui.original.textContent = original.length > DEFAULTS.MAX_ORIGINAL_CHARS ? `${original.slice(0, DEFAULTS.MAX_ORIGINAL_CHARS)}…` : original;
+      if (!ui.model.value) ui.model.value = defaultModel;
+      const issues = entry.glossaryIssues || [];
+      if (entry.flagged) {
+        setStatus('오류로 표시된 번역입니다.');
+      } else if (issues.length > 0) {
+        setStatus(WPT.Glossary.describeViolations(issues), true);
+      } else {
+        setStatus('');
+      }
+      ui.box.hidden = false;
+      position(block);
+    }
+
+    function hide(){
+      if (busy) return;
+      currentBlock = null;
+      if (ui) ui.box.hidden = true;
+    }
+
+    function scheduleHide(){
+      clearTimeout(showTimer);
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(hide, DEFAULTS.HIDE_DELAY_MS);
+    }
+
+    function onMouseOver(event){
+      if (event.target === host) {
+        clearTimeout(hideTimer);
+        return;
+      }
+      const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+      const block = findBlock(path[0] || event.target);
+      if (!block) {
+        if (currentBlock) scheduleHide();
+        return;
+      }
+      clearTimeout(hideTimer);
+      if (block === currentBlock) return;
+      clearTimeout(showTimer);
+      showTimer = setTimeout(() => show(block), DEFAULTS.SHOW_DELAY_MS);
+    }
+
+    /**
+     * 오버레이 버튼 처리
+     * @param {'retranslate'|'wrong'} action
+     */
+    async function runAction(action){
+      const block = currentBlock;
+      if (!block || busy || !handlers) return;
+      busy = true;
+      ui.retranslate.disabled = true;
+      ui.wrong.disabled = true;
+      try {
+        if (action === 'retranslate') {
+          const model = ui.model.value.trim() || defaultModel;
+          setStatus(`${model}(으)로 다시 번역 중...`);
+          await handlers.onRetranslate(block, model);
+          setStatus('다시 번역했습니다. 캐시도 갱신되었습니다.');
+        } else {
+          await handlers.onMarkWrong(block);
+          setStatus('오류로 표시했습니다. 다음 번역 때 캐시를 쓰지 않고 다시 번역합니다.');
+        }
+        if (block.isConnected) position(block);
+      } catch (error) {
+        setStatus(`실패: ${error && error.message ? error.message : error}`, true);
+      } finally {
+        busy = false;
+        ui.retranslate.disabled = false;
+        ui.wrong.disabled = false;
+      }
+    }
+
+    /**
+     * 검토 도구 시작
+     * @param {Object} options
+     * @param {Map<Element, Object>} options.blocks - 번역된 블록 정보 (번역 진행 중 계속 추가됨)
+     * @param {string} options.model - 다시 번역 입력란 기본 모델
+     * @param {Function} options.onRetranslate - (block, model) => Promise<void>
+     * @param {Function} options.onMarkWrong - (block) => Promise<void>
+     */
+    function start(options){
+      stop();
+      blocks = options.blocks;
+      handlers = { onRetranslate: options.onRetranslate, onMarkWrong: options.onMarkWrong };
+      defaultModel = options.model || '';
+      document.addEventListener('mouseover', onMouseOver, true);
+      window.addEventListener('scroll', scheduleHide, true);
+
+      // iframe 문서의 이벤트는 상위 문서로 전달되지 않으므로 프레임마다 등록
+      const roots = WPT.Dom && WPT.Dom.getNestedRoots ? WPT.Dom.getNestedRoots(document.body).roots : [];
+      frameWindows = roots
+        .map(root => root.ownerDocument && root.ownerDocument.defaultView)
+        .filter((view, idx, views) => view && view !== window && views.indexOf(view) === idx);
+      frameWindows.forEach((view) => {
+        view.document.addEventListener('mouseover', onMouseOver, true);
+        view.addEventListener('scroll', scheduleHide, true);
+      });
+    }
+
+    function stop(){
+      document.removeEventListener('mouseover', onMouseOver, true);
+      window.removeEventListener('scroll', scheduleHide, true);
+      frameWindows.forEach((view) => {
+        try {
+          view.document.removeEventListener('mouseover', onMouseOver, true);
+          view.removeEventListener('scroll', scheduleHide, true);
+        } catch (_) { /* 프레임이 사라졌거나 다른 출처로 이동 */ }
+      });
+      frameWindows = [];
+      clearTimeout(showTimer);
+      clearTimeout(hideTimer);
+      busy = false;
+      hide();
+      if (host) host.remove();
+      host = null;
+      ui = null;
+      blocks = null;
+      handlers = null;
+    }
+
+    function isActive(){ return !!handlers; }
+
+    WPT.Inspector = { start, stop, isActive };
+  } catch(_) { /* no-op */ }
+})();
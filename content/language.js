@@ -0,0 +1,126 @@
+/**
+ * Content Language Module
+ * - 번역 대상 언어 목록과 코드 정규화
+ * - 프롬프트에는 언어 이름(한국어 표기)을, 캐시 키에는 언어 코드를 사용
+ * - 로컬 원문 언어 감지: 문자 체계 비율 + 라틴 문자 언어는 기능어 빈도로 추정 (API 호출 없음)
+ */
+(function languageModule(){
+  try {
+    const root = typeof window !== 'undefined' ? window : self; // background service worker도 importScripts로 로드
+    root.WPT = root.WPT || {};
+    const WPT = root.WPT;
+
+    const DEFAULT_TARGET = 'ko';
+
+    // sidepanel modules/constants.js TARGET_LANGUAGES와 동일하게 유지
+    const TARGET_LANGUAGES = {
+      ko: '한국어',
+      en: '영어',
+      ja: '일본어',
+      'zh-CN': '중국어 간체',
+      'zh-TW': '중국어 번체',
+      es: '스페인어',
+      fr: '프랑스어',
+      de: '독일어'
+    };
+
+    /**
+     * 지원하지 않거나 비어 있는 코드는 기본값(한국어)으로
+     * @param {string} code
+     * @returns {string}
+     */
+    function normalizeTarget(code){
+      return Object.prototype.hasOwnProperty.call(TARGET_LANGUAGES, code) ? code : DEFAULT_TARGET;
+    }
+
+    /**
+     * 프롬프트용 언어 이름 (예: 'ja' → '일본어')
+     * @param {string} code
+     * @returns {string}
+     */
+    function getLanguageName(code){
+      return TARGET_LANGUAGES[normalizeTarget(code)];
+    }
+
+    // 언어가 아닌 토큰: 자리표시 태그, URL, 이메일, 숫자(+짧은 단위: 10kg, 3rd, 5GB)
+    const NON_LINGUISTIC_PATTERNS = [
+      /<\/?[a-z]\d+\s*\/?>/g,
+      /(?:https?:\/\/|www\.)\S+/gi,
+      /\S+@\S+\.\S+/g,
+      /\d[\d.,:/\-]*\p{L}{0,3}/gu
+    ];
+
+    const SCRIPT_PATTERNS = {
+      hangul: /\p{Script=Hangul}/gu,
+      kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+      han: /\p{Script=Han}/gu,
+      latin: /\p{Script=Latin}/gu
+    };
+
+    // 라틴 문자 언어 구분용 기능어 (자주 쓰이고 짧은 단어 위주)
+    const STOPWORDS = {
+      en: new Set(['the', 'and', 'of', 'to', 'in', 'is', 'are', 'for', 'with', 'on', 'that', 'this', 'you', 'your', 'it', 'be', 'as', 'at', 'by', 'from', 'or', 'an', 'was', 'will', 'can', 'not', 'have', 'has']),
+      es: new Set(['el', 'los', 'las', 'del', 'que', 'y', 'un', 'una', 'por', 'para', 'con', 'es', 'son', 'se', 'su', 'al', 'como', 'más', 'lo', 'pero']),
+      fr: new Set(['le', 'les', 'des', 'du', 'et', 'est', 'une', 'pour', 'dans', 'qui', 'sur', 'pas', 'avec', 'vous', 'nous', 'aux', 'ce', 'sont', 'mais', 'ou']),
+      de: new Set(['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'den', 'von', 'für', 'auf', 'im', 'dem', 'sie', 'es', 'wir', 'ich', 'auch', 'sich'])
+    };
+
+    function countMatches(text, pattern){
+      const matches = text.match(pattern);
+      return matches ? matches.length : 0;
+    }
+
+    function guessLatinLanguage(text){
+      const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+      let best = null; let bestScore = 0; let secondScore = 0;
+      Object.keys(STOPWORDS).forEach(code => {
+        const score = words.reduce((sum, word) => sum + (STOPWORDS[code].has(word) ? 1 : 0), 0);
+        if (score > bestScore) { secondScore = bestScore; bestScore = score; best = code; }
+        else if (score > secondScore) { secondScore = score; }
+      });
+      return bestScore > 0 && bestScore > secondScore ? best : null;
+    }
+
+    /**
+     * 원문 언어 추정
+     * - 한자만 있는 텍스트는 중국어('zh', 간체/번체 구분 없음), 가나가 섞이면 일본어
+     * - 라틴 문자는 기능어가 없으면(짧은 메뉴명 등) 판단하지 않음
+     * @param {string} text
+     * @returns {{language: string|null, letters: number}} language는 추정 불가 시 null
+     */
+    function detectLanguage(text){
+      let stripped = String(text || '');
+      NON_LINGUISTIC_PATTERNS.forEach(pattern => { stripped = stripped.replace(pattern, ' '); });
+      const letters = countMatches(stripped, /\p{L}/gu);
+      if (letters === 0) return { language: null, letters: 0 };
+
+      const hangul = countMatches(stripped, SCRIPT_PATTERNS.hangul);
+      const kana = countMatches(stripped, SCRIPT_PATTERNS.kana);
+      const han = countMatches(stripped, SCRIPT_PATTERNS.han);
+      const latin = countMatches(stripped, SCRIPT_PATTERNS.latin);
+
+      let language = null;
+      if (hangul * 2 >= letters) language = 'ko';
+      else if (kana > 0 && (kana + han) * 2 >= letters) language = 'ja';
+      else if (han * 2 >= letters) language = 'zh';
+      else if (latin * 2 >= letters) language = guessLatinLanguage(stripped);
+      return { language, letters };
+    }
+
+    /**
+     * 번역 필요 여부 분류
+     * @param {string} text - 번역 단위 텍스트 (자리표시 태그 포함 가능)
+     * @param {string} target - 대상 언어 코드
+     * @returns {'translate'|'target'|'nonLinguistic'} target: 이미 대상 언어, nonLinguistic: 숫자/날짜/이모지/URL 등
+     */
+    function classifyText(text, target){
+      const { language, letters } = detectLanguage(text);
+      if (letters === 0) return 'nonLinguistic';
+      const normalized = normalizeTarget(target);
+      const targetBase = normalized.startsWith('zh') ? 'zh' : normalized;
+      return language === targetBase ? 'target' : 'translate';
+    }
+
+    WPT.Language = { DEFAULT_TARGET, TARGET_LANGUAGES, normalizeTarget, getLanguageName, detectLanguage, classifyText };
+  } catch(_) { /* no-op */ }
+})();
@@ -0,0 +1,488 @@
+/**
+ * Content LLM Provider Module
+ * - LLM 제공자(OpenRouter, OpenAI 호환 서버, Anthropic, Gemini)별 요청 형식과 응답 해석
+ * - 제공자 설정(chrome.storage.local llmProvider, llmBaseUrl)을 읽어 한 가지 방식으로 호출
+ * - side panel(modules/llm.js)도 이 파일을 그대로 불러 사용 (모든 기능이 같은 클라이언트 사용)
+ * - 재시도는 호출 측 담당 (content/api.js executeWithRetry)
+ * - 실제 요청은 확장 프로그램 출처에서만 보냄 (background service worker가 importScripts로 로드, side panel은 직접 호출)
+ *   content script에서는 같은 이름의 함수가 background에 요청: 일반 요청은 LLM_REQUEST 메시지, 스트리밍은 LLM_STREAM_PORT Port
+ *   (페이지 출처 fetch는 CORS/사설망 접근 제한에 걸려 로컬 서버(Ollama, LM Studio 등)를 호출할 수 없음)
+ *
+ * 응답은 { text, usage }로 통일, usage는 { promptTokens, completionTokens, cost } (비용은 OpenRouter만 제공)
+ */
+(function llmModule(){
+  try {
+    const root = typeof window !== 'undefined' ? window : self;
+    root.WPT = root.WPT || {};
+    const WPT = root.WPT;
+    if (WPT.Llm) return;
+
+    const PROVIDER_KEY = 'llmProvider';
+    const BASE_URL_KEY = 'llmBaseUrl';
+    const DEFAULT_PROVIDER = 'openrouter';
+    const ANTHROPIC_VERSION = '2023-06-01';
+    const ANTHROPIC_MAX_TOKENS = 8192; // Anthropic은 max_tokens 필수 (배치 번역 응답이 잘리지 않을 만큼)
+    const LLM_REQUEST = 'LLM_REQUEST';
+    const LLM_STREAM_PORT = 'llm-stream';
+    // 확장 프로그램 출처(service worker, side panel)면 직접 호출, 페이지에 주입된 content script면 background 요청
+    const IS_DIRECT = typeof window === 'undefined' || root.location.protocol === 'chrome-extension:';
+
+    /**
+     * 제공자 목록
+     * - customBaseUrl: 설정의 서버 주소(llmBaseUrl)를 사용하는지 (OpenAI 호환 서버)
+     * - defaultModel: 모델을 비워 두었을 때 사용할 모델 (OpenAI 호환 서버는 직접 입력)
+     */
+    const PROVIDERS = {
+      openrouter: {
+        label: 'OpenRouter',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        defaultModel: 'openai/gpt-4o-mini',
+        customBaseUrl: false
+      },
+      'openai-compatible': {
+        label: 'OpenAI 호환 서버',
+        baseUrl: 'http://localhost:11434/v1',
+        defaultModel: '',
+        customBaseUrl: true
+      },
+      anthropic: {
+        label: 'Anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        defaultModel: 'claude-3-5-haiku-latest',
+        customBaseUrl: false
+      },
+      gemini: {
+        label: 'Google Gemini',
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: 'gemini-2.0-flash',
+        customBaseUrl: false
+      }
+    };
+
+    // 내부 상태
+    let config = null; // { provider, baseUrl } (null: 아직 읽지 않음)
+
+    /**
+     * 저장된 값으로 제공자 설정 생성 (알 수 없는 제공자는 OpenRouter, 주소 끝의 / 제거)
+     * @param {string} provider
+     * @param {string} baseUrl
+     * @returns {{provider: string, baseUrl: string}}
+     */
+    function resolveConfig(provider, baseUrl){
+      const id = PROVIDERS[provider] ? provider : DEFAULT_PROVIDER;
+      const custom = PROVIDERS[id].customBaseUrl && typeof baseUrl === 'string' ? baseUrl.trim() : '';
+      return { provider: id, baseUrl: (custom || PROVIDERS[id].baseUrl).replace(/\/+$/, '') };
+    }
+
+    /**
+     * 현재 제공자 설정
+     * @returns {Promise<{provider: string, baseUrl: string}>}
+     */
+    async function getConfig(){
+      if (!config) {
+        try {
+          const result = await chrome.storage.local.get([PROVIDER_KEY, BASE_URL_KEY]);
+          config = resolveConfig(result[PROVIDER_KEY], result[BASE_URL_KEY]);
+        } catch (_) {
+          return resolveConfig(DEFAULT_PROVIDER, '');
+        }
+      }
+      return config;
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && (changes[PROVIDER_KEY] || changes[BASE_URL_KEY])) config = null;
+    });
+
+    /**
+     * JSON Schema를 Gemini responseSchema 형식으로 변환 (대문자 type, additionalProperties 미지원)
+     * @param {Object} schema
+     * @returns {Object}
+     */
+    function toGeminiSchema(schema){
+      const result = { type: String(schema.type).toUpperCase() };
+      if (schema.properties) {
+        result.properties = {};
+        Object.keys(schema.properties).forEach(key => { result.properties[key] = toGeminiSchema(schema.properties[key]); });
+      }
+      if (schema.items) result.items = toGeminiSchema(schema.items);
+      if (schema.required) result.required = schema.required.slice();
+      return result;
+    }
+
+    /**
+     * 제공자별 HTTP 요청 생성
+     * @param {{provider: string, baseUrl: string}} cfg
+     * @param {string} prompt
+     * @param {Object} options
+     * @param {string} options.apiKey
+     * @param {string} options.model
+     * @param {boolean} [options.stream]
+     * @param {number} [options.temperature] - 생략 시 모델 기본값
+     * @param {number} [options.maxTokens] - 생략 시 모델 기본값 (Anthropic은 ANTHROPIC_MAX_TOKENS)
+     * @param {string} [options.title] - OpenRouter 대시보드에 표시할 앱 이름
+     * @param {string} [options.referer] - OpenRouter HTTP-Referer (생략 시 현재 주소, background는 요청한 페이지 주소)
+     * @param {{name: string, schema: Object}} [options.responseSchema] - JSON 응답 스키마 (Anthropic은 지원하지 않아 프롬프트로만 요청)
+     * @returns {{url: string, init: RequestInit}}
+     */
+    function buildRequest(cfg, prompt, { apiKey, model, stream = false, temperature, maxTokens, title, referer, responseSchema } = {}){
+      const headers = { 'Content-Type': 'application/json' };
+      const hasTemperature = typeof temperature === 'number';
+      const hasMaxTokens = typeof maxTokens === 'number';
+
+      if (cfg.provider === 'anthropic') {
+        headers['x-api-key'] = apiKey;
+        headers['anthropic-version'] = ANTHROPIC_VERSION;
+        headers['anthropic-dangerous-direct-browser-access'] = 'true'; // 브라우저에서 직접 호출 허용
+        const body = { model, max_tokens: hasMaxTokens ? maxTokens : ANTHROPIC_MAX_TOKENS, messages: [{ role: 'user', content: prompt }] };
+        if (stream) body.stream = true;
+        if (hasTemperature) body.temperature = temperature;
+        return { url: `${cfg.baseUrl}/messages`, init: { method: 'POST', headers, body: JSON.stringify(body) } };
+      }
+
+      if (cfg.provider === 'gemini') {
+        headers['x-goog-api-key'] = apiKey;
+        const modelId = String(model || '').replace(/^models\//, '');
+        const generationConfig = {};
+        if (hasTemperature) generationConfig.temperature = temperature;
+        if (hasMaxTokens) generationConfig.maxOutputTokens = maxTokens;
+        if (responseSchema) {
+          generationConfig.responseMimeType = 'application/json';
+          generationConfig.responseSchema = toGeminiSchema(responseSchema.schema);
+        }
+        const body = { contents: [{ role: 'user', parts: [{ text: prompt }] }], generationConfig };
+        const url = stream
+          ? `${cfg.baseUrl}/models/${encodeURIComponent(modelId)}:streamGenerateContent?alt=sse`
+          : `${cfg.baseUrl}/models/${encodeURIComponent(modelId)}:generateContent`;
+        return { url, init: { method: 'POST', headers, body: JSON.stringify(body) } };
+      }
+
+      // OpenRouter, OpenAI 호환: Chat Completions 형식
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+      const body = { model, messages: [{ role: 'user', content: prompt }] };
+      if (stream) body.stream = true;
+      if (hasTemperature) body.temperature = temperature;
+      if (hasMaxTokens) body.max_tokens = maxTokens;
+      if (responseSchema) {
+        body.response_format = { type: 'json_schema', json_schema: { name: responseSchema.name, strict: true, schema: responseSchema.schema } };
+      }
+      if (cfg.provider === 'openrouter') {
+        headers['HTTP-Referer'] = referer || root.location.href;
+        headers['X-Title'] = title || 'Web Page Translator';
+        body.usage = { include: true }; // 비용까지 응답에 포함
+      } else if (stream) {
+        body.stream_options = { include_usage: true }; // 마지막 청크에 usage 포함
+      }
+      return { url: `${cfg.baseUrl}/chat/completions`, init: { method: 'POST', headers, body: JSON.stringify(body) } };
+    }
+
+    /**
+     * 제공자별 usage를 공통 형식으로 정리
+     * @param {string} provider
+     * @param {Object} data - 응답 JSON (스트리밍은 이벤트 하나)
+     * @returns {{promptTokens: number, completionTokens: number, cost: number}|null}
+     */
+    function readUsage(provider, data){
+      if (!data) return null;
+      if (provider === 'anthropic') {
+        const usage = data.usage || (data.message && data.message.usage);
+        return usage ? { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0, cost: 0 } : null;
+      }
+      if (provider === 'gemini') {
+        const usage = data.usageMetadata;
+        return usage ? { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0, cost: 0 } : null;
+      }
+      const usage = data.usage;
+      return usage ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0, cost: Number(usage.cost) || 0 } : null;
+    }
+
+    function readGeminiText(data){
+      const parts = data && data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts;
+      return Array.isArray(parts) ? parts.map(part => part.text || '').join('') : '';
+    }
+
+    /**
+     * 일반 응답 해석
+     * @param {string} provider
+     * @param {Object} data - 응답 JSON
+     * @returns {string} 응답 텍스트
+     */
+    function readText(provider, data){
+      if (provider === 'anthropic') {
+        return Array.isArray(data && data.content) ? data.content.filter(block => block.type === 'text').map(block => block.text).join('') : '';
+      }
+      if (provider === 'gemini') return readGeminiText(data);
+      return data?.choices?.[0]?.message?.content || '';
+    }
+
+    /**
+     * 스트리밍 이벤트 하나 해석 (SSE data 줄의 JSON)
+     * - Anthropic: content_block_delta의 text, message_start/message_delta의 usage (입력/출력 토큰이 나뉘어 옴)
+     * - Gemini: 청크마다 parts 텍스트, usageMetadata는 누적값
+     * @param {string} provider
+     * @param {Object} data
+     * @returns {{text: string, usage: Object|null}}
+     */
+    function readStreamEvent(provider, data){
+      if (provider === 'anthropic') {
+        const text = data.type === 'content_block_delta' && data.delta && data.delta.type === 'text_delta' ? data.delta.text || '' : '';
+        return { text, usage: data.type === 'message_start' || data.type === 'message_delta' ? readUsage(provider, data) : null };
+      }
+      if (provider === 'gemini') {
+        return { text: readGeminiText(data), usage: readUsage(provider, data) };
+      }
+      return { text: data?.choices?.[0]?.delta?.content || '', usage: readUsage(provider, data) };
+    }
+
+    // 스트리밍 usage 합치기 (Anthropic은 입력/출력 토큰이 다른 이벤트로 옴, 나머지는 마지막 값이 전체)
+    function mergeStreamUsage(provider, current, next){
+      if (!next) return current;
+      if (provider !== 'anthropic' || !current) return next;
+      return {
+        promptTokens: next.promptTokens || current.promptTokens,
+        completionTokens: next.completionTokens || current.completionTokens,
+        cost: 0
+      };
+    }
+
+    /**
+     * 실패 응답을 Error로 변환 (status, retryable, retryAfterMs 포함, 본문의 오류 메시지 우선)
+     * @param {Response} response
+     * @returns {Promise<Error>}
+     */
+    async function toHttpError(response){
+      let detail = '';
+      try {
+        const data = await response.json();
+        const body = Array.isArray(data) ? data[0] : data; // Gemini는 배열로 오기도 함
+        detail = body?.error?.message || '';
+      } catch (_) {
+        // 본문이 JSON이 아니면 상태 텍스트 사용
+      }
+      const error = new Error(detail || `API error: ${response.status} ${response.statusText || ''}`.trim());
+      error.status = response.status;
+      error.retryable = response.status >= 500 || response.status === 429;
+      const retryAfter = parseInt(response.headers && response.headers.get ? response.headers.get('retry-after') : '', 10);
+      if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000; // 요청 한도 초과 시 서버가 알려준 대기 시간(초)
+      return error;
+    }
+
+    /**
+     * 일반 요청 1회 (재시도 없음)
+     * @param {string} prompt
+     * @param {Object} options - buildRequest 옵션 (apiKey, model, temperature, maxTokens, title), signal: 요청 중단
+     * @returns {Promise<{text: string, usage: Object|null}>}
+     */
+    async function complete(prompt, options = {}){
+      const cfg = await getConfig();
+      const { url, init } = buildRequest(cfg, prompt, { ...options, stream: false });
+      const response = await fetch(url, { ...init, signal: options.signal });
+      if (!response.ok) throw await toHttpError(response);
+      const data = await response.json();
+      return { text: readText(cfg.provider, data), usage: readUsage(cfg.provider, data) };
+    }
+
+    /**
+     * 스트리밍 요청 시작 (응답 헤더까지, 재시도는 이 단계만 가능)
+     * @param {string} prompt
+     * @param {Object} options - buildRequest 옵션, signal: 요청 중단
+     * @returns {Promise<{response: Response, provider: string}>}
+     */
+    async function startStream(prompt, options = {}){
+      const cfg = await getConfig();
+      const { url, init } = buildRequest(cfg, prompt, { ...options, stream: true });
+      const response = await fetch(url, { ...init, signal: options.signal });
+      if (!response.ok) throw await toHttpError(response);
+      return { response, provider: cfg.provider };
+    }
+
+    /**
+     * 스트리밍 응답 읽기 (SSE)
+     * @param {{response: Response, provider: string}} stream - startStream 결과
+     * @param {Function} [onChunk] - (text) => void
+     * @returns {Promise<{text: string, usage: Object|null}>}
+     */
+    async function readStream({ response, provider }, onChunk){
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let fullText = '';
+      let buffer = '';
+      let usage = null;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || ''; // 마지막 불완전한 줄은 버퍼에 보관
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:') || trimmed === 'data: [DONE]') continue;
+
+          try {
+            const event = readStreamEvent(provider, JSON.parse(trimmed.slice(5).trim()));
+            usage = mergeStreamUsage(provider, usage, event.usage);
+            if (event.text) {
+              fullText += event.text;
+              if (onChunk) onChunk(event.text);
+            }
+          } catch (_) {
+            // JSON 파싱 에러 무시 (불완전한 청크, ping 이벤트)
+          }
+        }
+      }
+
+      return { text: fullText, usage };
+    }
+
+    /**
+     * 오류를 메시지로 보낼 수 있는 형태로 변환 (재시도 판단에 쓰는 status/retryable/retryAfterMs 유지)
+     * @param {Error} error
+     * @returns {{message: string, status?: number, retryable?: boolean, retryAfterMs?: number, network: boolean}}
+     */
+    function serializeError(error){
+      return {
+        message: (error && error.message) || String(error),
+        status: error && error.status,
+        retryable: error && error.retryable,
+        retryAfterMs: error && error.retryAfterMs,
+        network: !!error && error.name === 'TypeError' // fetch 네트워크 실패 (호출 측이 재시도)
+      };
+    }
+
+    /**
+     * serializeError 결과를 다시 Error로 (네트워크 실패는 TypeError로 되돌려 같은 재시도 규칙 적용)
+     * @param {Object} [data]
+     * @returns {Error}
+     */
+    function deserializeError(data){
+      const info = data || {};
+      const error = info.network ? new TypeError(info.message) : new Error(info.message || 'llm_unavailable');
+      if (info.status) error.status = info.status;
+      if (typeof info.retryable === 'boolean') error.retryable = info.retryable;
+      if (info.retryAfterMs) error.retryAfterMs = info.retryAfterMs;
+      return error;
+    }
+
+    if (IS_DIRECT) {
+      /**
+       * background: content script 일반 요청 처리 (LLM_REQUEST 메시지)
+       * @param {{prompt: string, options: Object}} msg
+       * @param {string} referer - 요청한 페이지 주소
+       * @returns {Promise<{success: boolean, result?: Object, error?: Object}>}
+       */
+      const handleRequest = async ({ prompt, options }, referer) => {
+        try {
+          return { success: true, result: await complete(prompt, { ...options, referer }) };
+        } catch (error) {
+          return { success: false, error: serializeError(error) };
+        }
+      };
+
+      /**
+       * background: content script 스트리밍 요청 처리 (Port 하나가 요청 하나)
+       * - 보내는 메시지: start(응답 헤더 수신) → chunk(text) 반복 → done(usage), 실패 시 error
+       * - content 쪽 Port가 끊기면(페이지 이동/닫힘) 요청 중단
+       * @param {chrome.runtime.Port} port
+       * @param {string} referer - 요청한 페이지 주소
+       */
+      const handleStreamPort = (port, referer) => {
+        const controller = new AbortController();
+        port.onDisconnect.addListener(() => controller.abort());
+        port.onMessage.addListener(async ({ prompt, options }) => {
+          try {
+            const stream = await startStream(prompt, { ...options, referer, signal: controller.signal });
+            port.postMessage({ type: 'start' });
+            const { usage } = await readStream(stream, text => port.postMessage({ type: 'chunk', text }));
+            port.postMessage({ type: 'done', usage });
+          } catch (error) {
+            if (!controller.signal.aborted) port.postMessage({ type: 'error', error: serializeError(error) });
+          }
+        });
+      };
+
+      WPT.Llm = { PROVIDERS, DEFAULT_PROVIDER, LLM_REQUEST, LLM_STREAM_PORT, resolveConfig, getConfig, buildRequest, complete, startStream, readStream, handleRequest, handleStreamPort };
+      return;
+    }
+
+    // ===== content script: background 요청 =====
+
+    /**
+     * 일반 요청 1회 (background가 호출, 재시도 없음)
+     * @param {string} prompt
+     * @param {Object} options - buildRequest 옵션 (메시지로 보낼 수 있는 값만)
+     * @returns {Promise<{text: string, usage: Object|null}>}
+     */
+    async function requestComplete(prompt, options = {}){
+      const response = await chrome.runtime.sendMessage({ type: LLM_REQUEST, prompt, options });
+      if (!response || !response.success) throw deserializeError(response && response.error);
+      return response.result;
+    }
+
+    /**
+     * 스트리밍 요청 시작 (background의 응답 헤더 수신까지, 이후 청크는 readStream이 읽음)
+     * @param {string} prompt
+     * @param {Object} options - buildRequest 옵션 (메시지로 보낼 수 있는 값만)
+     * @returns {Promise<{port: chrome.runtime.Port, events: Array<Object>, notify: Function|null}>}
+     */
+    function requestStream(prompt, options = {}){
+      return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: LLM_STREAM_PORT });
+        const stream = { port, events: [], notify: null };
+        let started = false;
+
+        const push = (event) => {
+          stream.events.push(event);
+          if (stream.notify) stream.notify();
+        };
+
+        port.onMessage.addListener((msg) => {
+          if (started) {
+            push(msg);
+          } else if (msg.type === 'start') {
+            started = true;
+            resolve(stream);
+          } else {
+            port.disconnect();
+            reject(deserializeError(msg.error));
+          }
+        });
+        // service worker 종료 등으로 끊김: 네트워크 실패로 취급
+        port.onDisconnect.addListener(() => {
+          const error = { message: 'LLM 요청 연결이 끊겼습니다', network: true };
+          if (started) push({ type: 'error', error }); else reject(deserializeError(error));
+        });
+        port.postMessage({ prompt, options });
+      });
+    }
+
+    /**
+     * 스트리밍 응답 읽기 (background가 보낸 청크)
+     * @param {{port: chrome.runtime.Port, events: Array<Object>}} stream - startStream 결과
+     * @param {Function} [onChunk] - (text) => void
+     * @returns {Promise<{text: string, usage: Object|null}>}
+     */
+    async function readRequestedStream(stream, onChunk){
+      let fullText = '';
+      try {
+        while (true) {
+          if (stream.events.length === 0) {
+            await new Promise(resolve => { stream.notify = resolve; });
+            stream.notify = null;
+          }
+          const event = stream.events.shift();
+          if (event.type === 'done') return { text: fullText, usage: event.usage || null };
+          if (event.type !== 'chunk') throw deserializeError(event.error);
+          fullText += event.text;
+          if (onChunk) onChunk(event.text);
+        }
+      } finally {
+        try { stream.port.disconnect(); } catch (_) {}
+      }
+    }
+
+    WPT.Llm = { PROVIDERS, DEFAULT_PROVIDER, resolveConfig, getConfig, buildRequest, complete: requestComplete, startStream: requestStream, readStream: readRequestedStream };
+  } catch(_) { /* no-op */ }
+})();
@@ -0,0 +1,182 @@
+/**
+ * Content Observer Module
+ * - 번역 완료 후 동적으로 추가/변경되는 텍스트 노드 감시 (페이지 따라가기)
+ * - 무한 스크롤, SPA 라우트 변경, "더 보기" 댓글 등을 모아 디바운스 후 핸들러로 전달
+ * - 확장 프로그램 자신이 일으킨 DOM 변경은 runSilently로 감시에서 제외
+ * - 문서 body와 함께 열린 shadow root, 동일 출처 iframe 문서도 감시 (WPT.Dom이 수집하는 범위와 동일)
+ */
+(function observerModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+
+    const DEFAULTS = {
+      DEBOUNCE_MS: 600,   // 마지막 변경 이후 대기 시간
+      MAX_WAIT_MS: 2500   // 변경이 계속되어도 이 시간 안에는 한 번 처리
+    };
+
+    const OBSERVE_OPTIONS = { childList: true, subtree: true, characterData: true };
+
+    // 내부 상태
+    let observer = null;
+    let observedRoots = new WeakSet();  // 감시 중인 body/shadow root/iframe body
+    let watchedFrames = new WeakSet();  // load 리스너를 건 iframe
+    let handler = null;
+    let addedNodes = new Set();
+    let changedNodes = new Set();
+    let debounceTimer = null;
+    let firstPendingAt = 0;
+    let busy = false;
+
+    function isTranslatable(node){
+      return !!(WPT.Dom && WPT.Dom.isTranslatableTextNode && WPT.Dom.isTranslatableTextNode(node));
+    }
+
+    /**
+     * MutationRecord에서 번역 후보 텍스트 노드 수집
+     * - childList: 추가된 텍스트 노드 / 요소 하위 텍스트 노드
+     * - characterData: 페이지가 내용을 바꾼 텍스트 노드
+     * @param {Array<MutationRecord>} records
+     */
+    function collect(records){
+      for (const record of records){
+        if (record.type === 'characterData'){
+          if (record.target && record.target.nodeType === Node.TEXT_NODE){
+            changedNodes.add(record.target);
+          }
+          continue;
+        }
+        record.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.TEXT_NODE){
+            addedNodes.add(node);
+          } else if (node.nodeType === Node.ELEMENT_NODE && WPT.Dom && WPT.Dom.getAllTextNodes){
+            WPT.Dom.getAllTextNodes(node).forEach((textNode) => addedNodes.add(textNode));
+            observeNested(node);
+          }
+        });
+      }
+      if (addedNodes.size > 0 || changedNodes.size > 0) scheduleFlush();
+    }
+
+    function scheduleFlush(){
+      const now = Date.now();
+      if (!firstPendingAt) firstPendingAt = now;
+      if (debounceTimer) clearTimeout(debounceTimer);
+      const delay = Math.max(0, Math.min(DEFAULTS.DEBOUNCE_MS, firstPendingAt + DEFAULTS.MAX_WAIT_MS - now));
+      debounceTimer = setTimeout(flush, delay);
+    }
+
+    function observeRoot(root){
+      if (!observer || !root || observedRoots.has(root)) return;
+      observedRoots.add(root);
+      observer.observe(root, OBSERVE_OPTIONS);
+    }
+
+    /**
+     * 노드 하위의 shadow root와 iframe 문서를 감시 대상에 추가
+     * - iframe은 로드될 때마다(문서가 바뀌므로) 새 문서를 감시하고 그 안의 텍스트를 추가된 노드로 처리
+     * @param {Node} node
+     */
+    function observeNested(node){
+      if (!WPT.Dom || !WPT.Dom.getNestedRoots) return;
+      const { roots, frames } = WPT.Dom.getNestedRoots(node);
+      roots.forEach(observeRoot);
+      frames.forEach((frame) => {
+        if (watchedFrames.has(frame)) return;
+        watchedFrames.add(frame);
+        frame.addEventListener('load', () => handleFrameLoad(frame));
+      });
+    }
+
+    function handleFrameLoad(frame){
+      if (!observer) return;
+      let body = null;
+      try {
+        body = frame.contentDocument && frame.contentDocument.body;
+      } catch (_) {
+        return; // 교차 출처 프레임은 해당 프레임의 content script가 담당
+      }
+      if (!body || observedRoots.has(body)) return;
+      observeRoot(body);
+      observeNested(body);
+      WPT.Dom.getAllTextNodes(body).forEach((textNode) => addedNodes.add(textNode));
+      if (addedNodes.size > 0) scheduleFlush();
+    }
+
+    /**
+     * 모인 노드를 핸들러로 전달 (동시에 하나만 처리)
+     * - 처리 중 들어온 변경은 다음 flush에서 처리
+     */
+    async function flush(){
+      debounceTimer = null;
+      if (!observer || !handler) return;
+      if (busy){ scheduleFlush(); return; }
+
+      const added = Array.from(addedNodes).filter((node) => node.isConnected && isTranslatable(node));
+      const changed = Array.from(changedNodes).filter((node) => node.isConnected && isTranslatable(node));
+      addedNodes = new Set();
+      changedNodes = new Set();
+      firstPendingAt = 0;
+      if (added.length === 0 && changed.length === 0) return;
+
+      busy = true;
+      try {
+        await handler({ added, changed });
+      } catch (_) {
+        // 핸들러 오류는 content.js에서 로깅, 감시는 계속
+      } finally {
+        busy = false;
+        if (addedNodes.size > 0 || changedNodes.size > 0) scheduleFlush();
+      }
+    }
+
+    /**
+     * 감시 시작
+     * @param {Function} onNodes - ({ added: Node[], changed: Node[] }) => Promise<void>
+     */
+    function start(onNodes){
+      stop();
+      if (!document.body || typeof MutationObserver === 'undefined') return false;
+      handler = onNodes;
+      observer = new MutationObserver(collect);
+      observeRoot(document.body);
+      observeNested(document.body);
+      return true;
+    }
+
+    function stop(){
+      if (observer){
+        try { observer.disconnect(); } catch (_) {}
+      }
+      observer = null;
+      observedRoots = new WeakSet();
+      watchedFrames = new WeakSet();
+      handler = null;
+      if (debounceTimer) clearTimeout(debounceTimer);
+      debounceTimer = null;
+      addedNodes = new Set();
+      changedNodes = new Set();
+      firstPendingAt = 0;
+    }
+
+    function isActive(){ return !!observer; }
+
+    /**
+     * 확장 프로그램이 직접 수행하는 동기 DOM 변경 실행
+     * - 실행 전 쌓인 레코드는 정상 수집, 실행 중 생긴 레코드는 버림
+     * @param {Function} fn - 동기 DOM 변경 함수
+     * @returns {*} fn의 반환값
+     */
+    function runSilently(fn){
+      if (!observer) return fn();
+      collect(observer.takeRecords());
+      try {
+        return fn();
+      } finally {
+        if (observer) observer.takeRecords();
+      }
+    }
+
+    WPT.Observer = { start, stop, isActive, runSilently };
+  } catch(_) { /* no-op */ }
+})();
@@ -0,0 +1,193 @@
+/**
+ * Content Priority Module
+ * - 화면에 보이는 번역 단위부터 번역하도록 단위별 우선순위 등급 관리
+ * - 등급: 0 화면 안, 1 화면 근처 (위아래로 화면 높이 NEAR_SCREENS배 이내), 2 나머지
+ * - 번역 시작 시 getBoundingClientRect로 한 번 측정하고, 이후 스크롤에 따른 변화는 IntersectionObserver로 갱신
+ * - 지연 번역 모드는 등급 변화 알림(setListener)으로 화면에 다가온 배치를 번역
+ */
+(function priorityModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+    if (WPT.Priority) return;
+
+    const TIERS = { VISIBLE: 0, NEAR: 1, FAR: 2 };
+    const NEAR_SCREENS = 1;
+
+    /**
+     * 번역 단위의 위치 기준 요소 (그룹은 블록, 속성 단위는 해당 요소, 텍스트 노드는 부모 요소)
+     * @param {Object|Node} unit - extractTexts의 번역 단위
+     * @returns {Element|null}
+     */
+    function getAnchor(unit){
+      if (!unit) return null;
+      if (unit.attr && unit.element) return unit.element;
+      if (unit.block && unit.block.nodeType === Node.ELEMENT_NODE) return unit.block;
+      const node = unit.nodes ? unit.nodes[0] : unit;
+      if (!node) return null;
+      return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    }
+
+    function getViewHeight(){
+      return window.innerHeight || (document.documentElement && document.documentElement.clientHeight) || 0;
+    }
+
+    /**
+     * 요소 위치로 등급 계산 (크기가 없는 요소는 숨겨진 것으로 보고 FAR)
+     * @param {DOMRect} rect
+     * @param {number} viewHeight
+     * @returns {number}
+     */
+    function getRectTier(rect, viewHeight){
+      if (!rect || (rect.width === 0 && rect.height === 0)) return TIERS.FAR;
+      if (rect.bottom > 0 && rect.top < viewHeight) return TIERS.VISIBLE;
+      const margin = viewHeight * NEAR_SCREENS;
+      if (rect.bottom > -margin && rect.top < viewHeight + margin) return TIERS.NEAR;
+      return TIERS.FAR;
+    }
+
+    /**
+     * 번역 단위별 현재 등급 (같은 기준 요소는 한 번만 측정)
+     * @param {Array<Object>} units
+     * @returns {Array<number>}
+     */
+    function rankUnits(units){
+      const viewHeight = getViewHeight();
+      const measured = new Map();
+      return units.map((unit) => {
+        const anchor = getAnchor(unit);
+        if (!anchor || typeof anchor.getBoundingClientRect !== 'function') return TIERS.FAR;
+        if (!measured.has(anchor)) {
+          measured.set(anchor, getRectTier(anchor.getBoundingClientRect(), viewHeight));
+        }
+        return measured.get(anchor);
+      });
+    }
+
+    /**
+     * 등급 순서로 정렬한 단위 index (같은 등급은 문서 순서 유지)
+     * @param {Array<number>} tiers - rankUnits 결과
+     * @returns {Array<number>}
+     */
+    function sortByTier(tiers){
+      return tiers.map((tier, index) => index).sort((a, b) => (tiers[a] - tiers[b]) || (a - b));
+    }
+
+    /**
+     * 번역 단위 등급 추적기
+     * - 스크롤로 화면/근처 영역에 들어오거나 나간 단위의 등급을 갱신하고 리스너에 알림
+     * - IntersectionObserver가 없는 환경에서는 시작 시 측정한 등급을 그대로 사용
+     * @param {Array<Object>} units - 번역 단위 (index가 getTier 인자)
+     * @param {Array<number>} [initialTiers] - 이미 측정한 등급 (units와 같은 순서, 생략 시 측정)
+     * @returns {{getTier: Function, setListener: Function, release: Function, stop: Function, isObserving: Function}}
+     */
+    function createTracker(units, initialTiers){
+      const tiers = initialTiers ? initialTiers.slice() : rankUnits(units);
+      const anchorUnits = new Map(); // 기준 요소 → 단위 index 목록
+      const remaining = new Map();   // 기준 요소 → 아직 번역하지 않은 단위 수
+      units.forEach((unit, index) => {
+        const anchor = getAnchor(unit);
+        if (!anchor) return;
+        if (!anchorUnits.has(anchor)) anchorUnits.set(anchor, []);
+        anchorUnits.get(anchor).push(index);
+        remaining.set(anchor, (remaining.get(anchor) || 0) + 1);
+      });
+
+      // 시작 측정값으로 초기화 (두 관찰자의 첫 알림 순서에 따라 등급이 잠깐 뒤바뀌지 않도록)
+      const visible = new Set();
+      const near = new Set();
+      anchorUnits.forEach((indices, anchor) => {
+        const tier = tiers[indices[0]];
+        if (tier === TIERS.VISIBLE) visible.add(anchor);
+        if (tier <= TIERS.NEAR) near.add(anchor);
+      });
+
+      let listener = null;
+      const observers = [];
+
+      const handleEntries = (set) => (entries) => {
+        const changed = [];
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) set.add(entry.target); else set.delete(entry.target);
+          const tier = visible.has(entry.target) ? TIERS.VISIBLE : (near.has(entry.target) ? TIERS.NEAR : TIERS.FAR);
+          (anchorUnits.get(entry.target) || []).forEach((index) => {
+            if (tiers[index] !== tier) {
+              tiers[index] = tier;
+              changed.push(index);
+            }
+          });
+        });
+        if (changed.length > 0 && listener) listener(changed);
+      };
+
+      if (typeof IntersectionObserver === 'function') {
+        try {
+          observers.push(new IntersectionObserver(handleEntries(visible)));
+          observers.push(new IntersectionObserver(handleEntries(near), { rootMargin: `${NEAR_SCREENS * 100}% 0px` }));
+          anchorUnits.forEach((indices, anchor) => observers.forEach(observer => observer.observe(anchor)));
+        } catch (_) {
+          observers.forEach(observer => observer.disconnect());
+          observers.length = 0;
+        }
+      }
+
+      return {
+        /**
+         * 단위 구간 [start, end)에서 가장 높은 우선순위 (가장 작은 등급)
+         * @param {number} start
+         * @param {number} [end=start + 1]
+         * @returns {number}
+         */
+        getTier(start, end = start + 1){
+          let best = TIERS.FAR;
+          for (let i = start; i < end && best > TIERS.VISIBLE; i++) {
+            if (tiers[i] < best) best = tiers[i];
+          }
+          return best;
+        },
+        /**
+         * 등급 변화 리스너 (변경된 단위 index 목록을 받음)
+         * @param {Function|null} fn
+         */
+        setListener(fn){
+          listener = typeof fn === 'function' ? fn : null;
+        },
+        /**
+         * 번역이 끝난 단위 구간 [start, end)의 관찰 해제 (기준 요소의 모든 단위가 끝났을 때)
+         * @param {number} start
+         * @param {number} end
+         */
+        release(start, end){
+          for (let i = start; i < end; i++) {
+            const anchor = getAnchor(units[i]);
+            if (!anchor || !remaining.has(anchor)) continue;
+            const count = remaining.get(anchor) - 1;
+            if (count > 0) {
+              remaining.set(anchor, count);
+              continue;
+            }
+            remaining.delete(anchor);
+            observers.forEach(observer => observer.unobserve(anchor));
+          }
+        },
+        /**
+         * 관찰 종료 (번역 완료/원본 복원)
+         */
+        stop(){
+          listener = null;
+          observers.forEach(observer => observer.disconnect());
+          observers.length = 0;
+        },
+        /**
+         * 스크롤 변화를 관찰 중인지 (IntersectionObserver를 쓸 수 없으면 false)
+         * @returns {boolean}
+         */
+        isObserving(){
+          return observers.length > 0;
+        }
+      };
+    }
+
+    WPT.Priority = { TIERS, getAnchor, rankUnits, sortByTier, createTracker };
+  } catch(_) { /* no-op */ }
+})();
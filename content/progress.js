@@ -2,6 +2,7 @@
  * Content Progress Module
  * - 타이머/진행 푸시/배치 카운팅 관리
  * - content.js로부터 port와 상태 getter를 주입받아 동작
+ * - 보고 함수가 있으면 side panel이 없어도 상태 변화와 진행률을 background에 보고 (툴바 배지)
  */
 (function progressModule(){
   try {
@@ -16,11 +17,29 @@
     let inflight = 0;
     let portRef = (WPT.__portRef !== undefined) ? WPT.__portRef : null;
     let getStatus = (typeof WPT.__statusGetter === 'function') ? WPT.__statusGetter : null;
+    let reporter = null; // side panel 연결과 무관한 진행 보고 (background 툴바 배지)
+    let lastReport = { state: null, done: null, at: 0 };
+    const REPORT_INTERVAL_MS = 1000;
 
     function setPort(port) { portRef = port || null; try { WPT.__portRef = portRef; } catch(_){} }
     function clearPort() { portRef = null; try { WPT.__portRef = null; } catch(_){} }
     function setStatusGetter(fn) { getStatus = typeof fn === 'function' ? fn : null; try { WPT.__statusGetter = getStatus; } catch(_){} }
     function getActiveMs() { return activeMs; }
+    function setReporter(fn) { reporter = typeof fn === 'function' ? fn : null; }
+
+    /**
+     * 진행 보고 (side panel Port와 같은 진행 데이터, 상태가 바뀌면 즉시, 진행 중에는 1초에 한 번)
+     * @param {Object} status
+     */
+    function report(status) {
+      if (!reporter || !status) return;
+      const now = Date.now();
+      const done = status.translatedCount || 0;
+      const stateChanged = status.state !== lastReport.state;
+      if (!stateChanged && (done === lastReport.done || now - lastReport.at < REPORT_INTERVAL_MS)) return;
+      lastReport = { state: status.state, done, at: now };
+      try { reporter({ ...status, activeMs }); } catch (_) {}
+    }
 
     function startTimer() {
       if (timerId) return;
@@ -55,7 +74,11 @@
     }
 
     function pushProgress() {
-      if (!portRef || !getStatus) return;
+      if (!getStatus) return;
+      if (reporter) {
+        try { report(getStatus()); } catch (_) {}
+      }
+      if (!portRef) return;
       try {
         const status = getStatus();
         portRef.postMessage({
@@ -71,7 +94,7 @@
     }
 
     WPT.Progress = {
-      setPort, clearPort, setStatusGetter,
+      setPort, clearPort, setStatusGetter, setReporter,
       startTimer, stopTimer, reset, onBatchStart, onBatchEnd,
       pushProgress, getActiveMs
     };
@@ -0,0 +1,221 @@
+/**
+ * Content Selection Module
+ * - 선택 텍스트 번역: 컨텍스트 메뉴 또는 선택 시 뜨는 번역 버튼으로 선택 영역만 번역
+ * - 결과는 선택 위치 근처 작은 팝업에 원문과 함께 표시하고 빠른 번역 기록(quickTranslationHistory)에 저장
+ * - 번역이 용어집을 따르지 않았으면 팝업에 어긋난 용어를 함께 표시
+ * - 동일 출처 iframe도 자체 프레임에서 처리하도록 content.js와 별도로 메시지를 수신
+ */
+(function selectionModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+    if (WPT.Selection) return;
+
+    const DEFAULTS = {
+      MODEL: 'openai/gpt-4o-mini',
+      HISTORY_KEY: 'quickTranslationHistory',
+      MAX_HISTORY_COUNT: 50,
+      MAX_SELECTION_CHARS: 5000,
+      MIN_BUTTON_CHARS: 2
+    };
+    const ACTION = (WPT.Constants && WPT.Constants.ACTIONS && WPT.Constants.ACTIONS.TRANSLATE_SELECTION) || 'translateSelection';
+
+    const POPUP_STYLE = `
+      :host { all: initial; }
+      .trigger { position: fixed; z-index: 2147483647; padding: 3px 8px; border: none; border-radius: 4px;
+        background: #3b82f6; color: #fff; font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.25); cursor: pointer; }
+      .box { position: fixed; z-index: 2147483647; max-width: 380px; min-width: 220px; max-height: 320px; overflow: auto;
+        padding: 10px 12px; background: #1f2329; color: #f1f3f5; border-radius: 8px; box-shadow: 0 6px 20px rgba(0,0,0,0.3);
+        font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+      .header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px; }
+      .label { font-size: 11px; color: #9aa4af; }
+      .close { padding: 0 4px; border: none; background: none; color: #9aa4af; font: 16px/1 sans-serif; cursor: pointer; }
+      .translation { white-space: pre-wrap; word-break: break-word; }
+      .translation.error { color: #f87171; }
+      .glossary { margin-top: 6px; font-size: 12px; color: #fbbf24; }
+      .original { margin-top: 8px; padding-top: 6px; border-top: 1px solid #3a414a; font-size: 12px; color: #9aa4af;
+        white-space: pre-wrap; word-break: break-word; }
+    `;
+
+    // 내부 상태
+    let host = null;
+    let ui = null;
+    let buttonEnabled = false;
+    let pendingText = '';
+    let requestSeq = 0;
+
+    function ensureHost(){
+      if (host && host.isConnected) return;
+      host = document.createElement('wpt-selection');
+      const root = host.attachShadow({ mode: 'closed' });
+      root.innerHTML = `<style>${POPUP_STYLE}</style>
+        <button class="trigger" type="button" hidden>번역</button>
+        <div class="box" role="dialog" aria-label="선택 텍스트 번역" hidden>
+          <div class="header">
+            <span class="label">번역</span>
+            <button class="close" type="button" aria-label="닫기">×</button>
+          </div>
+          <div class="translation"></div>
+          <div class="glossary" hidden></div>
+          <div class="original"></div>
+        </div>`;
+      ui = {
+        trigger: root.querySelector('.trigger'),
+        box: root.querySelector('.box'),
+        translation: root.querySelector('.translation'),
+        glossary: root.querySelector('.glossary'),
+        original: root.querySelector('.original'),
+        close: root.querySelector('.close')
+      };
+      // 버튼 클릭 시 페이지 선택이 풀리지 않도록 mousedown 기본 동작 차단
+      ui.trigger.addEventListener('mousedown', (event) => event.preventDefault());
+      ui.trigger.addEventListener('click', () => {
+        ui.trigger.hidden = true;
+        if (pendingText) translate(pendingText);
+      });
+      ui.close.addEventListener('click', hide);
+      document.documentElement.appendChild(host);
+    }
+
+    /**
+     * 현재 선택 영역의 화면 좌표 (선택이 없으면 화면 중앙 상단)
+     * @returns {{top: number, bottom: number, left: number}}
+     */
+    function getSelectionRect(){
+      const selection = window.getSelection ? window.getSelection() : null;
+      if (selection && selection.rangeCount > 0) {
+        const rect = selection.getRangeAt(0).getBoundingClientRect();
+        if (rect && (rect.width || rect.height)) return { top: rect.top, bottom: rect.bottom, left: rect.left };
+      }
+      return { top: 40, bottom: 40, left: Math.max(6, window.innerWidth / 2 - 190) };
+    }
+
+    function placeBelow(element, rect, width){
+      const height = element.offsetHeight || 80;
+      const below = rect.bottom + 6;
+      const top = below + height > window.innerHeight ? Math.max(6, rect.top - height - 6) : below;
+      const left = Math.min(Math.max(6, rect.left), Math.max(6, window.innerWidth - width - 10));
+      element.style.top = `${Math.round(top)}px`;
+      element.style.left = `${Math.round(left)}px`;
+    }
+
+    function hide(){
+      requestSeq++;
+      if (!ui) return;
+      ui.box.hidden = true;
+      ui.trigger.hidden = true;
+    }
+
+    function showPopup(rect, translation, original, isError, notice = ''){
+      ensureHost();
+      ui.trigger.hidden = true;
+      ui.translation.textContent = translation;
+      ui.translation.className = isError ? 'translation error' : 'translation';
+      ui.glossary.textContent = notice;
+      ui.glossary.hidden = !notice;
+      ui.original.textContent = original;
+      ui.box.hidden = false;
+      placeBelow(ui.box, rect, 380);
+    }
+
+    /**
+     * 빠른 번역 기록에 저장 (sidepanel 빠른 번역 탭과 같은 형식, 최신순)
+     * @param {string} original
+     * @param {string} translation
+     */
+    async function saveToHistory(original, translation){
+      const result = await chrome.storage.local.get([DEFAULTS.HISTORY_KEY]);
+      const history = Array.isArray(result[DEFAULTS.HISTORY_KEY]) ? result[DEFAULTS.HISTORY_KEY] : [];
+      history.unshift({ id: Date.now(), original, translation, timestamp: Date.now() });
+      if (history.length > DEFAULTS.MAX_HISTORY_COUNT) history.length = DEFAULTS.MAX_HISTORY_COUNT;
+      await chrome.storage.local.set({ [DEFAULTS.HISTORY_KEY]: history });
+    }
+
+    /**
+     * 선택 텍스트 번역 후 팝업 표시
+     * @param {string} rawText - 선택된 원문
+     * @returns {Promise<{success: boolean, translation?: string, glossaryIssues?: Array<Object>, error?: string}>}
+     */
+    async function translate(rawText){
+      const text = String(rawText || '').trim().slice(0, DEFAULTS.MAX_SELECTION_CHARS);
+      if (!text) return { success: false, error: 'empty_selection' };
+      const rect = getSelectionRect();
+      const seq = ++requestSeq;
+      showPopup(rect, '번역 중...', text, false);
+
+      try {
+        const { apiKey, model, targetLanguage } = await chrome.storage.local.get(['apiKey', 'model', 'targetLanguage']);
+        if (!apiKey) throw new Error('API Key를 먼저 설정해주세요.');
+        const budgetStop = WPT.Usage ? await WPT.Usage.checkBudget() : null;
+        if (budgetStop) throw new Error(budgetStop.message);
+        const languageName = WPT.Language ? WPT.Language.getLanguageName(targetLanguage) : '한국어';
+        const glossary = WPT.Glossary ? WPT.Glossary.buildInstruction([text], targetLanguage) : '';
+        const glossarySection = glossary ? `\n\n용어집 (반드시 이대로 번역):\n${glossary}` : '';
+        const prompt = `다음 텍스트를 ${languageName}로 번역해주세요. 자연스럽고 정확하게 번역하되, 원문의 의미를 최대한 유지해주세요.${glossarySection}\n\n원문:\n${text}\n\n번역:`;
+        const siteRule = WPT.SiteRules ? WPT.SiteRules.getRule() : null;
+        const siteModel = siteRule && siteRule.model ? siteRule.model : '';
+        const translation = (await WPT.Api.requestLlm(prompt, apiKey, siteModel || model || DEFAULTS.MODEL, { purpose: 'selection' })).trim();
+        if (!translation) throw new Error('번역 결과가 비어 있습니다.');
+        const glossaryIssues = WPT.Glossary ? WPT.Glossary.findViolations(text, translation, targetLanguage) : [];
+        if (seq === requestSeq) showPopup(rect, translation, text, false, WPT.Glossary ? WPT.Glossary.describeViolations(glossaryIssues) : '');
+        await saveToHistory(text, translation);
+        return { success: true, translation, glossaryIssues };
+      } catch (error) {
+        const message = error && error.message ? error.message : String(error);
+        if (seq === requestSeq) showPopup(rect, `번역 실패: ${message}`, text, true);
+        return { success: false, error: message };
+      }
+    }
+
+    function onMouseUp(event){
+      if (!buttonEnabled || event.target === host) return;
+      // 선택 확정 후 읽기 위해 다음 틱에서 확인
+      setTimeout(() => {
+        const selection = window.getSelection ? window.getSelection() : null;
+        const text = selection ? selection.toString().trim() : '';
+        if (text.length < DEFAULTS.MIN_BUTTON_CHARS) {
+          if (ui) ui.trigger.hidden = true;
+          return;
+        }
+        pendingText = text;
+        ensureHost();
+        ui.trigger.hidden = false;
+        placeBelow(ui.trigger, getSelectionRect(), 60);
+      }, 0);
+    }
+
+    function onMouseDown(event){
+      if (event.target !== host) hide();
+    }
+
+    function onKeyDown(event){
+      if (event.key === 'Escape') hide();
+    }
+
+    function setButtonEnabled(value){
+      buttonEnabled = !!value;
+      if (!buttonEnabled && ui) ui.trigger.hidden = true;
+    }
+
+    document.addEventListener('mouseup', onMouseUp, true);
+    document.addEventListener('mousedown', onMouseDown, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    window.addEventListener('scroll', () => { if (ui) ui.trigger.hidden = true; }, true);
+
+    // 선택 시 번역 버튼 설정 (기본 꺼짐)
+    chrome.storage.local.get(['selectionButton']).then(result => setButtonEnabled(result.selectionButton)).catch(() => {});
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.selectionButton) setButtonEnabled(changes.selectionButton.newValue);
+    });
+
+    // 컨텍스트 메뉴: background가 클릭된 프레임으로 직접 전달
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (request?.action !== ACTION) return false;
+      translate(request.text || (window.getSelection ? window.getSelection().toString() : '')).then(sendResponse);
+      return true; // 비동기 응답
+    });
+
+    WPT.Selection = { translate, hide, setButtonEnabled };
+  } catch(_) { /* no-op */ }
+})();
@@ -0,0 +1,119 @@
+/**
+ * Content Site Rules Module
+ * - 사이트별 규칙(chrome.storage.local siteRules) 중 현재 호스트에 해당하는 규칙 조회
+ * - 포함/제외 CSS 선택자로 번역 범위 판단 (노드 수집 시 content/dom.js가 사용)
+ * - 호스트 일치 규칙(findRule)은 sidepanel(modules/site-rules.js import)과 background(importScripts)도 그대로 사용
+ */
+(function siteRulesModule(){
+  try {
+    const root = typeof window !== 'undefined' ? window : self;
+    root.WPT = root.WPT || {};
+    const WPT = root.WPT;
+    if (WPT.SiteRules) return;
+
+    const STORAGE_KEY = 'siteRules';
+
+    // 내부 상태
+    let rules = [];
+    let resolved; // 현재 호스트 규칙 (undefined: 아직 계산 안 함, null: 해당 규칙 없음)
+
+    function setRules(value){
+      rules = Array.isArray(value) ? value : [];
+      resolved = undefined;
+    }
+
+    /**
+     * 호스트에 해당하는 규칙 (도메인과 하위 도메인, 여러 개면 가장 구체적인 도메인)
+     * @param {Array<Object>} list
+     * @param {string} hostname - 소문자 호스트명
+     * @returns {Object|null}
+     */
+    function findRule(list, hostname){
+      let best = null;
+      (Array.isArray(list) ? list : []).forEach(rule => {
+        const domain = rule && typeof rule.domain === 'string' ? rule.domain.toLowerCase() : '';
+        if (!domain || !(hostname === domain || hostname.endsWith(`.${domain}`))) return;
+        if (!best || domain.length > best.domain.length) best = rule;
+      });
+      return best;
+    }
+
+    // 잘못된 선택자는 지정하지 않은 것으로 취급 (설정 화면에서 검사하지만 저장소를 직접 고친 경우 대비)
+    function sanitizeSelector(selector){
+      if (typeof selector !== 'string' || !selector.trim()) return '';
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return selector.trim();
+      } catch (_) {
+        return '';
+      }
+    }
+
+    /**
+     * 현재 사이트 규칙
+     * @returns {{domain: string, mode: string, include: string, exclude: string, model: string}|null}
+     */
+    function getRule(){
+      if (resolved === undefined) {
+        const rule = findRule(rules, (window.location.hostname || '').toLowerCase());
+        resolved = rule
+          ? { ...rule, include: sanitizeSelector(rule.include), exclude: sanitizeSelector(rule.exclude), model: rule.model || '' }
+          : null;
+      }
+      return resolved;
+    }
+
+    function matchesSelector(element, selector){
+      return !!selector && !!element && typeof element.matches === 'function' && element.matches(selector);
+    }
+
+    /**
+     * 포함/제외 선택자가 하나라도 있는지 (없으면 범위 확인 생략)
+     * @returns {boolean}
+     */
+    function hasSelectors(){
+      const rule = getRule();
+      return !!(rule && (rule.include || rule.exclude));
+    }
+
+    function hasInclude(){
+      const rule = getRule();
+      return !!(rule && rule.include);
+    }
+
+    /**
+     * 제외 선택자에 해당하는 요소 (그 하위 전체가 번역 대상에서 빠짐)
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    function isExcluded(element){
+      const rule = getRule();
+      return !!(rule && rule.exclude) && matchesSelector(element, rule.exclude);
+    }
+
+    /**
+     * 포함 선택자에 해당하는 요소 (포함 선택자가 있으면 이 요소들 안만 번역)
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    function isIncluded(element){
+      const rule = getRule();
+      return !!(rule && rule.include) && matchesSelector(element, rule.include);
+    }
+
+    /**
+     * 저장소에서 규칙 다시 읽기 (전체 번역 시작 시 최신 상태 보장)
+     * @returns {Promise<void>}
+     */
+    function load(){
+      return chrome.storage.local.get([STORAGE_KEY]).then(result => setRules(result[STORAGE_KEY])).catch(() => {});
+    }
+
+    load();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) setRules(changes[STORAGE_KEY].newValue);
+    });
+
+    WPT.SiteRules = { load, findRule, getRule, hasSelectors, hasInclude, isExcluded, isIncluded };
+  } catch(_) { /* no-op */ }
+})();
@@ -18,14 +18,20 @@
       if (titleElement && titleElement.textContent !== normalized){ titleElement.textContent = normalized; }
     }
 
-    async function translateDocumentTitle(apiKey, model, useCache, originalTitle, getProgressStatus){
+    async function translateDocumentTitle(apiKey, model, useCache, originalTitle, getProgressStatus, targetLanguage, cacheOptions){
+      const languageName = WPT.Language ? WPT.Language.getLanguageName(targetLanguage) : '한국어';
       try{
         const status = typeof getProgressStatus === 'function' ? getProgressStatus() : null;
         if (!originalTitle){ if (status){ status.originalTitle=''; status.translatedTitle=''; } return; }
         if (status){ status.originalTitle = originalTitle; status.translatedTitle = originalTitle; }
+        // 이미 대상 언어이거나 언어가 아닌 제목은 그대로 유지
+        if (WPT.Language && WPT.Language.classifyText(originalTitle, targetLanguage) !== 'translate'){
+          if (WPT.Progress && WPT.Progress.pushProgress) WPT.Progress.pushProgress();
+          return;
+        }
 
         if (useCache && WPT.Cache && WPT.Cache.getCachedTranslation){
-          const cached = await WPT.Cache.getCachedTranslation(originalTitle);
+          const cached = await WPT.Cache.getCachedTranslation(originalTitle, targetLanguage, cacheOptions);
           if (cached && cached.trim().length > 0){
             applyTranslatedTitleToDocument(cached.trim(), getProgressStatus);
             if (WPT.Progress && WPT.Progress.pushProgress) WPT.Progress.pushProgress();
@@ -33,12 +39,14 @@
           }
         }
 
-        const arr = WPT.Api && WPT.Api.requestOpenRouter ? await WPT.Api.requestOpenRouter(`제목을 한국어로 번역: ${originalTitle}`, apiKey, model, { purpose:'title' }) : '';
+        const glossary = WPT.Glossary ? WPT.Glossary.buildInstruction([originalTitle], targetLanguage) : '';
+        const prompt = `제목을 ${languageName}로 번역: ${originalTitle}${glossary ? `\n\n용어집 (반드시 이대로 번역):\n${glossary}` : ''}`;
+        const arr = WPT.Api && WPT.Api.requestLlm ? await WPT.Api.requestLlm(prompt, apiKey, model, { purpose:'title' }) : '';
         const translated = (Array.isArray(arr) ? arr[0] : arr) || '';
         const finalTitle = (typeof translated === 'string' && translated.trim().length>0) ? translated.trim() : originalTitle;
         applyTranslatedTitleToDocument(finalTitle, getProgressStatus);
         if (useCache && WPT.Cache && WPT.Cache.setCachedTranslation && finalTitle !== originalTitle){
-          await WPT.Cache.setCachedTranslation(originalTitle, finalTitle, model);
+          await WPT.Cache.setCachedTranslation(originalTitle, finalTitle, model, targetLanguage);
         }
         if (WPT.Progress && WPT.Progress.pushProgress) WPT.Progress.pushProgress();
       }catch(error){
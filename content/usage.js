@@ -0,0 +1,134 @@
+/**
+ * Content Usage Module
+ * - LLM 응답의 usage(프롬프트/완성 토큰, 비용)를 정리해 진행 중인 번역 작업에 합산
+ * - 일별/사이트별 누적은 background가 chrome.storage.local usageStats에 기록 (여러 탭/프레임의 동시 쓰기 방지)
+ * - 일/월 예산(usageBudget)을 넘었는지 확인 (넘으면 번역을 멈춤)
+ *   비용 예산은 응답에 비용이 오는 OpenRouter에서만 쌓이고, 토큰 예산은 모든 제공자에 적용
+ */
+(function usageModule(){
+  try {
+    window.WPT = window.WPT || {};
+    const WPT = window.WPT;
+    if (WPT.Usage) return;
+
+    const STATS_KEY = 'usageStats';
+    const BUDGET_KEY = 'usageBudget';
+    const JOB_EXCLUDED_PURPOSES = ['selection']; // 페이지 번역 작업과 무관한 요청
+
+    // 내부 상태
+    let jobUsage = null; // 진행 중인 전체 번역 작업의 사용량 (progressStatus.usage와 같은 객체)
+
+    function createUsage(){
+      return { promptTokens: 0, completionTokens: 0, cost: 0, requests: 0 };
+    }
+
+    /**
+     * 날짜 키 (로컬 시간 YYYY-MM-DD, background getUsageDayKey와 동일하게 유지)
+     * @param {Date} [date]
+     * @returns {string}
+     */
+    function getDayKey(date = new Date()){
+      const pad = (value) => String(value).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * usage 정리 (비용은 OpenRouter가 알려준 크레딧(USD), 다른 제공자는 0)
+     * @param {Object} usage - WPT.Llm이 제공자별 응답에서 정리한 { promptTokens, completionTokens, cost }
+     * @returns {{promptTokens: number, completionTokens: number, cost: number}|null}
+     */
+    function normalize(usage){
+      if (!usage || typeof usage !== 'object') return null;
+      const promptTokens = Number(usage.promptTokens) || 0;
+      const completionTokens = Number(usage.completionTokens) || 0;
+      const cost = Number(usage.cost) || 0;
+      if (!promptTokens && !completionTokens && !cost) return null;
+      return { promptTokens, completionTokens, cost };
+    }
+
+    /**
+     * 요청 1건의 사용량 기록
+     * @param {Object} usage - WPT.Llm 응답 usage
+     * @param {{model?: string, purpose?: string}} [meta]
+     * @returns {Object|null} 정리된 사용량
+     */
+    function record(usage, meta = {}){
+      const normalized = normalize(usage);
+      if (!normalized) return null;
+
+      if (jobUsage && !JOB_EXCLUDED_PURPOSES.includes(meta.purpose)) {
+        jobUsage.promptTokens += normalized.promptTokens;
+        jobUsage.completionTokens += normalized.completionTokens;
+        jobUsage.cost += normalized.cost;
+        jobUsage.requests++;
+      }
+
+      chrome.runtime.sendMessage({
+        type: 'USAGE_RECORD',
+        usage: normalized,
+        model: meta.model || '',
+        purpose: meta.purpose || '',
+        hostname: window.location.hostname
+      }).catch(() => {});
+      return normalized;
+    }
+
+    /**
+     * 새 번역 작업의 사용량 집계 시작
+     * @returns {Object} 작업 사용량 (요청이 기록될 때마다 갱신되는 객체)
+     */
+    function startJob(){
+      jobUsage = createUsage();
+      return jobUsage;
+    }
+
+    // 비용 표시 (sidepanel ui-utils formatCost와 동일, 작은 금액은 소수점 4자리)
+    function formatCost(cost){
+      return `$${cost >= 1 ? cost.toFixed(2) : cost.toFixed(4)}`;
+    }
+
+    // 토큰 수 표시 (sidepanel ui-utils formatTokens와 동일)
+    function formatTokens(tokens){
+      if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+      return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+    }
+
+    function sumTokens(usage){
+      return usage ? (usage.promptTokens || 0) + (usage.completionTokens || 0) : 0;
+    }
+
+    /**
+     * 예산 초과 여부 (일 예산 → 월 예산, 각각 비용 → 토큰 순서로 확인, 0 또는 미설정은 제한 없음)
+     * @returns {Promise<{period: 'daily'|'monthly', unit: 'cost'|'tokens', limit: number, spent: number, message: string}|null>} 초과하지 않았으면 null
+     */
+    async function checkBudget(){
+      try {
+        const result = await chrome.storage.local.get([BUDGET_KEY, STATS_KEY]);
+        const budget = result[BUDGET_KEY] || {};
+        const days = (result[STATS_KEY] && result[STATS_KEY].days) || {};
+        const today = getDayKey();
+        const month = today.slice(0, 7);
+        const monthDays = Object.keys(days).filter(day => day.startsWith(month)).map(day => days[day]);
+
+        const limits = [
+          { period: 'daily', unit: 'cost', limit: Number(budget.daily) || 0, spent: days[today] ? days[today].cost || 0 : 0 },
+          { period: 'daily', unit: 'tokens', limit: Number(budget.dailyTokens) || 0, spent: sumTokens(days[today]) },
+          { period: 'monthly', unit: 'cost', limit: Number(budget.monthly) || 0, spent: monthDays.reduce((sum, usage) => sum + (usage.cost || 0), 0) },
+          { period: 'monthly', unit: 'tokens', limit: Number(budget.monthlyTokens) || 0, spent: monthDays.reduce((sum, usage) => sum + sumTokens(usage), 0) }
+        ];
+        const exceeded = limits.find(item => item.limit > 0 && item.spent >= item.limit);
+        if (!exceeded) return null;
+
+        const label = exceeded.unit === 'cost' ? formatCost(exceeded.limit) : `토큰 ${formatTokens(exceeded.limit)}`;
+        const message = exceeded.period === 'daily'
+          ? `오늘 사용 예산(${label})을 모두 사용해 번역을 멈췄습니다. 설정에서 예산을 늘리거나 내일 이어서 번역하세요.`
+          : `이번 달 사용 예산(${label})을 모두 사용해 번역을 멈췄습니다. 설정에서 예산을 늘린 뒤 이어서 번역하세요.`;
+        return { ...exceeded, message };
+      } catch (_) {
+        return null; // 확인할 수 없으면 막지 않음
+      }
+    }
+
+    WPT.Usage = { createUsage, getDayKey, normalize, record, startJob, checkBudget };
+  } catch(_) { /* no-op */ }
+})();
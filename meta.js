@@ -1,6 +1,6 @@
 // 공통 메타 정보
 // 코드 수정 시 LAST_EDITED 날짜를 YYYY-MM-DD 형식으로 업데이트하세요
 
-export const LAST_EDITED = '2025-11-13';
+export const LAST_EDITED = '2026-10-19';
 
 export const FOOTER_TEXT = `인크로스 AI비즈솔루션팀 박영택 · 최종 수정: ${LAST_EDITED}`;
@@ -0,0 +1,113 @@
+/**
+ * 번역 캐시 파일 형식 (내보내기/가져오기)
+ *
+ * 역할:
+ * - content/cache.js exportRecords 항목을 버전이 있는 JSON/NDJSON 파일로 직렬화
+ * - 가져온 파일을 검사해 항목 목록으로 복원 (항목 단위 검증은 content/cache.js가 담당)
+ *
+ * 형식:
+ * - JSON: { format, version, exportedAt, domain, count, records: [...] }
+ * - NDJSON: 첫 줄은 records를 뺀 헤더, 이후 한 줄에 항목 하나 (대용량 파일을 줄 단위로 다루기 쉬움)
+ */
+
+// ===== 상수 =====
+export const CACHE_EXPORT_FORMAT = 'wpt-translation-cache';
+export const CACHE_EXPORT_VERSION = 1;
+
+const MIME_TYPES = {
+  json: 'application/json;charset=utf-8',
+  ndjson: 'application/x-ndjson;charset=utf-8'
+};
+
+// ===== 내보내기 =====
+
+/**
+ * 내보내기 파일 내용 생성
+ * @param {Object[]} records - 캐시 항목
+ * @param {Object} options
+ * @param {string} options.domain - 항목을 내보낸 사이트 출처
+ * @param {'json'|'ndjson'} [options.format='json']
+ * @returns {{content: string, filename: string, mimeType: string}}
+ */
+export function buildCacheExport(records, { domain, format = 'json' }) {
+  const type = format === 'ndjson' ? 'ndjson' : 'json';
+  const header = {
+    format: CACHE_EXPORT_FORMAT,
+    version: CACHE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    domain,
+    count: records.length
+  };
+
+  const content = type === 'ndjson'
+    ? [header, ...records].map((line) => JSON.stringify(line)).join('\n') + '\n'
+    : JSON.stringify({ ...header, records });
+
+  const host = String(domain || 'cache').replace(/^https?:\/\//, '').replace(/[^a-z0-9.-]+/gi, '_');
+  const filename = `translation-cache-${host}-${new Date().toISOString().slice(0, 10)}.${type}`;
+
+  return { content, filename, mimeType: MIME_TYPES[type] };
+}
+
+// ===== 가져오기 =====
+
+/**
+ * 헤더 확인 (형식 이름 + 지원 버전)
+ * @param {Object} header
+ * @throws {Error} 이 확장 프로그램의 캐시 파일이 아니거나 더 새 버전일 때
+ */
+function assertHeader(header) {
+  if (!header || header.format !== CACHE_EXPORT_FORMAT) {
+    throw new Error('번역 캐시 파일이 아닙니다.');
+  }
+  if (!Number.isInteger(header.version) || header.version > CACHE_EXPORT_VERSION) {
+    throw new Error(`지원하지 않는 캐시 파일 버전입니다 (v${header.version}). 확장 프로그램을 업데이트해주세요.`);
+  }
+}
+
+/**
+ * 캐시 파일 해석 (JSON/NDJSON 자동 판별)
+ * @param {string} text - 파일 내용
+ * @returns {{header: Object, records: Object[]}}
+ * @throws {Error} 형식이 올바르지 않을 때
+ */
+export function parseCacheImport(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    throw new Error('파일이 비어 있습니다.');
+  }
+
+  // JSON: 파일 전체가 하나의 객체
+  let whole = null;
+  try {
+    whole = JSON.parse(trimmed);
+  } catch (_) {
+    whole = null;
+  }
+  if (whole && Array.isArray(whole.records)) {
+    const { records, ...header } = whole;
+    assertHeader(header);
+    return { header, records };
+  }
+
+  // NDJSON: 첫 줄 헤더 + 항목 줄 (해석할 수 없는 줄은 건너뛰고 header.malformed로 집계)
+  const lines = trimmed.split(/\r?\n/).filter((line) => line.trim());
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (_) {
+    throw new Error('캐시 파일 형식을 읽을 수 없습니다.');
+  }
+  assertHeader(header);
+
+  const records = [];
+  let malformed = 0;
+  lines.slice(1).forEach((line) => {
+    try {
+      records.push(JSON.parse(line));
+    } catch (_) {
+      malformed++;
+    }
+  });
+  return { header: { ...header, malformed }, records };
+}
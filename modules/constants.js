@@ -15,7 +15,13 @@ export const ACTIONS = {
   GET_TRANSLATED_TITLE: 'getTranslatedTitle',
   GET_CACHE_STATUS: 'getCacheStatus',
   CLEAR_CACHE_FOR_DOMAIN: 'clearCacheForDomain',
-  AUDIT_GEO: 'auditGeo'
+  FRAME_PROGRESS: 'frameProgress',
+  SET_BILINGUAL: 'setBilingual',
+  TRANSLATE_SELECTION: 'translateSelection',
+  EXPORT_CACHE: 'exportCache',
+  IMPORT_CACHE: 'importCache',
+  AUDIT_GEO: 'auditGeo',
+  RESUME_TRANSLATION_JOB: 'resumeTranslationJob'
 };
 
 export const PORT_MESSAGES = {
@@ -26,6 +32,34 @@ export const PORT_MESSAGES = {
 export const STORAGE_KEYS = {
   DEBUG_LOG: 'debugLog',
   CACHE_TTL: 'cacheTTL',
-  FEATURE_FLAGS: 'featureFlags'
+  CACHE_MAX_SIZE_MB: 'cacheMaxSizeMB',
+  FEATURE_FLAGS: 'featureFlags',
+  TRANSLATION_JOBS: 'translationJobs' // chrome.storage.session, background가 관리하는 번역 작업 기록 (URL → 기록)
 };
 
+
+/**
+ * 번역 대상 언어 (코드 → 프롬프트에 쓰는 언어 이름)
+ * - content/language.js의 TARGET_LANGUAGES와 동일하게 유지
+ */
+export const TARGET_LANGUAGES = {
+  ko: '한국어',
+  en: '영어',
+  ja: '일본어',
+  'zh-CN': '중국어 간체',
+  'zh-TW': '중국어 번체',
+  es: '스페인어',
+  fr: '프랑스어',
+  de: '독일어'
+};
+
+export const DEFAULT_TARGET_LANGUAGE = 'ko';
+
+/**
+ * 대상 언어 코드 → 언어 이름 (지원하지 않는 코드는 기본 언어)
+ * @param {string} code
+ * @returns {string}
+ */
+export function getTargetLanguageName(code) {
+  return TARGET_LANGUAGES[code] || TARGET_LANGUAGES[DEFAULT_TARGET_LANGUAGE];
+}
@@ -13,7 +13,10 @@
  */
 
 import { GEO_CHECKLIST, groupChecklistByCategory, calculateTotalWeights } from './geo-checklist.js';
-import { getApiKey, getModel } from './settings.js';
+import { getApiKey } from './settings.js';
+import { requestLlm, getLlmSettings } from './llm.js';
+
+const GEO_MODEL = 'openai/gpt-4o-mini'; // GEO 분석 전용 모델 (OpenRouter 사용 시)
 
 /**
  * @typedef {Object} AuditResult
@@ -226,9 +229,7 @@ ${passedItems}
 - 긍정적이고 격려하는 톤
 - 한국어`;
 
-  const geoModel = 'openai/gpt-4o-mini';
-
-  return await fetchLLM(prompt, apiKey, geoModel);
+  return await fetchLLM(prompt);
 }
 
 /**
@@ -299,9 +300,7 @@ ${failedItems}
 - 실행 가능한 구체적인 방법
 - 코드 예시는 HTML 엔터티 없이 일반 코드블록 사용`;
 
-  const geoModel = 'openai/gpt-4o-mini';
-
-  return await fetchLLM(prompt, apiKey, geoModel, 3000);
+  return await fetchLLM(prompt, 3000);
 }
 
 /**
@@ -347,42 +346,26 @@ export async function getRoadmap(auditResult) {
 - 격려하는 톤
 - 한국어`;
 
-  const geoModel = 'openai/gpt-4o-mini';
-
-  return await fetchLLM(prompt, apiKey, geoModel);
+  return await fetchLLM(prompt);
 }
 
 /**
- * 일반 LLM 요청
+ * 일반 LLM 요청 (modules/llm.js)
+ * - OpenRouter는 GEO 전용 모델(GEO_MODEL), 다른 제공자는 설정 모델 사용
  *
  * @param {string} prompt - 프롬프트
- * @param {string} apiKey - API 키
- * @param {string} model - 모델명
  * @param {number} maxTokens - 최대 토큰 수 (기본 2000)
  * @returns {Promise<string>} 전체 응답 텍스트
  */
-async function fetchLLM(prompt, apiKey, model, maxTokens = 2000) {
-  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.7,
-      max_tokens: maxTokens
-    })
+async function fetchLLM(prompt, maxTokens = 2000) {
+  const { provider } = await getLlmSettings();
+  const text = await requestLlm(prompt, {
+    model: provider === 'openrouter' ? GEO_MODEL : undefined,
+    temperature: 0.7,
+    maxTokens,
+    purpose: 'geo-audit'
   });
-
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error?.message || `API 오류: ${response.status}`);
-  }
-
-  const data = await response.json();
-  return data.choices[0].message.content.trim();
+  return text.trim();
 }
 
 /**
@@ -0,0 +1,603 @@
+/**
+ * Side Panel 용어집 관리
+ *
+ * 역할:
+ * - 용어집 항목 추가/수정/삭제 (chrome.storage.local glossary)
+ * - 항목별 적용 사이트(비우면 모든 사이트)와 번역 언어, 원문 유지(번역 금지) 지정
+ * - CSV 가져오기/내보내기
+ * - 텍스트 번역 프롬프트용 지시문과 결과 검사 (일치 규칙은 content/glossary.js(WPT.Glossary)를 그대로 사용)
+ *
+ * 항목 형식: { id, source, target, domain, lang, keep, note }
+ * - domain: '' 또는 호스트명 (하위 도메인 포함)
+ * - lang: '' 또는 대상 언어 코드 (원문 유지 항목은 언어와 무관)
+ */
+
+import { logInfo, logError } from '../logger.js';
+import { showToast } from './ui-utils.js';
+import { TARGET_LANGUAGES } from './constants.js';
+import '../content/language.js';
+import '../content/glossary.js';
+
+// ===== 상수 =====
+const Glossary = window.WPT.Glossary;
+const STORAGE_KEY = 'glossary';
+const MAX_ENTRIES = 2000;
+const CSV_COLUMNS = ['source', 'target', 'domain', 'language', 'keep', 'note'];
+const TRUE_VALUES = new Set(['1', 'true', 'yes', 'y', 'o']);
+
+// ===== 내부 상태 =====
+let glossaryEntries = [];
+let editingId = null;
+
+// ===== 용어집 탭 초기화 =====
+
+/**
+ * 용어집 탭 초기화
+ */
+export async function initGlossaryTab() {
+  const form = document.getElementById('glossaryForm');
+  const cancelBtn = document.getElementById('glossaryCancelEditBtn');
+  const keepInput = document.getElementById('glossaryKeep');
+  const searchInput = document.getElementById('glossarySearch');
+  const list = document.getElementById('glossaryList');
+  const exportBtn = document.getElementById('glossaryExportBtn');
+  const importBtn = document.getElementById('glossaryImportBtn');
+  const importInput = document.getElementById('glossaryImportInput');
+
+  populateLanguageOptions();
+
+  // 이전 리스너 제거 후 다시 등록 (중복 방지)
+  if (form) {
+    form.removeEventListener('submit', handleSubmit);
+    form.addEventListener('submit', handleSubmit);
+  }
+
+  if (cancelBtn) {
+    cancelBtn.removeEventListener('click', resetForm);
+    cancelBtn.addEventListener('click', resetForm);
+  }
+
+  if (keepInput) {
+    keepInput.removeEventListener('change', updateKeepState);
+    keepInput.addEventListener('change', updateKeepState);
+  }
+
+  if (searchInput) {
+    searchInput.removeEventListener('input', renderGlossaryList);
+    searchInput.addEventListener('input', renderGlossaryList);
+  }
+
+  if (list) {
+    list.removeEventListener('click', handleListClick);
+    list.addEventListener('click', handleListClick);
+  }
+
+  if (exportBtn) {
+    exportBtn.removeEventListener('click', handleExportCsv);
+    exportBtn.addEventListener('click', handleExportCsv);
+  }
+
+  if (importBtn && importInput) {
+    importBtn.onclick = () => importInput.click();
+    importInput.onchange = async () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = '';
+      if (file) await handleImportCsv(file);
+    };
+  }
+
+  // 다른 창/탭에서 변경된 용어집 반영
+  chrome.storage.onChanged.removeListener(handleGlossaryStorageChange);
+  chrome.storage.onChanged.addListener(handleGlossaryStorageChange);
+
+  glossaryEntries = await loadGlossary();
+  renderGlossaryList();
+
+  logInfo('glossary', 'INIT', '용어집 탭 초기화 완료', { count: glossaryEntries.length });
+}
+
+/**
+ * 용어집 저장소 변경 시 목록 다시 렌더링
+ */
+function handleGlossaryStorageChange(changes, areaName) {
+  if (areaName !== 'local' || !changes[STORAGE_KEY]) return;
+  glossaryEntries = Array.isArray(changes[STORAGE_KEY].newValue) ? changes[STORAGE_KEY].newValue : [];
+  renderGlossaryList();
+}
+
+/**
+ * 번역 언어 선택지 채우기 (첫 항목: 모든 언어)
+ */
+function populateLanguageOptions() {
+  const select = document.getElementById('glossaryLang');
+  if (!select || select.options.length > 1) return;
+  Object.entries(TARGET_LANGUAGES).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+}
+
+// ===== 저장소 =====
+
+/**
+ * 용어집 불러오기
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadGlossary() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+  } catch (error) {
+    logError('glossary', 'LOAD_ERROR', '용어집 로드 실패', {}, error);
+    return [];
+  }
+}
+
+/**
+ * 용어집 저장
+ * @param {Array<Object>} entries
+ */
+async function saveGlossary(entries) {
+  glossaryEntries = entries;
+  await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+  renderGlossaryList();
+}
+
+// ===== 항목 정규화 =====
+
+/**
+ * 적용 사이트 입력 정리 (프로토콜/경로/포트/와일드카드 제거, 소문자)
+ * @param {string} value - 예: 'https://*.Example.com:8080/docs'
+ * @returns {string} 예: 'example.com'
+ */
+export function normalizeDomain(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^\*\./, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * 입력값으로 항목 생성
+ * @param {Object} raw - { source, target, domain, lang, keep, note }
+ * @param {string} [id] - 수정 시 기존 id
+ * @returns {Object} 정규화된 항목
+ * @throws {Error} 원문 용어나 번역어가 비어 있을 때
+ */
+function createEntry(raw, id) {
+  const keep = !!raw.keep;
+  const source = String(raw.source || '').trim();
+  const target = keep ? '' : String(raw.target || '').trim();
+  if (!source) {
+    throw new Error('원문 용어를 입력해주세요.');
+  }
+  if (!keep && !target) {
+    throw new Error('번역어를 입력하거나 원문 유지를 선택해주세요.');
+  }
+  const lang = keep ? '' : String(raw.lang || '').trim();
+  return {
+    id: id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    source,
+    target,
+    domain: normalizeDomain(raw.domain),
+    lang: Object.prototype.hasOwnProperty.call(TARGET_LANGUAGES, lang) ? lang : '',
+    keep,
+    note: String(raw.note || '').trim()
+  };
+}
+
+/**
+ * 중복 판별 키 (원문 용어 대소문자 무시 + 사이트 + 언어)
+ * @param {Object} entry
+ * @returns {string}
+ */
+function getEntryKey(entry) {
+  return [entry.source.toLowerCase(), entry.domain || '', entry.keep ? '' : (entry.lang || '')].join('\u0000');
+}
+
+// ===== 폼 =====
+
+/**
+ * 항목 추가/수정
+ * @param {Event} event
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+
+  let entry;
+  try {
+    entry = createEntry({
+      source: document.getElementById('glossarySource')?.value,
+      target: document.getElementById('glossaryTarget')?.value,
+      domain: document.getElementById('glossaryDomain')?.value,
+      lang: document.getElementById('glossaryLang')?.value,
+      keep: document.getElementById('glossaryKeep')?.checked,
+      note: document.getElementById('glossaryNote')?.value
+    }, editingId);
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+
+  const key = getEntryKey(entry);
+  if (glossaryEntries.some((item) => item.id !== entry.id && getEntryKey(item) === key)) {
+    showToast('같은 사이트·언어에 이미 등록된 용어입니다.', 'error');
+    return;
+  }
+
+  const isEdit = !!editingId;
+  if (!isEdit && glossaryEntries.length >= MAX_ENTRIES) {
+    showToast(`용어집은 최대 ${MAX_ENTRIES}개까지 등록할 수 있습니다.`, 'error');
+    return;
+  }
+
+  const next = isEdit
+    ? glossaryEntries.map((item) => (item.id === entry.id ? entry : item))
+    : [entry, ...glossaryEntries];
+
+  try {
+    await saveGlossary(next);
+    resetForm();
+    showToast(isEdit ? '용어를 수정했습니다.' : '용어를 추가했습니다.');
+    logInfo('glossary', isEdit ? 'ENTRY_UPDATED' : 'ENTRY_ADDED', '용어집 항목 저장', { source: entry.source, domain: entry.domain, lang: entry.lang, keep: entry.keep });
+  } catch (error) {
+    logError('glossary', 'SAVE_ERROR', '용어집 저장 실패', {}, error);
+    showToast('용어집 저장 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+/**
+ * 폼 비우기 (수정 모드 해제)
+ */
+function resetForm() {
+  editingId = null;
+  ['glossarySource', 'glossaryTarget', 'glossaryDomain', 'glossaryNote'].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.value = '';
+  });
+  const langSelect = document.getElementById('glossaryLang');
+  if (langSelect) langSelect.value = '';
+  const keepInput = document.getElementById('glossaryKeep');
+  if (keepInput) keepInput.checked = false;
+  updateKeepState();
+
+  const saveBtn = document.getElementById('glossarySaveBtn');
+  const cancelBtn = document.getElementById('glossaryCancelEditBtn');
+  if (saveBtn) saveBtn.textContent = '추가';
+  if (cancelBtn) cancelBtn.style.display = 'none';
+}
+
+/**
+ * 원문 유지 선택 시 번역어/언어 입력 비활성화
+ */
+function updateKeepState() {
+  const keep = !!document.getElementById('glossaryKeep')?.checked;
+  ['glossaryTarget', 'glossaryLang'].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.disabled = keep;
+  });
+}
+
+/**
+ * 항목을 폼에 불러와 수정 모드로 전환
+ * @param {string} id
+ */
+function startEdit(id) {
+  const entry = glossaryEntries.find((item) => item.id === id);
+  if (!entry) return;
+
+  editingId = id;
+  document.getElementById('glossarySource').value = entry.source;
+  document.getElementById('glossaryTarget').value = entry.target || '';
+  document.getElementById('glossaryDomain').value = entry.domain || '';
+  document.getElementById('glossaryLang').value = entry.lang || '';
+  document.getElementById('glossaryKeep').checked = !!entry.keep;
+  document.getElementById('glossaryNote').value = entry.note || '';
+  updateKeepState();
+
+  const saveBtn = document.getElementById('glossarySaveBtn');
+  const cancelBtn = document.getElementById('glossaryCancelEditBtn');
+  if (saveBtn) saveBtn.textContent = '수정';
+  if (cancelBtn) cancelBtn.style.display = '';
+  document.getElementById('glossarySource').focus();
+}
+
+// ===== 목록 =====
+
+/**
+ * 목록 버튼 클릭 (수정/삭제)
+ * @param {MouseEvent} event
+ */
+async function handleListClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  const { id } = button.dataset;
+
+  if (button.dataset.action === 'edit') {
+    startEdit(id);
+    return;
+  }
+
+  if (button.dataset.action === 'delete') {
+    try {
+      await saveGlossary(glossaryEntries.filter((item) => item.id !== id));
+      if (editingId === id) resetForm();
+      showToast('용어를 삭제했습니다.');
+    } catch (error) {
+      logError('glossary', 'DELETE_ERROR', '용어집 항목 삭제 실패', { id }, error);
+      showToast('용어 삭제 중 오류가 발생했습니다.', 'error');
+    }
+  }
+}
+
+/**
+ * 목록 렌더링 (검색어: 원문/번역어/사이트/메모 부분 일치)
+ */
+function renderGlossaryList() {
+  const list = document.getElementById('glossaryList');
+  const empty = document.getElementById('glossaryEmpty');
+  const count = document.getElementById('glossaryCount');
+  if (!list) return;
+
+  const query = (document.getElementById('glossarySearch')?.value || '').trim().toLowerCase();
+  const visible = query
+    ? glossaryEntries.filter((entry) => [entry.source, entry.target, entry.domain, entry.note]
+      .some((value) => String(value || '').toLowerCase().includes(query)))
+    : glossaryEntries;
+
+  list.innerHTML = '';
+  visible.forEach((entry) => list.appendChild(createEntryElement(entry)));
+
+  if (empty) {
+    empty.style.display = visible.length === 0 ? 'flex' : 'none';
+  }
+  if (count) {
+    count.textContent = query
+      ? `${visible.length} / ${glossaryEntries.length}개`
+      : `${glossaryEntries.length}개 등록됨`;
+  }
+}
+
+/**
+ * 목록 항목 요소
+ * @param {Object} entry
+ * @returns {HTMLElement}
+ */
+function createEntryElement(entry) {
+  const item = document.createElement('div');
+  item.className = 'glossary-item';
+
+  const body = document.createElement('div');
+  body.className = 'glossary-item-body';
+
+  const term = document.createElement('div');
+  term.className = 'glossary-term';
+  term.textContent = entry.keep ? `${entry.source} (원문 유지)` : `${entry.source} → ${entry.target}`;
+
+  const meta = document.createElement('div');
+  meta.className = 'glossary-meta';
+  meta.textContent = [
+    entry.domain || '모든 사이트',
+    entry.keep ? '모든 언어' : (TARGET_LANGUAGES[entry.lang] || '모든 언어'),
+    entry.note
+  ].filter(Boolean).join(' · ');
+
+  body.append(term, meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'glossary-item-actions';
+  actions.append(
+    createActionButton('edit', entry.id, '수정', '✏️'),
+    createActionButton('delete', entry.id, '삭제', '🗑️')
+  );
+
+  item.append(body, actions);
+  return item;
+}
+
+function createActionButton(action, id, label, icon) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-btn';
+  button.dataset.action = action;
+  button.dataset.id = id;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.textContent = icon;
+  return button;
+}
+
+// ===== CSV =====
+
+function escapeCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV 문자열 생성 (RFC 4180, 첫 줄 헤더)
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function toGlossaryCsv(entries) {
+  const rows = entries.map((entry) => [
+    entry.source,
+    entry.keep ? '' : entry.target,
+    entry.domain,
+    entry.keep ? '' : entry.lang,
+    entry.keep ? 'true' : 'false',
+    entry.note
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV 해석 (따옴표 안의 쉼표/줄바꿈/"" 지원)
+ * @param {string} text
+ * @returns {Array<Array<string>>} 행 목록 (빈 행 제외)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') { quoted = false; }
+      else { field += ch; }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * CSV 내용을 항목 입력값 목록으로 변환
+ * - 첫 줄이 헤더면 열 이름으로, 아니면 source,target,domain,language,keep,note 순서로 읽음
+ * @param {string} text
+ * @returns {Array<Object>} createEntry 입력값
+ */
+export function parseGlossaryCsv(text) {
+  const rows = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const first = rows[0].map((cell) => cell.trim().toLowerCase());
+  const hasHeader = first.includes('source');
+  const columns = hasHeader ? first : CSV_COLUMNS;
+  const index = (name) => columns.indexOf(name);
+
+  return rows.slice(hasHeader ? 1 : 0).map((cells) => {
+    const cell = (name) => (index(name) >= 0 ? (cells[index(name)] || '').trim() : '');
+    return {
+      source: cell('source'),
+      target: cell('target'),
+      domain: cell('domain'),
+      lang: cell('language') || cell('lang'),
+      keep: TRUE_VALUES.has(cell('keep').toLowerCase()),
+      note: cell('note')
+    };
+  });
+}
+
+/**
+ * 용어집 CSV 내보내기 (엑셀 한글 깨짐 방지용 BOM 포함)
+ */
+async function handleExportCsv() {
+  if (glossaryEntries.length === 0) {
+    showToast('내보낼 용어가 없습니다.', 'info');
+    return;
+  }
+
+  const blob = new Blob(['\uFEFF' + toGlossaryCsv(glossaryEntries)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `glossary-${new Date().toISOString().slice(0, 10)}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  logInfo('glossary', 'EXPORT', '용어집 CSV 내보내기', { count: glossaryEntries.length });
+}
+
+/**
+ * 용어집 CSV 가져오기
+ * - 같은 원문 용어·사이트·언어 항목은 번역어/메모를 파일 내용으로 갱신, 나머지는 추가
+ * @param {File} file
+ */
+async function handleImportCsv(file) {
+  try {
+    const rows = parseGlossaryCsv(await file.text());
+    const merged = [...glossaryEntries];
+    const indexByKey = new Map(merged.map((entry, i) => [getEntryKey(entry), i]));
+    let added = 0;
+    let updated = 0;
+    let invalid = 0;
+    let skipped = 0;
+
+    rows.forEach((raw) => {
+      let entry;
+      try {
+        entry = createEntry(raw);
+      } catch (_) {
+        invalid++;
+        return;
+      }
+      const key = getEntryKey(entry);
+      if (indexByKey.has(key)) {
+        const i = indexByKey.get(key);
+        merged[i] = { ...entry, id: merged[i].id };
+        updated++;
+      } else if (merged.length < MAX_ENTRIES) {
+        indexByKey.set(key, merged.length);
+        merged.push(entry);
+        added++;
+      } else {
+        skipped++;
+      }
+    });
+
+    if (added + updated > 0) {
+      await saveGlossary(merged);
+    }
+
+    const parts = [`추가 ${added}`, `갱신 ${updated}`];
+    if (invalid) parts.push(`잘못된 행 ${invalid}`);
+    if (skipped) parts.push(`개수 제한으로 제외 ${skipped}`);
+    showToast(`용어집 가져오기 완료: ${parts.join(', ')}`, added + updated > 0 ? 'success' : 'info');
+    logInfo('glossary', 'IMPORT', '용어집 CSV 가져오기', { added, updated, invalid, skipped });
+  } catch (error) {
+    logError('glossary', 'IMPORT_ERROR', '용어집 가져오기 실패', {}, error);
+    showToast('용어집 파일을 읽지 못했습니다.', 'error');
+  }
+}
+
+// ===== 프롬프트 지시문 =====
+
+/**
+ * 번역 프롬프트용 용어집 지시문 (해당 항목이 없으면 빈 문자열)
+ * @param {string} text - 원문
+ * @param {string} targetLanguage - 대상 언어 코드
+ * @param {string} [hostname] - 사이트 한정 항목 판단용 (없으면 모든 사이트 항목만 적용)
+ * @returns {Promise<string>}
+ */
+export async function getGlossaryInstruction(text, targetLanguage, hostname = '') {
+  await Glossary.load();
+  return Glossary.buildInstruction([text], targetLanguage, hostname);
+}
+
+/**
+ * 번역 결과가 용어집을 따르지 않은 항목 안내 문구
+ * @param {string} text - 원문
+ * @param {string} translation - 번역문
+ * @param {string} targetLanguage - 대상 언어 코드
+ * @param {string} [hostname] - 사이트 한정 항목 판단용
+ * @returns {{issues: Array<Object>, message: string}} 어긋난 항목이 없으면 message는 빈 문자열
+ */
+export function checkGlossaryTranslation(text, translation, targetLanguage, hostname = '') {
+  const issues = Glossary.findViolations(text, translation, targetLanguage, hostname);
+  return { issues, message: Glossary.describeViolations(issues) };
+}
@@ -17,7 +17,7 @@ import {
   setLastHistoryCompletionMeta,
   setLastTranslateMode
 } from './state.js';
-import { showToast, switchTab } from './ui-utils.js';
+import { showToast, switchTab, formatUsage } from './ui-utils.js';
 
 // ===== 상수 =====
 const HISTORY_STORAGE_KEY = 'translationHistory';
@@ -202,6 +202,13 @@ function createHistoryItemElement(entry) {
   modeSpan.textContent = formatHistoryMode(entry.mode);
   meta.appendChild(modeSpan);
 
+  // API 사용량 (캐시만 사용한 번역이나 이전 기록은 없음)
+  if (entry.usage && entry.usage.requests > 0) {
+    const usageSpan = document.createElement('span');
+    usageSpan.textContent = formatUsage(entry.usage);
+    meta.appendChild(usageSpan);
+  }
+
   body.appendChild(meta);
   item.appendChild(body);
 
@@ -252,7 +259,8 @@ export async function saveHistoryEntry(entry) {
       translatedTitle: entry.translatedTitle,
       previewText: entry.previewText || '',
       completedAt: entry.completedAt,
-      mode: entry.mode
+      mode: entry.mode,
+      usage: entry.usage || null
     };
 
     const withoutSameUrl = history.filter((item) => item && item.url !== normalized.url);
@@ -520,7 +528,8 @@ export async function handleTranslationCompletedForHistory(tabId, data) {
       translatedTitle,
       previewText,
       completedAt: new Date().toISOString(),
-      mode
+      mode,
+      usage: data.usage || null
     });
 
     translateModeByTab.delete(tabId);
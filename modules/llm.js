@@ -0,0 +1,75 @@
+/**
+ * Side Panel LLM 클라이언트
+ *
+ * 역할:
+ * - 텍스트 번역, 스마트 검색, GEO 검사가 함께 쓰는 LLM 호출
+ * - 제공자별 요청 형식은 content/llm.js(WPT.Llm)를 그대로 사용 (페이지 번역과 같은 클라이언트)
+ * - 저장된 제공자 설정과 API Key로 호출, 사용량은 background에 보고
+ *
+ * 저장 형식 (chrome.storage.local):
+ * - llmProvider: 'openrouter' | 'openai-compatible' | 'anthropic' | 'gemini'
+ * - llmBaseUrl: OpenAI 호환 서버 주소 (예: http://localhost:11434/v1)
+ * - providerApiKeys: { 제공자: API Key }
+ * - apiKey: 현재 제공자의 API Key (설정 저장 시 함께 갱신, 페이지 번역과 background가 사용)
+ */
+
+import '../content/llm.js';
+
+// ===== 상수 =====
+const Llm = window.WPT.Llm;
+
+export const LLM_PROVIDERS = Llm.PROVIDERS;
+export const DEFAULT_LLM_PROVIDER = Llm.DEFAULT_PROVIDER;
+
+// ===== 설정 조회 =====
+
+/**
+ * 현재 제공자 설정과 API Key, 모델
+ * @returns {Promise<{provider: string, baseUrl: string, apiKey: string, model: string}>}
+ */
+export async function getLlmSettings() {
+  const [config, result] = await Promise.all([
+    Llm.getConfig(),
+    chrome.storage.local.get(['apiKey', 'model'])
+  ]);
+  return {
+    ...config,
+    apiKey: result.apiKey || '',
+    model: result.model || LLM_PROVIDERS[config.provider].defaultModel
+  };
+}
+
+// ===== 요청 =====
+
+/**
+ * LLM 요청 (설정의 제공자·API Key·모델 사용)
+ * @param {string} prompt - 프롬프트
+ * @param {Object} [options]
+ * @param {string} [options.model] - 생략 시 설정 모델
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxTokens]
+ * @param {string} [options.title] - OpenRouter 대시보드에 표시할 앱 이름
+ * @param {string} [options.purpose] - 사용량 기록용 용도
+ * @returns {Promise<string>} 응답 텍스트
+ * @throws {Error} API Key가 없거나 요청이 실패했을 때
+ */
+export async function requestLlm(prompt, options = {}) {
+  const settings = await getLlmSettings();
+  if (!settings.apiKey) {
+    throw new Error('API Key가 설정되지 않았습니다. 설정 탭에서 설정해주세요.');
+  }
+
+  const model = options.model || settings.model;
+  const { text, usage } = await Llm.complete(prompt, {
+    apiKey: settings.apiKey,
+    model,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    title: options.title
+  });
+
+  if (usage) {
+    chrome.runtime.sendMessage({ type: 'USAGE_RECORD', usage, model, purpose: options.purpose || '' }).catch(() => {});
+  }
+  return text;
+}
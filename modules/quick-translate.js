@@ -5,14 +5,16 @@
  * - 텍스트 붙여넣기 후 즉시 번역
  * - 번역 히스토리 저장 및 표시
  * - 원본 보기 토글
- * - OpenRouter API 호출
+ * - LLM API 호출 (modules/llm.js)
  */
 
 import { logInfo, logError } from '../logger.js';
 import { showToast } from './ui-utils.js';
+import { getTargetLanguageName } from './constants.js';
+import { getGlossaryInstruction, checkGlossaryTranslation } from './glossary.js';
+import { requestLlm } from './llm.js';
 
 // ===== 상수 =====
-const DEFAULT_MODEL = 'openai/gpt-4o-mini';
 const MAX_HISTORY_COUNT = 50; // 최대 히스토리 저장 개수
 const STORAGE_KEY = 'quickTranslationHistory';
 
@@ -43,12 +45,24 @@ export async function initQuickTranslateTab() {
     textInput.addEventListener('keydown', handleTextInputKeydown);
   }
 
+  // 페이지 선택 번역 등 다른 곳에서 추가된 기록 반영
+  chrome.storage.onChanged.removeListener(handleHistoryStorageChange);
+  chrome.storage.onChanged.addListener(handleHistoryStorageChange);
+
   // 히스토리 로드
   await loadTranslationHistory();
 
   logInfo('quickTranslate', 'INIT', '텍스트 번역 탭 초기화 완료');
 }
 
+/**
+ * 히스토리 저장소 변경 시 목록 다시 렌더링
+ */
+function handleHistoryStorageChange(changes, areaName) {
+  if (areaName !== 'local' || !changes[STORAGE_KEY]) return;
+  renderTranslationHistory(changes[STORAGE_KEY].newValue || []);
+}
+
 /**
  * 입력창 키다운 핸들러 (Ctrl+Enter로 번역)
  */
@@ -90,10 +104,10 @@ async function handleTranslateText() {
   resultContainer.style.display = 'block';
 
   try {
-    const translation = await callOpenRouterTranslate(text, apiKey);
+    const { translation, glossary } = await callLlmTranslate(text);
 
     // 결과 표시
-    displayTranslationResult(text, translation);
+    displayTranslationResult(text, translation, glossary.message);
 
     // 히스토리 저장
     await saveTranslationHistory(text, translation);
@@ -107,7 +121,8 @@ async function handleTranslateText() {
     showToast('번역이 완료되었습니다!');
     logInfo('quickTranslate', 'TRANSLATE_SUCCESS', '번역 성공', {
       originalLength: text.length,
-      translationLength: translation.length
+      translationLength: translation.length,
+      glossaryViolations: glossary.issues.length
     });
   } catch (error) {
     logError('quickTranslate', 'TRANSLATE_ERROR', '번역 실패', {}, error);
@@ -120,60 +135,53 @@ async function handleTranslateText() {
 }
 
 /**
- * OpenRouter API로 번역하기
+ * 현재 탭 호스트명 (사이트 한정 용어집 항목 적용용, 알 수 없으면 빈 문자열)
+ * @returns {Promise<string>}
+ */
+async function getActiveTabHostname() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab?.url ? new URL(tab.url).hostname : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * LLM으로 번역하기 (설정의 제공자와 모델)
  * @param {string} text - 원문 텍스트
- * @param {string} apiKey - API Key
- * @returns {Promise<string>} 번역된 텍스트
+ * @returns {Promise<{translation: string, glossary: {issues: Array<Object>, message: string}}>} 번역문과 용어집 검사 결과
  */
-async function callOpenRouterTranslate(text, apiKey) {
-  const model = (await chrome.storage.local.get(['model'])).model || DEFAULT_MODEL;
+async function callLlmTranslate(text) {
+  const settings = await chrome.storage.local.get(['targetLanguage']);
+  const languageName = getTargetLanguageName(settings.targetLanguage);
+  const hostname = await getActiveTabHostname();
+  const glossary = await getGlossaryInstruction(text, settings.targetLanguage, hostname);
+  const glossarySection = glossary ? `\n\n용어집 (반드시 이대로 번역):\n${glossary}` : '';
 
-  const prompt = `다음 텍스트를 한글로 번역해주세요. 자연스럽고 정확하게 번역하되, 원문의 의미를 최대한 유지해주세요.
+  const prompt = `다음 텍스트를 ${languageName}로 번역해주세요. 자연스럽고 정확하게 번역하되, 원문의 의미를 최대한 유지해주세요.${glossarySection}
 
 원문:
 ${text}
 
 번역:`;
 
-  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': window.location.href,
-      'X-Title': 'Quick Translate'
-    },
-    body: JSON.stringify({
-      model,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      temperature: 0.3
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error?.message || `API error: ${response.statusText}`);
-  }
-
-  const data = await response.json();
-  const translation = data.choices[0]?.message?.content?.trim() || '';
+  const translation = (await requestLlm(prompt, { temperature: 0.3, title: 'Quick Translate', purpose: 'quick-translate' })).trim();
 
   if (!translation) {
     throw new Error('번역 결과가 비어있습니다.');
   }
 
-  return translation;
+  return { translation, glossary: checkGlossaryTranslation(text, translation, settings.targetLanguage, hostname) };
 }
 
 /**
  * 번역 결과 표시
  * @param {string} original - 원문
  * @param {string} translation - 번역문
+ * @param {string} [glossaryNotice] - 용어집과 다른 항목 안내 (없으면 표시 안 함)
  */
-function displayTranslationResult(original, translation) {
+function displayTranslationResult(original, translation, glossaryNotice = '') {
   const resultContainer = document.getElementById('quickTranslationResult');
 
   const html = `
@@ -183,6 +191,7 @@ function displayTranslationResult(original, translation) {
         <button class="quick-toggle-original" data-original="${escapeHtml(original)}">원문 보기</button>
       </div>
       <div class="quick-result-text">${escapeHtml(translation)}</div>
+      ${glossaryNotice ? `<div class="quick-glossary-warning">⚠️ ${escapeHtml(glossaryNotice)}</div>` : ''}
     </div>
   `;
 
@@ -4,14 +4,12 @@
  * 역할:
  * - AI 기반 검색 키워드 추천
  * - 검색 엔진 열기 (Google, Naver, Bing, ChatGPT, Perplexity)
- * - OpenRouter API 호출
+ * - LLM API 호출 (modules/llm.js)
  */
 
 import { logInfo, logError } from '../logger.js';
 import { showToast } from './ui-utils.js';
-
-// ===== 상수 =====
-const DEFAULT_MODEL = 'openai/gpt-4o-mini';
+import { requestLlm } from './llm.js';
 
 // ===== 검색 엔진 아이콘 =====
 
@@ -126,7 +124,7 @@ async function handleGetRecommendations() {
     }
 
     // AI 추천 3개 추가 (하지만 전체 10개를 넘지 않도록)
-    const aiRecommendations = await callOpenRouterSearch(query, apiKey);
+    const aiRecommendations = await callLlmSearch(query);
     const remainingSlots = 10 - currentCount - (currentCount === 0 ? 1 : 0);
     recommendations.push(...aiRecommendations.slice(0, Math.min(3, remainingSlots)));
 
@@ -141,11 +139,9 @@ async function handleGetRecommendations() {
 }
 
 /**
- * OpenRouter API로 검색문 추천 받기
+ * LLM으로 검색문 추천 받기 (설정의 제공자와 모델)
  */
-async function callOpenRouterSearch(query, apiKey) {
-  const model = (await chrome.storage.local.get(['model'])).model || DEFAULT_MODEL;
-
+async function callLlmSearch(query) {
   const prompt = `사용자가 다음과 같은 내용을 검색하려고 합니다. 최적의 검색 키워드 3개를 생성해주세요.
 
 사용자의 검색 목적: "${query}"
@@ -158,31 +154,7 @@ async function callOpenRouterSearch(query, apiKey) {
 
 검색 키워드:`;
 
-  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': window.location.href,
-      'X-Title': 'Smart Search'
-    },
-    body: JSON.stringify({
-      model,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      temperature: 0.7
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error?.message || `API error: ${response.statusText}`);
-  }
-
-  const data = await response.json();
-  const content = data.choices[0]?.message?.content || '';
+  const content = await requestLlm(prompt, { temperature: 0.7, title: 'Smart Search', purpose: 'search' });
 
   // 응답에서 검색문들 파싱
   const lines = content.split('\n')
@@ -2,10 +2,11 @@
  * Side Panel 설정 관리
  *
  * 역할:
- * - API Key 관리
+ * - AI 제공자와 제공자별 API Key 관리
  * - 설정 로드/저장
  * - 유효성 검사
  * - 캐시 상태 조회
+ * - 사이트별 규칙 편집 (modules/site-rules.js)
  */
 
 import { logInfo, logError, logDebug, logWarn } from '../logger.js';
@@ -17,12 +18,52 @@ import {
   setOriginalSettings
 } from './state.js';
 import { showToast, ensurePageContentScript, handleCopyLogs } from './ui-utils.js';
+import { TARGET_LANGUAGES, DEFAULT_TARGET_LANGUAGE, ACTIONS } from './constants.js';
+import { buildCacheExport, parseCacheImport } from './cache-transfer.js';
+import { initSiteRulesSection } from './site-rules.js';
+import { initUsageSection } from './usage.js';
+import { LLM_PROVIDERS, DEFAULT_LLM_PROVIDER, getLlmSettings } from './llm.js';
 
 // ===== 상수 =====
-const DEFAULT_MODEL = 'openai/gpt-4o-mini';
 const DEFAULT_CACHE_TTL_MINUTES = 43200; // 기본 30일
 const CACHE_TTL_MIN_MINUTES = 5;
 const CACHE_TTL_MAX_MINUTES = 525600; // 365일
+const DEFAULT_CACHE_MAX_SIZE_MB = 50; // content/cache.js DEFAULT_MAX_SIZE_MB와 동일
+const CACHE_MAX_SIZE_MIN_MB = 5;
+const CACHE_MAX_SIZE_MAX_MB = 500;
+const CACHE_IMPORT_CHUNK_SIZE = 1000; // 가져오기 메시지 하나에 담을 항목 수
+
+// 제공자별 설정 화면 안내 (키 입력란 이름, 발급/모델 목록 링크)
+const PROVIDER_FORM = {
+  openrouter: {
+    keyLabel: 'OpenRouter API Key',
+    keyPlaceholder: 'sk-or-v1-...',
+    keyUrl: 'https://openrouter.ai/keys',
+    modelsUrl: 'https://openrouter.ai/models'
+  },
+  'openai-compatible': {
+    keyLabel: 'API Key',
+    keyPlaceholder: '키가 없는 서버는 아무 값 (예: ollama)',
+    keyUrl: '',
+    modelsUrl: ''
+  },
+  anthropic: {
+    keyLabel: 'Anthropic API Key',
+    keyPlaceholder: 'sk-ant-...',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    modelsUrl: 'https://docs.anthropic.com/en/docs/about-claude/models'
+  },
+  gemini: {
+    keyLabel: 'Gemini API Key',
+    keyPlaceholder: 'AIza...',
+    keyUrl: 'https://aistudio.google.com/apikey',
+    modelsUrl: 'https://ai.google.dev/gemini-api/docs/models'
+  }
+};
+
+// ===== 내부 상태 =====
+let providerApiKeys = {}; // 제공자별 API Key (저장 전 입력값 포함)
+let selectedProvider = DEFAULT_LLM_PROVIDER;
 
 // ===== API Key/모델 조회 =====
 
@@ -36,12 +77,11 @@ export async function getApiKey() {
 }
 
 /**
- * 저장된 모델 조회
+ * 저장된 모델 조회 (비어 있으면 현재 제공자의 기본 모델)
  * @returns {Promise<string>} 모델명
  */
 export async function getModel() {
-  const result = await chrome.storage.local.get(['model']);
-  return result.model || DEFAULT_MODEL;
+  return (await getLlmSettings()).model;
 }
 
 // ===== API Key UI 관리 =====
@@ -79,8 +119,8 @@ export async function updateApiKeyUI() {
  * 입력 필드 변경 감지 및 버튼 이벤트 등록
  */
 export function initSettingsTab() {
-  // 입력 필드 변경 감지 (select 포함)
-  const inputs = document.querySelectorAll('#settingsTab input, #settingsTab select');
+  // 입력 필드 변경 감지 (select 포함, 저장 대상이 아닌 캐시 내보내기/가져오기 옵션 제외)
+  const inputs = document.querySelectorAll('#settingsTab input:not([data-settings-ignore]), #settingsTab select:not([data-settings-ignore])');
   inputs.forEach(input => {
     input.addEventListener('input', () => {
       setSettingsChanged(true);
@@ -93,6 +133,11 @@ export function initSettingsTab() {
     });
   });
 
+  // AI 제공자 변경: 입력 중인 키를 보관하고 새 제공자의 키와 안내로 교체
+  document.getElementById('llmProvider')?.addEventListener('change', (event) => {
+    switchProviderForm(event.target.value);
+  });
+
   // 저장 버튼
   document.getElementById('saveBtn')?.addEventListener('click', handleSaveSettings);
 
@@ -102,6 +147,24 @@ export function initSettingsTab() {
     hideSaveBar();
   });
 
+  // 캐시 내보내기/가져오기
+  document.getElementById('cacheExportBtn')?.addEventListener('click', handleExportCache);
+  const importInput = document.getElementById('cacheImportInput');
+  document.getElementById('cacheImportBtn')?.addEventListener('click', () => importInput?.click());
+  importInput?.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    if (file) {
+      await handleImportCache(file);
+    }
+    importInput.value = '';
+  });
+
+  // 사용량 (예산 입력은 저장 바로 저장)
+  initUsageSection();
+
+  // 사이트별 규칙 (바로 저장, 저장 바와 무관)
+  initSiteRulesSection();
+
   // 로그 복사 버튼
   document.getElementById('copyAllLogsBtn')?.addEventListener('click', () => {
     handleCopyLogs('all');
@@ -119,24 +182,55 @@ export async function loadSettings() {
   try {
     const result = await chrome.storage.local.get([
       'apiKey',
+      'llmProvider',
+      'llmBaseUrl',
+      'providerApiKeys',
       'model',
+      'targetLanguage',
+      'cacheModelPolicy',
+      'cacheMaxSizeMB',
       'batchSize',
       'concurrency',
       'autoTranslate',
+      'liveTranslate',
+      'lazyTranslate',
+      'preserveMarkup',
+      'blockInspector',
+      'selectionButton',
+      'usageBudget',
       'debugLog'
     ]);
 
     // 원본 설정 저장
     setOriginalSettings({ ...result });
 
-    // API 설정
-    document.getElementById('apiKey').value = result.apiKey || '';
+    // API 설정 (제공자별 키가 없던 이전 버전은 apiKey가 OpenRouter 키)
+    selectedProvider = LLM_PROVIDERS[result.llmProvider] ? result.llmProvider : DEFAULT_LLM_PROVIDER;
+    providerApiKeys = result.providerApiKeys ? { ...result.providerApiKeys } : { [DEFAULT_LLM_PROVIDER]: result.apiKey || '' };
+    document.getElementById('llmProvider').value = selectedProvider;
+    document.getElementById('llmBaseUrl').value = result.llmBaseUrl || '';
     document.getElementById('model').value = result.model || '';
+    renderProviderForm();
 
     // 번역 설정
+    document.getElementById('targetLanguage').value = TARGET_LANGUAGES[result.targetLanguage] ? result.targetLanguage : DEFAULT_TARGET_LANGUAGE;
+    document.getElementById('cacheModelPolicy').value = result.cacheModelPolicy === 'any' ? 'any' : 'current';
+    document.getElementById('cacheMaxSizeMB').value = result.cacheMaxSizeMB || DEFAULT_CACHE_MAX_SIZE_MB;
     document.getElementById('batchSize').value = result.batchSize || 50;
     document.getElementById('concurrency').value = result.concurrency || 3;
     document.getElementById('autoTranslate').checked = result.autoTranslate !== undefined ? result.autoTranslate : true;
+    document.getElementById('liveTranslate').checked = result.liveTranslate || false;
+    document.getElementById('lazyTranslate').checked = result.lazyTranslate || false;
+    document.getElementById('preserveMarkup').checked = result.preserveMarkup !== undefined ? result.preserveMarkup : true;
+    document.getElementById('blockInspector').checked = result.blockInspector || false;
+    document.getElementById('selectionButton').checked = result.selectionButton || false;
+
+    // 사용 예산 (0은 제한 없음, 빈칸으로 표시)
+    const usageBudget = result.usageBudget || {};
+    document.getElementById('dailyBudget').value = usageBudget.daily > 0 ? usageBudget.daily : '';
+    document.getElementById('monthlyBudget').value = usageBudget.monthly > 0 ? usageBudget.monthly : '';
+    document.getElementById('dailyTokenBudget').value = usageBudget.dailyTokens > 0 ? usageBudget.dailyTokens : '';
+    document.getElementById('monthlyTokenBudget').value = usageBudget.monthlyTokens > 0 ? usageBudget.monthlyTokens : '';
 
     // 디버그 설정
     document.getElementById('debugLog').checked = result.debugLog || false;
@@ -154,21 +248,47 @@ export async function loadSettings() {
  * 유효성 검사 후 storage에 저장
  */
 export async function handleSaveSettings() {
+  const llmProvider = selectedProvider;
+  const llmBaseUrl = document.getElementById('llmBaseUrl').value.trim();
   const apiKey = document.getElementById('apiKey').value.trim();
   const modelInput = document.getElementById('model').value.trim();
+  const targetLanguage = document.getElementById('targetLanguage').value || DEFAULT_TARGET_LANGUAGE;
+  const cacheModelPolicy = document.getElementById('cacheModelPolicy').value === 'any' ? 'any' : 'current';
+  const cacheMaxSizeMB = parseInt(document.getElementById('cacheMaxSizeMB').value) || DEFAULT_CACHE_MAX_SIZE_MB;
   const batchSize = parseInt(document.getElementById('batchSize').value) || 50;
   const concurrency = parseInt(document.getElementById('concurrency').value) || 3;
   const autoTranslate = document.getElementById('autoTranslate').checked;
+  const liveTranslate = document.getElementById('liveTranslate').checked;
+  const lazyTranslate = document.getElementById('lazyTranslate').checked;
+  const preserveMarkup = document.getElementById('preserveMarkup').checked;
+  const blockInspector = document.getElementById('blockInspector').checked;
+  const selectionButton = document.getElementById('selectionButton').checked;
+  const dailyBudget = parseFloat(document.getElementById('dailyBudget').value) || 0;
+  const monthlyBudget = parseFloat(document.getElementById('monthlyBudget').value) || 0;
+  const dailyTokenBudget = parseInt(document.getElementById('dailyTokenBudget').value) || 0;
+  const monthlyTokenBudget = parseInt(document.getElementById('monthlyTokenBudget').value) || 0;
   const debugLog = document.getElementById('debugLog').checked;
 
-  const model = modelInput || DEFAULT_MODEL;
+  const model = modelInput || LLM_PROVIDERS[llmProvider].defaultModel;
 
   // 유효성 검사
   if (!apiKey) {
-    showToast('API Key를 입력해주세요.', 'error');
+    showToast(`${PROVIDER_FORM[llmProvider].keyLabel}를 입력해주세요.`, 'error');
     return;
   }
 
+  if (LLM_PROVIDERS[llmProvider].customBaseUrl && !/^https?:\/\/[^/]+/.test(llmBaseUrl)) {
+    showToast('서버 주소를 http:// 또는 https://로 시작하는 주소로 입력해주세요.', 'error');
+    return;
+  }
+
+  if (!model) {
+    showToast('사용할 모델 이름을 입력해주세요.', 'error');
+    return;
+  }
+
+  providerApiKeys = { ...providerApiKeys, [llmProvider]: apiKey };
+
   if (batchSize < 10 || batchSize > 100) {
     showToast('배치 크기는 10~100 사이여야 합니다.', 'error');
     return;
@@ -179,31 +299,88 @@ export async function handleSaveSettings() {
     return;
   }
 
+  if (cacheMaxSizeMB < CACHE_MAX_SIZE_MIN_MB || cacheMaxSizeMB > CACHE_MAX_SIZE_MAX_MB) {
+    showToast(`캐시 최대 용량은 ${CACHE_MAX_SIZE_MIN_MB}~${CACHE_MAX_SIZE_MAX_MB}MB 사이여야 합니다.`, 'error');
+    return;
+  }
+
+  if (dailyBudget < 0 || monthlyBudget < 0 || dailyTokenBudget < 0 || monthlyTokenBudget < 0) {
+    showToast('사용 예산은 0 이상이어야 합니다. (비우면 제한 없음)', 'error');
+    return;
+  }
+
+  if (dailyBudget > 0 && monthlyBudget > 0 && dailyBudget > monthlyBudget) {
+    showToast('하루 예산이 한 달 예산보다 클 수 없습니다.', 'error');
+    return;
+  }
+
+  if (dailyTokenBudget > 0 && monthlyTokenBudget > 0 && dailyTokenBudget > monthlyTokenBudget) {
+    showToast('하루 토큰 예산이 한 달 토큰 예산보다 클 수 없습니다.', 'error');
+    return;
+  }
+
+  const usageBudget = { daily: dailyBudget, monthly: monthlyBudget, dailyTokens: dailyTokenBudget, monthlyTokens: monthlyTokenBudget };
+
   try {
     await chrome.storage.local.set({
       apiKey,
+      llmProvider,
+      llmBaseUrl,
+      providerApiKeys,
       model,
+      targetLanguage,
+      cacheModelPolicy,
+      cacheMaxSizeMB,
       batchSize,
       concurrency,
       autoTranslate,
+      liveTranslate,
+      lazyTranslate,
+      preserveMarkup,
+      blockInspector,
+      selectionButton,
+      usageBudget,
       debugLog
     });
 
     logInfo('sidepanel', 'SETTINGS_SAVED', '설정 저장 완료', {
+      llmProvider,
+      llmBaseUrl: LLM_PROVIDERS[llmProvider].customBaseUrl ? llmBaseUrl : undefined,
       model,
+      targetLanguage,
+      cacheModelPolicy,
+      cacheMaxSizeMB,
       batchSize,
       concurrency,
       autoTranslate,
+      liveTranslate,
+      lazyTranslate,
+      preserveMarkup,
+      blockInspector,
+      selectionButton,
+      usageBudget,
       debugLog
     });
 
     // 원본 설정 업데이트
     setOriginalSettings({
       apiKey,
+      llmProvider,
+      llmBaseUrl,
+      providerApiKeys,
       model,
+      targetLanguage,
+      cacheModelPolicy,
+      cacheMaxSizeMB,
       batchSize,
       concurrency,
       autoTranslate,
+      liveTranslate,
+      lazyTranslate,
+      preserveMarkup,
+      blockInspector,
+      selectionButton,
+      usageBudget,
       debugLog
     });
 
@@ -219,6 +396,49 @@ export async function handleSaveSettings() {
   }
 }
 
+/**
+ * AI 제공자 선택 변경 (저장 전)
+ * - 입력 중인 키는 이전 제공자 몫으로 보관, 새 제공자의 저장된 키를 표시
+ * - 모델이 비었거나 이전 제공자의 기본 모델이면 비워서 새 제공자의 기본 모델을 쓰게 함
+ * @param {string} provider
+ */
+function switchProviderForm(provider) {
+  if (!LLM_PROVIDERS[provider] || provider === selectedProvider) return;
+
+  const modelInput = document.getElementById('model');
+  providerApiKeys[selectedProvider] = document.getElementById('apiKey').value.trim();
+  if (modelInput.value.trim() === LLM_PROVIDERS[selectedProvider].defaultModel) {
+    modelInput.value = '';
+  }
+
+  selectedProvider = provider;
+  renderProviderForm();
+}
+
+/**
+ * 선택한 제공자에 맞춰 API 설정 입력란 표시 (키, 서버 주소, 모델 안내)
+ */
+function renderProviderForm() {
+  const provider = LLM_PROVIDERS[selectedProvider];
+  const form = PROVIDER_FORM[selectedProvider];
+
+  document.getElementById('apiKey').value = providerApiKeys[selectedProvider] || '';
+  document.getElementById('apiKey').placeholder = form.keyPlaceholder;
+  document.getElementById('apiKeyLabel').textContent = form.keyLabel;
+  document.getElementById('llmBaseUrlGroup').style.display = provider.customBaseUrl ? '' : 'none';
+  document.getElementById('model').placeholder = provider.defaultModel || '예: llama3.1:8b';
+  document.getElementById('modelHelp').textContent = provider.defaultModel
+    ? `비워두면 기본 모델(${provider.defaultModel}) 사용.`
+    : '서버에 설치된 모델 이름을 입력하세요.';
+
+  [['apiKeyLink', form.keyUrl], ['modelListLink', form.modelsUrl]].forEach(([id, url]) => {
+    const link = document.getElementById(id);
+    if (!link) return;
+    link.style.display = url ? '' : 'none';
+    if (url) link.href = url;
+  });
+}
+
 /**
  * 저장 바 표시 (설정 변경 시)
  */
@@ -250,7 +470,7 @@ export async function getPageCacheStatus() {
     return new Promise((resolve, reject) => {
       if (!currentTabId) {
         logDebug('sidepanel', 'PAGE_CACHE_NO_TAB', 'CurrentTabId가 없음, 캐시 조회 스킵');
-        resolve({ count: 0, size: 0 });
+        resolve({ count: 0, size: 0, domain: '' });
         return;
       }
 
@@ -262,29 +482,30 @@ export async function getPageCacheStatus() {
             logDebug('sidepanel', 'PAGE_CACHE_SEND_MSG_ERROR', 'Content script와 통신 실패', {
               error: chrome.runtime.lastError.message
             });
-            resolve({ count: 0, size: 0 });
+            resolve({ count: 0, size: 0, domain: '' });
             return;
           }
 
           if (response && response.success) {
             logDebug('sidepanel', 'PAGE_CACHE_STATUS_SUCCESS', '캐시 상태 조회 성공', {
+              domain: response.domain,
               count: response.count,
               size: formatBytes(response.size)
             });
-            resolve({ count: response.count, size: response.size });
+            resolve({ count: response.count, size: response.size, domain: response.domain || '' });
           } else {
             const errorMsg = response?.error || '알 수 없는 오류';
             logDebug('sidepanel', 'PAGE_CACHE_STATUS_ERROR', '캐시 조회 실패', {
               error: errorMsg
             });
-            resolve({ count: 0, size: 0 });
+            resolve({ count: 0, size: 0, domain: '' });
           }
         }
       );
     });
   } catch (error) {
     logError('sidepanel', 'PAGE_CACHE_STATUS_ERROR', '캐시 조회 실패', {}, error);
-    return { count: 0, size: 0 };
+    return { count: 0, size: 0, domain: '' };
   }
 }
 
@@ -320,10 +541,16 @@ export async function updatePageCacheStatus() {
         });
       }
 
-      const { count, size } = await getPageCacheStatus();
+      const { count, size, domain } = await getPageCacheStatus();
 
       const itemCountEl = document.getElementById('pageItemCount');
       const sizeDisplayEl = document.getElementById('pageSizeDisplay');
+      const domainEl = document.getElementById('pageCacheDomain');
+
+      if (domainEl) {
+        domainEl.textContent = domain ? domain.replace(/^https?:\/\//, '') : '';
+        domainEl.title = domain;
+      }
 
       if (itemCountEl) {
         itemCountEl.textContent = count.toLocaleString();
@@ -339,6 +566,7 @@ export async function updatePageCacheStatus() {
       }
 
       logDebug('sidepanel', 'PAGE_CACHE_STATUS_UPDATED', '캐시 상태 업데이트', {
+        domain,
         count,
         size: formatBytes(size)
       });
@@ -391,8 +619,11 @@ export async function handleClearPageCache() {
         }
 
         if (response && response.success) {
-          showToast('이 페이지의 캐시가 삭제되었습니다.');
-          logInfo('sidepanel', 'PAGE_CACHE_CLEARED', '캐시 삭제 완료');
+          showToast('이 사이트의 캐시가 삭제되었습니다.');
+          logInfo('sidepanel', 'PAGE_CACHE_CLEARED', '캐시 삭제 완료', {
+            domain: response.domain,
+            deleted: response.deleted
+          });
 
           // 캐시 삭제 후 UI 업데이트
           updatePageCacheStatus();
@@ -410,3 +641,113 @@ export async function handleClearPageCache() {
     showToast('캐시 삭제 중 오류가 발생했습니다: ' + error.message, 'error');
   }
 }
+
+// ===== 캐시 내보내기/가져오기 =====
+
+/**
+ * 캐시 작업 대상 탭 확인 (content script 준비 포함)
+ * @returns {Promise<boolean>} 사용할 수 있으면 true
+ */
+async function prepareCacheTransferTab() {
+  const { permissionGranted } = await import('./state.js');
+  if (!currentTabId || !permissionGranted) {
+    showToast('캐시를 주고받을 웹페이지 탭을 먼저 열어주세요.', 'error');
+    return false;
+  }
+  try {
+    await ensurePageContentScript(currentTabId);
+    return true;
+  } catch (error) {
+    logDebug('sidepanel', 'ENSURE_CONTENT_SCRIPT_FAILED', 'Content script 준비 실패', {
+      error: error.message
+    });
+    showToast('페이지에 연결하지 못했습니다. 새로고침 후 다시 시도해주세요.', 'error');
+    return false;
+  }
+}
+
+/**
+ * 현재 사이트 캐시를 파일로 내보내기
+ */
+export async function handleExportCache() {
+  try {
+    if (!(await prepareCacheTransferTab())) {
+      return;
+    }
+
+    const response = await chrome.tabs.sendMessage(currentTabId, { action: ACTIONS.EXPORT_CACHE });
+    if (!response || !response.success) {
+      throw new Error(response?.error || '알 수 없는 오류');
+    }
+    if (response.records.length === 0) {
+      showToast('이 사이트에는 내보낼 캐시가 없습니다.', 'error');
+      return;
+    }
+
+    const format = document.getElementById('cacheExportFormat')?.value || 'json';
+    const { content, filename, mimeType } = buildCacheExport(response.records, { domain: response.domain, format });
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+
+    URL.revokeObjectURL(url);
+    logInfo('sidepanel', 'CACHE_EXPORTED', '캐시 내보내기 완료', {
+      domain: response.domain,
+      count: response.records.length,
+      format
+    });
+    showToast(`캐시 ${response.records.length.toLocaleString()}개를 내보냈습니다.`);
+  } catch (error) {
+    logError('sidepanel', 'CACHE_EXPORT_ERROR', '캐시 내보내기 실패', {}, error);
+    showToast('캐시 내보내기 중 오류가 발생했습니다: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 캐시 파일을 현재 사이트 캐시에 합치기
+ * - 큰 파일도 메시지 크기 제한에 걸리지 않도록 CACHE_IMPORT_CHUNK_SIZE개씩 나눠 전달
+ * @param {File} file - JSON/NDJSON 캐시 파일
+ */
+export async function handleImportCache(file) {
+  try {
+    const { header, records } = parseCacheImport(await file.text());
+    if (!(await prepareCacheTransferTab())) {
+      return;
+    }
+
+    const policy = document.getElementById('cacheImportPolicy')?.value === 'keepMine' ? 'keepMine' : 'newest';
+    const totals = { added: 0, updated: 0, kept: 0, invalid: header.malformed || 0 };
+
+    for (let i = 0; i < records.length; i += CACHE_IMPORT_CHUNK_SIZE) {
+      const response = await chrome.tabs.sendMessage(currentTabId, {
+        action: ACTIONS.IMPORT_CACHE,
+        records: records.slice(i, i + CACHE_IMPORT_CHUNK_SIZE),
+        policy
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '알 수 없는 오류');
+      }
+      totals.added += response.added;
+      totals.updated += response.updated;
+      totals.kept += response.kept;
+      totals.invalid += response.invalid;
+    }
+
+    logInfo('sidepanel', 'CACHE_IMPORTED', '캐시 가져오기 완료', {
+      source: header.domain,
+      version: header.version,
+      policy,
+      ...totals
+    });
+    const skipped = totals.invalid ? `, 잘못된 항목 ${totals.invalid}개 제외` : '';
+    showToast(`캐시 가져오기 완료: 추가 ${totals.added}개, 교체 ${totals.updated}개, 유지 ${totals.kept}개${skipped}`);
+    updatePageCacheStatus();
+  } catch (error) {
+    logError('sidepanel', 'CACHE_IMPORT_ERROR', '캐시 가져오기 실패', {}, error);
+    showToast('캐시 가져오기 중 오류가 발생했습니다: ' + error.message, 'error');
+  }
+}
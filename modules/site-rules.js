@@ -0,0 +1,310 @@
+/**
+ * Side Panel 사이트별 규칙
+ *
+ * 역할:
+ * - 사이트별 규칙 편집 (설정 탭, chrome.storage.local siteRules)
+ * - 현재 탭 URL에 해당하는 규칙 조회 (자동 번역 여부, 모델 덮어쓰기)
+ * - 포함/제외 선택자는 content/site-rules.js가 노드 수집 시 적용
+ *
+ * 규칙 형식: { id, domain, mode, include, exclude, model }
+ * - domain: 호스트명 (하위 도메인 포함, 여러 규칙이 맞으면 가장 구체적인 도메인)
+ * - mode: 'default'(자동 번역 설정 따름) | 'always'(방문 시 항상 번역) | 'never'(번역 안 함: 자동/버튼/단축키 모두 번역하지 않음)
+ */
+
+import { logInfo, logError } from '../logger.js';
+import { showToast } from './ui-utils.js';
+import { normalizeDomain } from './glossary.js';
+import '../content/site-rules.js';
+
+// ===== 상수 =====
+const SiteRules = window.WPT.SiteRules;
+const STORAGE_KEY = 'siteRules';
+const MAX_RULES = 500;
+
+export const SITE_RULE_MODES = {
+  default: '자동 번역 설정 따름',
+  always: '항상 자동 번역',
+  never: '번역 안 함'
+};
+
+// ===== 내부 상태 =====
+let siteRules = [];
+let editingId = null;
+
+// ===== 규칙 조회 =====
+
+/**
+ * 규칙 불러오기
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadSiteRules() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+  } catch (error) {
+    logError('sidepanel', 'SITE_RULES_LOAD_ERROR', '사이트 규칙 로드 실패', {}, error);
+    return [];
+  }
+}
+
+/**
+ * URL에 해당하는 사이트 규칙
+ * @param {string} url
+ * @returns {Promise<Object|null>} 규칙이 없거나 http(s) 페이지가 아니면 null
+ */
+export async function getSiteRuleForUrl(url) {
+  let hostname = '';
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    hostname = parsed.hostname.toLowerCase();
+  } catch (_) {
+    return null;
+  }
+  return SiteRules.findRule(await loadSiteRules(), hostname);
+}
+
+// ===== 설정 화면 =====
+
+/**
+ * 설정 탭의 사이트별 규칙 영역 초기화
+ */
+export async function initSiteRulesSection() {
+  document.getElementById('siteRuleSaveBtn')?.addEventListener('click', handleSaveRule);
+  document.getElementById('siteRuleCancelBtn')?.addEventListener('click', resetRuleForm);
+  document.getElementById('siteRuleCurrentBtn')?.addEventListener('click', fillCurrentSite);
+  document.getElementById('siteRuleList')?.addEventListener('click', handleRuleListClick);
+
+  // 다른 창에서 변경된 규칙 반영
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[STORAGE_KEY]) return;
+    siteRules = Array.isArray(changes[STORAGE_KEY].newValue) ? changes[STORAGE_KEY].newValue : [];
+    renderRuleList();
+  });
+
+  siteRules = await loadSiteRules();
+  renderRuleList();
+}
+
+/**
+ * CSS 선택자 문법 확인
+ * @param {string} selector
+ * @returns {boolean} 비어 있거나 올바르면 true
+ */
+function isValidSelector(selector) {
+  if (!selector) return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 폼 입력값으로 규칙 생성
+ * @returns {Object} 규칙
+ * @throws {Error} 사이트가 비었거나 선택자가 잘못되었을 때
+ */
+function readRuleForm() {
+  const value = (id) => (document.getElementById(id)?.value || '').trim();
+  const domain = normalizeDomain(value('siteRuleDomain'));
+  const mode = Object.prototype.hasOwnProperty.call(SITE_RULE_MODES, value('siteRuleMode')) ? value('siteRuleMode') : 'default';
+  const include = value('siteRuleInclude');
+  const exclude = value('siteRuleExclude');
+
+  if (!domain) {
+    throw new Error('사이트 도메인을 입력해주세요.');
+  }
+  if (!isValidSelector(include)) {
+    throw new Error('포함 선택자가 올바른 CSS 선택자가 아닙니다.');
+  }
+  if (!isValidSelector(exclude)) {
+    throw new Error('제외 선택자가 올바른 CSS 선택자가 아닙니다.');
+  }
+
+  return {
+    id: editingId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    domain,
+    mode,
+    include,
+    exclude,
+    model: value('siteRuleModel')
+  };
+}
+
+/**
+ * 규칙 추가/수정 (같은 도메인 규칙은 하나만)
+ */
+async function handleSaveRule() {
+  let rule;
+  try {
+    rule = readRuleForm();
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+
+  const isEdit = !!editingId;
+  if (siteRules.some((item) => item.id !== rule.id && item.domain === rule.domain)) {
+    showToast('이 사이트의 규칙이 이미 있습니다. 목록에서 수정해주세요.', 'error');
+    return;
+  }
+  if (!isEdit && siteRules.length >= MAX_RULES) {
+    showToast(`사이트 규칙은 최대 ${MAX_RULES}개까지 등록할 수 있습니다.`, 'error');
+    return;
+  }
+
+  const next = isEdit
+    ? siteRules.map((item) => (item.id === rule.id ? rule : item))
+    : [...siteRules, rule].sort((a, b) => a.domain.localeCompare(b.domain));
+
+  try {
+    await saveSiteRules(next);
+    resetRuleForm();
+    showToast(isEdit ? '사이트 규칙을 수정했습니다.' : '사이트 규칙을 추가했습니다.');
+    logInfo('sidepanel', 'SITE_RULE_SAVED', '사이트 규칙 저장', { domain: rule.domain, mode: rule.mode, include: !!rule.include, exclude: !!rule.exclude, model: rule.model || null });
+  } catch (error) {
+    logError('sidepanel', 'SITE_RULE_SAVE_ERROR', '사이트 규칙 저장 실패', { domain: rule.domain }, error);
+    showToast('사이트 규칙 저장 중 오류가 발생했습니다.', 'error');
+  }
+}
+
+async function saveSiteRules(rules) {
+  siteRules = rules;
+  await chrome.storage.local.set({ [STORAGE_KEY]: rules });
+  renderRuleList();
+}
+
+/**
+ * 현재 탭의 호스트를 사이트 입력란에 채움
+ */
+async function fillCurrentSite() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const hostname = tab?.url ? new URL(tab.url).hostname : '';
+    if (!hostname) {
+      showToast('현재 탭의 사이트를 알 수 없습니다.', 'error');
+      return;
+    }
+    document.getElementById('siteRuleDomain').value = hostname;
+
+    // 이미 규칙이 있으면 수정 모드로
+    const existing = siteRules.find((rule) => rule.domain === hostname.toLowerCase());
+    if (existing) startEditRule(existing.id);
+  } catch (error) {
+    logError('sidepanel', 'SITE_RULE_CURRENT_ERROR', '현재 사이트 조회 실패', {}, error);
+  }
+}
+
+function resetRuleForm() {
+  editingId = null;
+  ['siteRuleDomain', 'siteRuleInclude', 'siteRuleExclude', 'siteRuleModel'].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.value = '';
+  });
+  const mode = document.getElementById('siteRuleMode');
+  if (mode) mode.value = 'default';
+
+  const saveBtn = document.getElementById('siteRuleSaveBtn');
+  const cancelBtn = document.getElementById('siteRuleCancelBtn');
+  if (saveBtn) saveBtn.textContent = '규칙 추가';
+  if (cancelBtn) cancelBtn.style.display = 'none';
+}
+
+function startEditRule(id) {
+  const rule = siteRules.find((item) => item.id === id);
+  if (!rule) return;
+
+  editingId = id;
+  document.getElementById('siteRuleDomain').value = rule.domain;
+  document.getElementById('siteRuleMode').value = rule.mode || 'default';
+  document.getElementById('siteRuleInclude').value = rule.include || '';
+  document.getElementById('siteRuleExclude').value = rule.exclude || '';
+  document.getElementById('siteRuleModel').value = rule.model || '';
+
+  const saveBtn = document.getElementById('siteRuleSaveBtn');
+  const cancelBtn = document.getElementById('siteRuleCancelBtn');
+  if (saveBtn) saveBtn.textContent = '규칙 수정';
+  if (cancelBtn) cancelBtn.style.display = '';
+}
+
+/**
+ * 목록 버튼 클릭 (수정/삭제)
+ * @param {MouseEvent} event
+ */
+async function handleRuleListClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  const { id } = button.dataset;
+
+  if (button.dataset.action === 'edit') {
+    startEditRule(id);
+    return;
+  }
+
+  if (button.dataset.action === 'delete') {
+    try {
+      await saveSiteRules(siteRules.filter((rule) => rule.id !== id));
+      if (editingId === id) resetRuleForm();
+      showToast('사이트 규칙을 삭제했습니다.');
+    } catch (error) {
+      logError('sidepanel', 'SITE_RULE_DELETE_ERROR', '사이트 규칙 삭제 실패', { id }, error);
+      showToast('사이트 규칙 삭제 중 오류가 발생했습니다.', 'error');
+    }
+  }
+}
+
+/**
+ * 규칙 목록 렌더링
+ */
+function renderRuleList() {
+  const list = document.getElementById('siteRuleList');
+  const empty = document.getElementById('siteRuleEmpty');
+  if (!list) return;
+
+  list.innerHTML = '';
+  siteRules.forEach((rule) => list.appendChild(createRuleElement(rule)));
+  if (empty) {
+    empty.style.display = siteRules.length === 0 ? '' : 'none';
+  }
+}
+
+function createRuleElement(rule) {
+  const item = document.createElement('div');
+  item.className = 'glossary-item';
+
+  const body = document.createElement('div');
+  body.className = 'glossary-item-body';
+
+  const title = document.createElement('div');
+  title.className = 'glossary-term';
+  title.textContent = `${rule.domain} · ${SITE_RULE_MODES[rule.mode] || SITE_RULE_MODES.default}`;
+
+  const meta = document.createElement('div');
+  meta.className = 'glossary-meta';
+  meta.textContent = [
+    rule.include ? `포함: ${rule.include}` : '',
+    rule.exclude ? `제외: ${rule.exclude}` : '',
+    rule.model ? `모델: ${rule.model}` : ''
+  ].filter(Boolean).join(' · ') || '선택자·모델 지정 없음';
+
+  body.append(title, meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'glossary-item-actions';
+  [['edit', '수정', '✏️'], ['delete', '삭제', '🗑️']].forEach(([action, label, icon]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'icon-btn';
+    button.dataset.action = action;
+    button.dataset.id = rule.id;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.textContent = icon;
+    actions.appendChild(button);
+  });
+
+  item.append(body, actions);
+  return item;
+}
@@ -69,19 +69,12 @@ export const translateModeByTab = new Map();
  */
 export const translationStateByTab = new Map();
 
-/**
- * 탭별 자동 번역 실행 플래그 (중복 실행 방지)
- * Map<tabId, boolean>
- * @type {Map<number, boolean>}
- */
-export const autoTranslateTriggeredByTab = new Map();
-
 /**
  * 현재 탭의 번역 진행 상태
  * @type {object}
  */
 export let translationState = {
-  state: 'inactive',              // 번역 상태: 'inactive' | 'translating' | 'completed' | 'restored'
+  state: 'inactive',              // 번역 상태: 'inactive' | 'translating' | 'completed' | 'restored' | 'interrupted' | 'paused'
   totalTexts: 0,                  // 전체 텍스트 수
   translatedCount: 0,             // 번역 완료 수
   cachedCount: 0,                 // 캐시 사용 수
@@ -91,7 +84,19 @@ export let translationState = {
   activeMs: 0,                    // 경과 시간 (ms)
   originalTitle: '',              // 번역 전 제목
   translatedTitle: '',            // 번역 후 제목
-  previewText: ''                 // 번역 프리뷰 텍스트
+  previewText: '',                // 번역 프리뷰 텍스트
+  liveActive: false,              // 실시간 번역 감시 중 여부
+  liveCount: 0,                   // 실시간 번역으로 추가 처리된 텍스트 수
+  attributeTotal: 0,              // 번역 대상 속성 수 (placeholder, title, alt 등)
+  attributeCount: 0,              // 번역 적용된 속성 수
+  skippedCount: 0,                // 번역 불필요로 건너뛴 수 (이미 대상 언어, 숫자/URL 등)
+  glossaryViolations: 0,          // 용어집을 따르지 않은 블록 수
+  resumed: false,                 // 중단된 작업을 이어서 번역 중인지
+  usage: null,                    // 이 작업의 API 사용량 { promptTokens, completionTokens, cost, requests }
+  pauseReason: '',                // 일시 중지 사유 (사용 예산 초과)
+  splitCount: 0,                  // 길어서 나눠 번역한 단위 수
+  lazyPending: 0,                 // 지연 번역: 스크롤해서 다가오면 번역할 단위 수
+  protocolStats: null             // 배치 응답 처리 통계 (JSON 재요청, fallback 횟수)
 };
 
 // ===== Setter 함수 =====
@@ -204,6 +209,18 @@ export function createDefaultTranslationState() {
     activeMs: 0,
     originalTitle: '',
     translatedTitle: '',
-    previewText: ''
+    previewText: '',
+    liveActive: false,
+    liveCount: 0,
+    attributeTotal: 0,
+    attributeCount: 0,
+    skippedCount: 0,
+    glossaryViolations: 0,
+    resumed: false,
+    usage: null,
+    pauseReason: '',
+    splitCount: 0,
+    lazyPending: 0,
+    protocolStats: null
   };
 }
@@ -7,16 +7,17 @@
  * - Content Script 통신 (Port)
  * - 탭별 상태 관리
  * - 원본 복원
+ * - background가 시작한 자동 번역 작업에 연결
+ * - 새로고침 등으로 중단된 작업 이어서 번역 (작업 기록은 background가 session storage에 관리)
  */
 
 import { logInfo, logWarn, logError, logDebug } from '../logger.js';
-import { ACTIONS, PORT_MESSAGES, PORT_NAMES } from './constants.js';
+import { ACTIONS, PORT_MESSAGES, PORT_NAMES, STORAGE_KEYS, DEFAULT_TARGET_LANGUAGE } from './constants.js';
 import {
   currentTabId,
   translationState,
   translationStateByTab,
   translateModeByTab,
-  autoTranslateTriggeredByTab,
   permissionGranted,
   setCurrentTabId,
   setPermissionGranted,
@@ -28,6 +29,7 @@ import {
 } from './state.js';
 import { updateUI, resetTranslateUI, showToast, updateErrorLogCount } from './ui-utils.js';
 import { handleTranslationCompletedForHistory } from './history.js';
+import { getSiteRuleForUrl } from './site-rules.js';
 
 // ===== 상수 =====
 const DEFAULT_MODEL = 'openai/gpt-4o-mini';
@@ -71,6 +73,18 @@ export function initializeTranslationState() {
   translationState.batchesDone = 0;
   translationState.batches = [];
   translationState.activeMs = 0;
+  translationState.liveActive = false;
+  translationState.liveCount = 0;
+  translationState.attributeTotal = 0;
+  translationState.attributeCount = 0;
+  translationState.skippedCount = 0;
+  translationState.glossaryViolations = 0;
+  translationState.resumed = false;
+  translationState.usage = null;
+  translationState.pauseReason = '';
+  translationState.splitCount = 0;
+  translationState.lazyPending = 0;
+  translationState.protocolStats = null;
 }
 
 // ===== 탭 변경 처리 =====
@@ -105,11 +119,11 @@ export async function handleTabChange(tab) {
   }
 
   // 2단계: 새 탭의 저장된 상태 복구 정책
-  // - translating 또는 completed 상태는 복구
+  // - translating, completed 또는 paused(예산 초과) 상태는 복구
   // - restored 등 기타 상태는 초기 UI 유지
   if (currentTabId && translationStateByTab.has(currentTabId)) {
     const savedState = translationStateByTab.get(currentTabId);
-    if (savedState && (savedState.state === 'translating' || savedState.state === 'completed')) {
+    if (savedState && ['translating', 'completed', 'paused'].includes(savedState.state)) {
       setTranslationState({
         ...savedState,
         batches: savedState.batches ? [...savedState.batches] : []
@@ -126,6 +140,7 @@ export async function handleTabChange(tab) {
   if (tab) {
     await checkPermissions(tab);
   }
+  await syncBilingualToggle(tab);
 
   // 4단계: 번역 탭이 활성화되어 있으면 UI 업데이트
   updateUIByPermission();
@@ -137,110 +152,125 @@ export async function handleTabChange(tab) {
     connectToContentScript(currentTabId);
   }
 
-  // 6단계: 자동 번역 체크 (조건이 맞으면 번역 버튼 트리거)
-  // - 권한이 있고, 번역이 아직 시작되지 않았을 때만 (inactive)
-  // - 이미 자동 번역이 실행되지 않았을 때만
-  // - completed나 restored 상태에서는 자동 번역 안 함 (중복 실행 방지)
-  if (permissionGranted && !autoTranslateTriggeredByTab.get(currentTabId) && translationState.state === 'inactive') {
-    // 비동기로 자동 번역 체크 (UI 블로킹 방지)
-    setTimeout(() => checkAutoTranslate(), 300);
+  // 6단계: 패널이 모르는 진행 중 작업(background 자동 번역 등)이 있으면 연결, 없으면 중단된 작업 확인
+  // - 자동 번역 시작 자체는 background가 담당 (패널이 닫혀 있어도 실행)
+  if (permissionGranted && translationState.state === 'inactive') {
+    void attachToRunningTranslation(currentTabId).then((attached) => {
+      if (!attached && tab) return showInterruptedJob(tab);
+    });
   }
 }
 
 /**
- * 자동 번역 조건 체크 및 실행
- * 조건:
- * - autoTranslate 설정이 ON
- * - API Key가 설정되어 있음
- * - 캐싱된 데이터가 존재
+ * 진행 중인 번역 작업에 연결
+ * - background가 시작한 자동 번역처럼 패널 밖에서 시작된 작업을 이어서 표시
+ * - content script가 번역 중이라고 응답할 때만 포트 연결 (연결 즉시 현재 진행 상태를 보내옴)
+ * - 완료/복원 상태는 복구하지 않음 (URL 기반 복구 방지)
+ * @param {number} tabId
+ * @returns {Promise<boolean>} 연결했거나 이미 연결되어 있으면 true
  */
-async function checkAutoTranslate() {
-  if (!currentTabId || !permissionGranted) {
-    return;
+export async function attachToRunningTranslation(tabId) {
+  if (!tabId) {
+    return false;
   }
-
-  // 이미 자동 번역이 실행되었으면 스킵
-  if (autoTranslateTriggeredByTab.get(currentTabId)) {
-    return;
+  if (getPortForTab(tabId)) {
+    return true;
   }
 
+  let response = null;
   try {
-    // 1. 설정 확인
-    const settings = await chrome.storage.local.get(['autoTranslate', 'apiKey']);
+    response = await chrome.tabs.sendMessage(tabId, { action: ACTIONS.GET_TRANSLATION_STATE }, { frameId: 0 });
+  } catch (_) {
+    return false; // content script 없음
+  }
 
-    if (!settings.autoTranslate) {
-      logDebug('sidepanel', 'AUTO_TRANSLATE_SKIP', '자동 번역 설정이 OFF', { autoTranslate: false });
-      return;
-    }
+  if (response?.state?.state !== 'translating') {
+    return false;
+  }
 
-    if (!settings.apiKey) {
-      logDebug('sidepanel', 'AUTO_TRANSLATE_SKIP', 'API Key가 없음', { hasApiKey: false });
-      return;
-    }
+  // 자동 번역은 캐시 모드로 실행됨 (히스토리 기록용)
+  if (!translateModeByTab.has(tabId)) {
+    translateModeByTab.set(tabId, 'cache');
+  }
+  if (tabId === currentTabId) {
+    setTranslationState({ ...response.state });
+    updateUI();
+  }
+  connectToContentScript(tabId);
 
-    // 2. 캐시 데이터 확인
-    const hasCached = await checkHasCachedData();
+  logInfo('sidepanel', 'ATTACH_RUNNING_JOB', '진행 중인 번역 작업에 연결', {
+    tabId,
+    done: response.state.translatedCount,
+    total: response.state.totalTexts
+  });
+  return true;
+}
 
-    if (!hasCached) {
-      logDebug('sidepanel', 'AUTO_TRANSLATE_SKIP', '캐싱된 데이터가 없음', { hasCached: false });
-      return;
-    }
+/**
+ * 중단된 작업 표시 (새로고침/탭 닫힘/번역 오류로 끝난 같은 URL의 작업)
+ * - 상태를 interrupted로 두고 중단 시점의 진행 수치를 보여줌 → 이어서 번역 버튼 노출
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<boolean>} 중단된 작업이 있으면 true
+ */
+export async function showInterruptedJob(tab) {
+  if (!tab || !tab.url) {
+    return false;
+  }
 
-    // 3. 자동 번역 실행 플래그 설정 (중복 실행 방지)
-    autoTranslateTriggeredByTab.set(currentTabId, true);
+  let job = null;
+  try {
+    const result = await chrome.storage.session.get(STORAGE_KEYS.TRANSLATION_JOBS);
+    job = (result[STORAGE_KEYS.TRANSLATION_JOBS] || {})[tab.url.split('#')[0]] || null;
+  } catch (error) {
+    logDebug('sidepanel', 'TRANSLATION_JOB_READ_ERROR', '번역 작업 기록 조회 실패', { tabId: tab.id }, error);
+    return false;
+  }
 
-    logInfo('sidepanel', 'AUTO_TRANSLATE_TRIGGER', '자동 번역 트리거', {
-      tabId: currentTabId,
-      hasCached: true,
-      autoTranslate: true
-    });
+  // 조회 중 탭이 바뀌었거나 다른 작업이 시작되었으면 표시하지 않음
+  if (!job || job.state !== 'interrupted' || tab.id !== currentTabId || translationState.state !== 'inactive') {
+    return false;
+  }
 
-    // 4. 번역 버튼 클릭 시뮬레이션 (캐시 모드)
-    await handleTranslateAll(true);
+  setTranslationState({
+    ...createDefaultTranslationState(),
+    state: 'interrupted',
+    totalTexts: job.totalTexts || 0,
+    translatedCount: job.translatedCount || 0,
+    batchCount: job.batchCount || 0,
+    batchesDone: job.batchesDone || 0
+  });
+  updateUI();
 
-  } catch (error) {
-    logError('sidepanel', 'AUTO_TRANSLATE_ERROR', '자동 번역 체크 실패', { tabId: currentTabId }, error);
-  }
+  logInfo('sidepanel', 'TRANSLATION_JOB_INTERRUPTED', '중단된 번역 작업 발견', {
+    tabId: tab.id,
+    done: job.translatedCount,
+    total: job.totalTexts,
+    batches: `${job.batchesDone}/${job.batchCount}`
+  });
+  return true;
 }
 
 /**
- * 캐시 데이터 존재 여부 확인
- * @returns {Promise<boolean>}
+ * 이어서 번역 버튼 핸들러 (중단된 작업 또는 예산 초과로 일시 중지된 작업)
+ * - background가 작업 기록의 설정으로 번역을 다시 시작 (완료된 단위는 캐시에서 적용)
+ * - 시작 알림(TRANSLATION_STARTED)을 받으면 attachToRunningTranslation으로 진행 상태에 연결
  */
-async function checkHasCachedData() {
-  if (!currentTabId) {
-    return false;
-  }
+export async function handleResumeTranslation() {
+  if (!currentTabId || (translationState.state !== 'interrupted' && translationState.state !== 'paused')) return;
 
-  try {
-    // Content script에 캐시 상태 조회
-    return new Promise((resolve) => {
-      chrome.tabs.sendMessage(
-        currentTabId,
-        { action: 'getCacheStatus' },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            logDebug('sidepanel', 'AUTO_TRANSLATE_CACHE_CHECK_ERROR', 'Content script와 통신 실패', {
-              error: chrome.runtime.lastError.message
-            });
-            resolve(false);
-            return;
-          }
+  logInfo('sidepanel', 'UI_CLICK', '이어서 번역 버튼 클릭', { button: 'resume', tabId: currentTabId });
 
-          if (response && response.success && response.count > 0) {
-            logDebug('sidepanel', 'AUTO_TRANSLATE_CACHE_CHECK_SUCCESS', '캐시 데이터 확인', {
-              count: response.count
-            });
-            resolve(true);
-          } else {
-            resolve(false);
-          }
-        }
-      );
-    });
+  try {
+    const response = await chrome.runtime.sendMessage({ action: ACTIONS.RESUME_TRANSLATION_JOB, tabId: currentTabId });
+    if (!response || !response.success) {
+      showToast(response?.error || '이어서 번역을 시작하지 못했습니다.', 'error');
+      return;
+    }
+    // 히스토리 기록용 (원래 작업의 번역 모드)
+    translateModeByTab.set(currentTabId, response.useCache === false ? 'fresh' : 'cache');
   } catch (error) {
-    logError('sidepanel', 'AUTO_TRANSLATE_CACHE_CHECK_ERROR', '캐시 확인 실패', { tabId: currentTabId }, error);
-    return false;
+    logError('sidepanel', 'TRANSLATION_JOB_RESUME_ERROR', '이어서 번역 요청 실패', { tabId: currentTabId }, error);
+    showToast('이어서 번역 중 오류가 발생했습니다: ' + error.message, 'error');
   }
 }
 
@@ -351,8 +381,8 @@ export async function handleRequestPermission() {
     if (granted) {
       // Content script 주입
       await chrome.scripting.executeScript({
-        target: { tabId: currentTabId },
-        files: ['content/bootstrap.js', 'content/api.js', 'content/cache.js', 'content/industry.js', 'content/dom.js', 'content/title.js', 'content/progress.js', 'content.js']
+        target: { tabId: currentTabId, allFrames: true },
+        files: ['content/bootstrap.js', 'content/llm.js', 'content/api.js', 'content/usage.js', 'content/batching.js', 'content/priority.js', 'content/cache.js', 'content/language.js', 'content/industry.js', 'content/glossary.js', 'content/site-rules.js', 'content/dom.js', 'content/bilingual.js', 'content/inspector.js', 'content/selection.js', 'content/title.js', 'content/progress.js', 'content/observer.js', 'content.js']
       });
 
       // 잠시 대기
@@ -383,7 +413,7 @@ async function ensureContentScriptReady(tabId, maxRetries = 5) {
     logDebug('sidepanel', 'CONTENT_READY_CHECK', 'Content script 이미 준비됨', { tabId });
     try {
       await chrome.scripting.executeScript({
-        target: { tabId },
+        target: { tabId, allFrames: true },
         files: ['content/bootstrap.js', 'content/progress.js']
       });
       logDebug('sidepanel', 'CONTENT_READY_PATCH', '부트스트랩/프로그레스 주입 완료', { tabId });
@@ -403,8 +433,8 @@ async function ensureContentScriptReady(tabId, maxRetries = 5) {
       logInfo('sidepanel', 'INJECT_CONTENT', 'Content script 재주입 시도', { tabId, files: ['content.js'] });
 
       await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['content/bootstrap.js', 'content/api.js', 'content/cache.js', 'content/industry.js', 'content/dom.js', 'content/title.js', 'content/progress.js', 'content.js']
+        target: { tabId, allFrames: true },
+        files: ['content/bootstrap.js', 'content/llm.js', 'content/api.js', 'content/usage.js', 'content/batching.js', 'content/priority.js', 'content/cache.js', 'content/language.js', 'content/industry.js', 'content/glossary.js', 'content/site-rules.js', 'content/dom.js', 'content/bilingual.js', 'content/inspector.js', 'content/selection.js', 'content/title.js', 'content/progress.js', 'content/observer.js', 'content.js']
       });
 
       logInfo('sidepanel', 'INJECT_CONTENT', 'Content script 재주입 완료', { tabId });
@@ -477,7 +507,8 @@ function connectToContentScript(tabId) {
           batches: msg.data.batchesDone + '/' + msg.data.batchCount
         });
 
-        // 탭별 상태 저장
+        // 탭별 상태 저장 (완료 전이 판별을 위해 이전 상태 보관)
+        const prevState = translationStateByTab.get(tabId)?.state;
         translationStateByTab.set(tabId, { ...msg.data });
 
         // 활성 탭일 때만 UI에 반영
@@ -489,18 +520,30 @@ function connectToContentScript(tabId) {
         }
 
         // 번역 완료 시 SUMMARY 로깅
-        if (msg.data.state === 'completed') {
+        // - 실시간 번역이 완료 상태에서 보내는 추가 진행은 제외 (히스토리 중복 저장 방지)
+        if (msg.data.state === 'completed' && prevState !== 'completed') {
           logInfo('sidepanel', 'SUMMARY', '번역 완료 요약', {
             tabId,
             totalTexts: msg.data.totalTexts,
             translated: msg.data.translatedCount,
             cacheHits: msg.data.cachedCount,
+            skipped: msg.data.skippedCount || 0,
+            split: msg.data.splitCount || 0,
+            lazyPending: msg.data.lazyPending || 0,
+            glossaryViolations: msg.data.glossaryViolations || 0,
             elapsedMs: msg.data.activeMs,
-            batches: msg.data.batchCount
+            batches: msg.data.batchCount,
+            usage: msg.data.usage || null,
+            protocol: msg.data.protocolStats || null
           });
 
           void handleTranslationCompletedForHistory(tabId, msg.data);
         }
+
+        // 사용 예산 초과로 일시 중지
+        if (msg.data.state === 'paused' && prevState !== 'paused' && tabId === currentTabId) {
+          showToast(msg.data.pauseReason || '사용 예산을 넘어 번역을 멈췄습니다.', 'error');
+        }
       }
     });
 
@@ -534,11 +577,13 @@ export async function handleTranslateAll(useCache = true) {
   }
 
   translateModeByTab.set(currentTabId, useCache ? 'cache' : 'fresh');
+  let tabUrl = '';
 
   // 현재 탭 정보 가져오기
   try {
     const tab = await chrome.tabs.get(currentTabId);
     const supportType = getSupportType(tab.url);
+    tabUrl = tab.url;
 
     // 권한 상태 갱신
     await checkPermissions(tab);
@@ -582,10 +627,26 @@ export async function handleTranslateAll(useCache = true) {
     const settings = await chrome.storage.local.get([
       'apiKey',
       'model',
+      'targetLanguage',
+      'cacheModelPolicy',
       'batchSize',
-      'concurrency'
+      'concurrency',
+      'liveTranslate',
+      'lazyTranslate',
+      'preserveMarkup',
+      'blockInspector'
     ]);
 
+    // 사이트 규칙 (모델 덮어쓰기)
+    const siteRule = await getSiteRuleForUrl(tabUrl);
+    const model = (siteRule && siteRule.model) || settings.model || DEFAULT_MODEL;
+
+    if (siteRule && siteRule.mode === 'never') {
+      logInfo('sidepanel', 'UI_CLICK_BLOCKED', '사이트 규칙: 번역 안 함', { button, tabId: currentTabId, domain: siteRule.domain });
+      showToast('이 사이트는 사이트별 규칙에서 번역 안 함으로 설정되어 있습니다.', 'error');
+      return;
+    }
+
     if (!settings.apiKey) {
       logInfo('sidepanel', 'UI_CLICK_BLOCKED', 'API Key 미설정', { button, tabId: currentTabId });
       showToast('먼저 설정에서 API Key를 입력해주세요.', 'error');
@@ -598,7 +659,8 @@ export async function handleTranslateAll(useCache = true) {
     logInfo('sidepanel', 'UI_CLICK', '번역 버튼 클릭', {
       button,
       tabId: currentTabId,
-      model: settings.model || DEFAULT_MODEL,
+      model,
+      siteRule: siteRule ? siteRule.domain : null,
       batch: settings.batchSize || 50,
       concurrency: settings.concurrency || 3,
       useCache
@@ -629,10 +691,17 @@ export async function handleTranslateAll(useCache = true) {
     await chrome.tabs.sendMessage(currentTabId, {
       action: ACTIONS.TRANSLATE_FULL_PAGE,
       apiKey: settings.apiKey,
-      model: settings.model || DEFAULT_MODEL,
+      model,
       batchSize: settings.batchSize || 50,
       concurrency: settings.concurrency || 3,
-      useCache: useCache
+      useCache: useCache,
+      liveTranslate: settings.liveTranslate || false,
+      lazyTranslate: settings.lazyTranslate || false,
+      preserveMarkup: settings.preserveMarkup !== false,
+      blockInspector: settings.blockInspector || false,
+      bilingual: await getBilingualPreference(tabUrl),
+      targetLanguage: settings.targetLanguage || DEFAULT_TARGET_LANGUAGE,
+      cacheModelPolicy: settings.cacheModelPolicy || 'current'
     });
 
     // DISPATCH_TO_CONTENT (후 성공)
@@ -732,15 +801,91 @@ export async function handleRestore() {
 
     // UI 초기화
     resetTranslateUI();
-
-    // 자동 번역 플래그 초기화 (원본 복원 후 다시 자동 번역 가능하도록)
-    autoTranslateTriggeredByTab.delete(currentTabId);
   } catch (error) {
     logError('sidepanel', 'RESTORE_ERROR', '원본 복원 실패', { tabId: currentTabId }, error);
     showToast('원본 복원 중 오류가 발생했습니다: ' + error.message, 'error');
   }
 }
 
+// ===== 원문 함께 보기 =====
+
+/**
+ * 사이트 식별 키 (원문 함께 보기 사이트별 설정용)
+ * @param {string} url
+ * @returns {string} hostname (file://은 공통 키, 파싱 실패 시 빈 문자열)
+ */
+function getBilingualSiteKey(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'file:' ? 'file://' : u.hostname;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * 사이트별 원문 함께 보기 설정 조회
+ * @param {string} url - 탭 URL
+ * @returns {Promise<boolean>}
+ */
+async function getBilingualPreference(url) {
+  const site = getBilingualSiteKey(url);
+  if (!site) return false;
+  const { bilingualSites = {} } = await chrome.storage.local.get('bilingualSites');
+  return !!bilingualSites[site];
+}
+
+/**
+ * 번역 탭의 원문 함께 보기 토글을 현재 사이트 설정으로 맞춤
+ * @param {chrome.tabs.Tab} tab
+ */
+export async function syncBilingualToggle(tab) {
+  const toggle = document.getElementById('bilingualToggle');
+  if (!toggle) return;
+  try {
+    toggle.checked = tab && tab.url ? await getBilingualPreference(tab.url) : false;
+  } catch (error) {
+    logDebug('sidepanel', 'BILINGUAL_PREF_LOAD_FAILED', '원문 함께 보기 설정 조회 실패', {}, error);
+  }
+}
+
+/**
+ * 원문 함께 보기 토글 핸들러
+ * - 사이트별로 저장하고, 이미 번역된 페이지에는 API 호출 없이 즉시 반영
+ * @param {Event} event
+ */
+export async function handleBilingualToggle(event) {
+  const enabled = !!event.target.checked;
+  if (!currentTabId) return;
+
+  let site = '';
+  try {
+    const tab = await chrome.tabs.get(currentTabId);
+    site = getBilingualSiteKey(tab.url);
+    if (site) {
+      const { bilingualSites = {} } = await chrome.storage.local.get('bilingualSites');
+      if (enabled) {
+        bilingualSites[site] = true;
+      } else {
+        delete bilingualSites[site];
+      }
+      await chrome.storage.local.set({ bilingualSites });
+    }
+    logInfo('sidepanel', 'UI_CLICK', '원문 함께 보기 전환', { button: 'bilingual', tabId: currentTabId, site, enabled });
+  } catch (error) {
+    logError('sidepanel', 'BILINGUAL_PREF_SAVE_ERROR', '원문 함께 보기 설정 저장 실패', { tabId: currentTabId }, error);
+    showToast('원문 함께 보기 설정을 저장하지 못했습니다: ' + error.message, 'error');
+    return;
+  }
+
+  // 번역 전이거나 content script가 없는 페이지는 다음 번역 시 적용되므로 실패 무시
+  try {
+    await chrome.tabs.sendMessage(currentTabId, { action: ACTIONS.SET_BILINGUAL, enabled });
+  } catch (error) {
+    logDebug('sidepanel', 'BILINGUAL_DISPATCH_SKIPPED', '원문 함께 보기 즉시 반영 생략', { tabId: currentTabId, error: error.message });
+  }
+}
+
 /**
  * 번역 초기화 버튼 클릭 핸들러
  */
@@ -11,7 +11,9 @@
 
 /**
  * @typedef {Object} TranslationState
- * @property {'inactive'|'translating'|'completed'|'restored'|'error'|'cancelled'} state
+ * @property {'inactive'|'translating'|'completed'|'restored'|'error'|'cancelled'|'interrupted'|'paused'} state
+ *   interrupted: 새로고침 등으로 끊긴 작업이 있어 이어서 번역 가능 (side panel 전용, 이어서 번역하면 translating)
+ *   paused: 사용 예산 초과로 남은 배치를 번역하지 않고 멈춤 (예산을 늘린 뒤 이어서 번역 가능)
  * @property {number} totalTexts
  * @property {number} translatedCount
  * @property {number} cachedCount
@@ -22,6 +24,52 @@
  * @property {string} originalTitle
  * @property {string} translatedTitle
  * @property {string} previewText
+ * @property {boolean} liveActive
+ * @property {number} liveCount
+ * @property {number} attributeTotal
+ * @property {number} attributeCount
+ * @property {number} skippedCount
+ * @property {number} glossaryViolations
+ * @property {boolean} resumed - 중단된 작업을 이어서 번역 중인지
+ * @property {UsageStats|null} usage - 이 작업의 API 사용량 (하위 프레임 포함)
+ * @property {string} pauseReason - 일시 중지 사유
+ * @property {number} splitCount - 길어서 나눠 번역한 단위 수
+ * @property {number} lazyPending - 지연 번역: 스크롤해서 다가오면 번역할 단위 수
+ * @property {ProtocolStats|null} protocolStats - 배치 응답 처리 통계
+ */
+
+/**
+ * @typedef {Object} UsageStats
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} cost - OpenRouter 크레딧 기준 비용 (USD)
+ * @property {number} requests - API 요청 수
+ */
+
+/**
+ * @typedef {Object} ProtocolStats
+ * @property {number} jsonBatches - JSON 형식으로 요청한 배치 수
+ * @property {number} lineBatches - [n] 줄 형식으로 요청한 배치 수
+ * @property {number} formatFallbacks - JSON 형식 요청을 지원하지 않는 서버라 줄 형식으로 전환한 횟수
+ * @property {number} repairRequests - 누락/잘못된 항목만 다시 요청한 횟수
+ * @property {number} repairedItems - 재요청으로 채운 항목 수
+ * @property {number} lineFallbacks - JSON 대신 줄 형식으로 읽은 응답 수
+ * @property {number} positionalFallbacks - 줄 순서대로 적용한 응답 수
+ * @property {number} missingItems - 끝내 번역을 받지 못한 항목 수
+ */
+
+/**
+ * @typedef {Object} TranslationJob
+ * @property {string} url - 해시 제외 페이지 URL (기록 키)
+ * @property {number} tabId
+ * @property {'translating'|'interrupted'} state
+ * @property {number} startedAt - 원래 작업 시작 시각 (ms, 이어서 번역해도 유지)
+ * @property {Object} options - 번역 설정 (모델, 배치 크기, 동시 처리, 캐시 사용, 대상 언어 등, API Key 제외)
+ * @property {number} totalTexts
+ * @property {number} translatedCount
+ * @property {number} batchCount
+ * @property {number} batchesDone
+ * @property {number} updatedAt
  */
 
 /**
@@ -141,6 +141,7 @@ export async function switchTab(tabName) {
     'translate': 'AI 번역',
     'history': '번역 히스토리',
     'quickTranslate': '텍스트 번역',
+    'glossary': '용어집',
     'geo': 'GEO 검사',
     'search': '스마트 검색',
     'recurring': '반복 체크리스트',
@@ -190,7 +191,7 @@ export async function restoreSession() {
     const result = await chrome.storage.session.get(SESSION_KEY);
     const lastTab = result[SESSION_KEY];
 
-    if (lastTab && (lastTab === 'translate' || lastTab === 'history' || lastTab === 'quickTranslate' || lastTab === 'search' || lastTab === 'settings')) {
+    if (lastTab && (lastTab === 'translate' || lastTab === 'history' || lastTab === 'quickTranslate' || lastTab === 'glossary' || lastTab === 'search' || lastTab === 'settings')) {
       switchTab(lastTab);
     }
   } catch (error) {
@@ -201,11 +202,11 @@ export async function restoreSession() {
 /**
  * 딥링크 처리
  * URL 해시를 읽어서 해당 탭으로 전환
- * 지원: #translate, #settings, #history, #search
+ * 지원: #translate, #settings, #history, #quickTranslate, #glossary, #search
  */
 export function handleDeepLink() {
   const hash = window.location.hash.slice(1); // # 제거
-  if (hash === 'translate' || hash === 'history' || hash === 'quickTranslate' || hash === 'search' || hash === 'settings') {
+  if (hash === 'translate' || hash === 'history' || hash === 'quickTranslate' || hash === 'glossary' || hash === 'search' || hash === 'settings') {
     switchTab(hash);
   }
 }
@@ -258,8 +259,8 @@ export async function ensurePageContentScript(tabId) {
         // 최신 환경 보장: bootstrap/progress를 항상 주입(멱등)
         try {
         await chrome.scripting.executeScript({
-          target: { tabId },
-          files: ['content/bootstrap.js', 'content/api.js', 'content/cache.js', 'content/industry.js', 'content/dom.js', 'content/title.js', 'content/progress.js']
+          target: { tabId, allFrames: true },
+          files: ['content/bootstrap.js', 'content/llm.js', 'content/api.js', 'content/usage.js', 'content/batching.js', 'content/priority.js', 'content/cache.js', 'content/language.js', 'content/industry.js', 'content/glossary.js', 'content/site-rules.js', 'content/dom.js', 'content/bilingual.js', 'content/inspector.js', 'content/selection.js', 'content/title.js', 'content/progress.js', 'content/observer.js']
         });
           logDebug('sidepanel', 'CONTENT_PATCH_SUCCESS', '보조 스크립트 주입 완료', { tabId });
         } catch (e) {
@@ -275,8 +276,8 @@ export async function ensurePageContentScript(tabId) {
     // Content script 주입
     try {
       await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['content/bootstrap.js', 'content/api.js', 'content/cache.js', 'content/industry.js', 'content/dom.js', 'content/title.js', 'content/progress.js', 'content.js']
+        target: { tabId, allFrames: true },
+        files: ['content/bootstrap.js', 'content/llm.js', 'content/api.js', 'content/usage.js', 'content/batching.js', 'content/priority.js', 'content/cache.js', 'content/language.js', 'content/industry.js', 'content/glossary.js', 'content/site-rules.js', 'content/dom.js', 'content/bilingual.js', 'content/inspector.js', 'content/selection.js', 'content/title.js', 'content/progress.js', 'content/observer.js', 'content.js']
       });
       logDebug('sidepanel', 'CONTENT_INJECT_SUCCESS', 'Content script 주입 완료', { tabId });
     } catch (error) {
@@ -304,6 +305,12 @@ export function resetTranslateUI() {
   translationState.batchesDone = 0;
   translationState.batches = [];
   translationState.activeMs = 0;
+  translationState.liveActive = false;
+  translationState.liveCount = 0;
+  translationState.attributeTotal = 0;
+  translationState.attributeCount = 0;
+  translationState.skippedCount = 0;
+  translationState.glossaryViolations = 0;
 
   // UI 업데이트
   updateUI();
@@ -314,12 +321,18 @@ export function resetTranslateUI() {
  * @param {boolean} hasPermission - 권한 여부
  */
 export function updateUI(hasPermission = true) {
-  const { state, totalTexts, translatedCount, cachedCount, batchCount, batchesDone, batches, activeMs } = translationState;
+  const { state, totalTexts, translatedCount, cachedCount, batchCount, batchesDone, batches, activeMs, liveActive, liveCount, attributeTotal, attributeCount, skippedCount, glossaryViolations, resumed, usage, pauseReason, splitCount, lazyPending, protocolStats } = translationState;
 
   // 상태 뱃지와 버튼 제어
   const statusBadge = document.getElementById('statusBadge');
   const translateAllBtn = document.getElementById('translateAllBtn');
   const restoreBtn = document.getElementById('restoreBtn');
+  const resumeBtn = document.getElementById('resumeBtn');
+
+  // 이어서 번역: 중단된 작업이 있거나 예산 초과로 멈췄을 때만 표시
+  if (resumeBtn) {
+    resumeBtn.style.display = hasPermission && (state === 'interrupted' || state === 'paused') ? '' : 'none';
+  }
 
   // 권한이 없으면 모든 버튼 비활성화
   if (!hasPermission) {
@@ -345,6 +358,18 @@ export function updateUI(hasPermission = true) {
     statusBadge.className = 'status-badge restored';
     translateAllBtn.disabled = false;
     restoreBtn.disabled = true;
+  } else if (state === 'interrupted') {
+    // 중단됨: 이어서 번역 또는 처음부터 번역, 페이지는 아직 번역 전이므로 원본 보기 비활성화
+    statusBadge.textContent = '중단됨';
+    statusBadge.className = 'status-badge paused';
+    translateAllBtn.disabled = false;
+    restoreBtn.disabled = true;
+  } else if (state === 'paused') {
+    // 예산 초과로 일시 중지: 일부는 번역되어 있으므로 원본 보기 활성화
+    statusBadge.textContent = '일시 중지';
+    statusBadge.className = 'status-badge paused';
+    translateAllBtn.disabled = false;
+    restoreBtn.disabled = false;
   } else {
     // 대기 중: 번역 버튼 활성화, 원본 보기 비활성화
     statusBadge.textContent = '대기 중';
@@ -356,8 +381,18 @@ export function updateUI(hasPermission = true) {
   // 진행률 텍스트
   if (totalTexts > 0) {
     const progress = Math.round((translatedCount / totalTexts) * 100);
+    const lazyText = lazyPending > 0 ? ` · 스크롤하면 번역 ${lazyPending}` : '';
+    const liveText = liveActive ? ` · 실시간 번역 중${liveCount > 0 ? ` (+${liveCount})` : ''}` : '';
+    const attributeText = attributeTotal > 0 ? ` · 속성 ${attributeCount || 0}/${attributeTotal}` : '';
+    const skippedText = skippedCount > 0 ? ` · 건너뜀 ${skippedCount}` : '';
+    const splitText = splitCount > 0 ? ` · 나눠 번역 ${splitCount}` : '';
+    const glossaryText = glossaryViolations > 0 ? ` · 용어집과 다름 ${glossaryViolations}` : '';
+    const missingText = protocolStats && protocolStats.missingItems > 0 ? ` · 응답 누락 ${protocolStats.missingItems}` : '';
+    const resumeText = state === 'interrupted' ? ' · 중단된 작업' : (resumed && state === 'translating' ? ' · 이어서 번역 중' : '');
+    const usageText = usage && usage.requests > 0 ? ` · ${formatUsage(usage)}` : '';
+    const pauseText = state === 'paused' && pauseReason ? `\n${pauseReason}` : '';
     document.getElementById('progressText').textContent =
-      `완료 ${translatedCount}/${totalTexts} (${progress}%)`;
+      `완료 ${translatedCount}/${totalTexts} (${progress}%)${attributeText}${skippedText}${splitText}${glossaryText}${missingText}${resumeText}${usageText}${lazyText}${liveText}${pauseText}`;
   } else {
     document.getElementById('progressText').textContent = '번역 대기 중';
   }
@@ -430,6 +465,36 @@ export function formatTime(seconds) {
   }
 }
 
+/**
+ * 사용량 포맷 (토큰 수와 비용)
+ * @param {{promptTokens: number, completionTokens: number, cost: number}} usage
+ * @returns {string} 포맷된 사용량 (예: "토큰 12.3k · $0.0041")
+ */
+export function formatUsage(usage) {
+  return `토큰 ${formatTokens((usage.promptTokens || 0) + (usage.completionTokens || 0))} · ${formatCost(usage.cost)}`;
+}
+
+/**
+ * 토큰 수 포맷
+ * @param {number} tokens
+ * @returns {string} 포맷된 토큰 수 (예: "850", "12.3k", "1.2M")
+ */
+export function formatTokens(tokens) {
+  const value = Number(tokens) || 0;
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(value);
+}
+
+/**
+ * 비용 포맷 (USD, 작은 금액은 소수점 4자리)
+ * @param {number} cost
+ * @returns {string} 포맷된 비용 (예: "$0.0041", "$1.25")
+ */
+export function formatCost(cost) {
+  const value = Number(cost) || 0;
+  return `$${value >= 1 ? value.toFixed(2) : value.toFixed(4)}`;
+}
+
 // ===== 개발자 도구 =====
 
 /**
@@ -0,0 +1,229 @@
+/**
+ * Side Panel 사용량과 예산
+ *
+ * 역할:
+ * - 번역 탭: 오늘/이번 달 사용량과 예산 요약 표시
+ * - 설정 탭: 일별·사이트별 사용량 표시, 사용량 기록 초기화
+ *
+ * 사용량은 content script가 요청마다 보고하고 background가 chrome.storage.local usageStats에 누적
+ * - 형식: { days: { 'YYYY-MM-DD': 사용량 }, domains: { 호스트: 사용량 } }
+ * - 예산(usageBudget { daily, monthly }: USD, { dailyTokens, monthlyTokens }: 토큰)은 설정 저장 바로 저장, 초과 여부는 content/usage.js가 판단
+ * - 비용은 OpenRouter 응답에만 있으므로 다른 제공자를 쓰면 비용 예산이 적용되지 않는다고 함께 표시
+ */
+
+import { logInfo, logError } from '../logger.js';
+import { showToast, formatUsage, formatCost, formatTokens } from './ui-utils.js';
+import { DEFAULT_LLM_PROVIDER } from './llm.js';
+
+// ===== 상수 =====
+const STATS_KEY = 'usageStats';
+const BUDGET_KEY = 'usageBudget';
+const PROVIDER_KEY = 'llmProvider';
+const COST_PROVIDER = 'openrouter'; // 응답에 비용(cost)을 알려주는 제공자
+const COST_BUDGET_NOTE = '비용 예산은 OpenRouter에만 적용';
+const TOP_DOMAINS = 5;
+const RESET_LABEL = '사용량 기록 초기화';
+
+// ===== 내부 상태 =====
+let resetConfirmTimer = null;
+
+// ===== 집계 =====
+
+/**
+ * 날짜 키 (로컬 시간 YYYY-MM-DD, background getUsageDayKey와 동일)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function sumUsage(list) {
+  return list.reduce((sum, usage) => ({
+    promptTokens: sum.promptTokens + (usage.promptTokens || 0),
+    completionTokens: sum.completionTokens + (usage.completionTokens || 0),
+    cost: sum.cost + (usage.cost || 0),
+    requests: sum.requests + (usage.requests || 0)
+  }), { promptTokens: 0, completionTokens: 0, cost: 0, requests: 0 });
+}
+
+function sumTokens(usage) {
+  return (usage.promptTokens || 0) + (usage.completionTokens || 0);
+}
+
+/**
+ * 오늘/이번 달 사용량과 예산
+ * - costApplies: 현재 제공자가 비용을 알려주는지 (아니면 비용 예산이 쌓이지 않음)
+ * @returns {Promise<{today: Object, month: Object, domains: Object, budget: {daily: number, monthly: number, dailyTokens: number, monthlyTokens: number}, costApplies: boolean}>}
+ */
+async function loadUsageSummary() {
+  const result = await chrome.storage.local.get([STATS_KEY, BUDGET_KEY, PROVIDER_KEY]);
+  const stats = result[STATS_KEY] || {};
+  const days = stats.days || {};
+  const budget = result[BUDGET_KEY] || {};
+  const today = getDayKey();
+  const month = today.slice(0, 7);
+
+  return {
+    today: sumUsage(days[today] ? [days[today]] : []),
+    month: sumUsage(Object.keys(days).filter((day) => day.startsWith(month)).map((day) => days[day])),
+    domains: stats.domains || {},
+    budget: {
+      daily: Number(budget.daily) || 0,
+      monthly: Number(budget.monthly) || 0,
+      dailyTokens: Number(budget.dailyTokens) || 0,
+      monthlyTokens: Number(budget.monthlyTokens) || 0
+    },
+    costApplies: (result[PROVIDER_KEY] || DEFAULT_LLM_PROVIDER) === COST_PROVIDER
+  };
+}
+
+function formatWithBudget(usage, costLimit, tokenLimit) {
+  const limits = [];
+  if (costLimit > 0) limits.push(`예산 ${formatCost(costLimit)}`);
+  if (tokenLimit > 0) limits.push(`토큰 예산 ${formatTokens(tokenLimit)}`);
+  return limits.length > 0 ? `${formatUsage(usage)} / ${limits.join(', ')}` : formatUsage(usage);
+}
+
+function isOverBudget(usage, costLimit, tokenLimit) {
+  return (costLimit > 0 && usage.cost >= costLimit) || (tokenLimit > 0 && sumTokens(usage) >= tokenLimit);
+}
+
+function hasBudget(budget) {
+  return budget.daily > 0 || budget.monthly > 0 || budget.dailyTokens > 0 || budget.monthlyTokens > 0;
+}
+
+// ===== 번역 탭 요약 =====
+
+/**
+ * 번역 탭 사용량 요약 갱신 (사용 기록도 예산도 없으면 숨김)
+ */
+export async function updateUsageSummary() {
+  const summary = document.getElementById('usageSummary');
+  if (!summary) return;
+
+  try {
+    const { today, month, budget, costApplies } = await loadUsageSummary();
+    if (month.requests === 0 && !hasBudget(budget)) {
+      summary.style.display = 'none';
+      return;
+    }
+
+    const overBudget = isOverBudget(today, budget.daily, budget.dailyTokens) || isOverBudget(month, budget.monthly, budget.monthlyTokens);
+    const monthLimits = [
+      budget.monthly > 0 ? formatCost(budget.monthly) : '',
+      budget.monthlyTokens > 0 ? `토큰 ${formatTokens(budget.monthlyTokens)}` : ''
+    ].filter(Boolean).join(', ');
+    const costNote = !costApplies && (budget.daily > 0 || budget.monthly > 0) ? ` (${COST_BUDGET_NOTE})` : '';
+    summary.textContent = `오늘 ${formatWithBudget(today, budget.daily, budget.dailyTokens)} · 이번 달 ${formatCost(month.cost)}${monthLimits ? ` / ${monthLimits}` : ''}${costNote}`;
+    summary.classList.toggle('over-budget', overBudget);
+    summary.title = overBudget ? '사용 예산을 모두 사용했습니다. 설정에서 예산을 늘릴 수 있습니다.' : '';
+    summary.style.display = '';
+  } catch (error) {
+    logError('sidepanel', 'USAGE_SUMMARY_ERROR', '사용량 요약 표시 실패', {}, error);
+  }
+}
+
+/**
+ * 번역 탭 사용량 요약 초기화 (사용량/예산이 바뀔 때마다 갱신)
+ */
+export function initUsageSummary() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || (!changes[STATS_KEY] && !changes[BUDGET_KEY] && !changes[PROVIDER_KEY])) return;
+    void updateUsageSummary();
+    void renderUsageSection();
+  });
+  void updateUsageSummary();
+}
+
+// ===== 설정 화면 =====
+
+/**
+ * 설정 탭의 사용량 영역 초기화
+ */
+export function initUsageSection() {
+  document.getElementById('usageResetBtn')?.addEventListener('click', handleResetUsage);
+  void renderUsageSection();
+}
+
+/**
+ * 오늘/이번 달 사용량과 누적 사용량이 많은 사이트 표시
+ */
+async function renderUsageSection() {
+  const todayEl = document.getElementById('usageToday');
+  const monthEl = document.getElementById('usageMonth');
+  const list = document.getElementById('usageDomainList');
+  if (!todayEl || !monthEl || !list) return;
+
+  try {
+    const { today, month, domains, budget, costApplies } = await loadUsageSummary();
+    const costNote = !costApplies && (budget.daily > 0 || budget.monthly > 0) ? ` · ${COST_BUDGET_NOTE}` : '';
+    todayEl.textContent = `${formatWithBudget(today, budget.daily, budget.dailyTokens)} (${today.requests}회)${costNote}`;
+    monthEl.textContent = `${formatWithBudget(month, budget.monthly, budget.monthlyTokens)} (${month.requests}회)${costNote}`;
+
+    list.innerHTML = '';
+    Object.keys(domains)
+      .sort((a, b) => (domains[b].cost || 0) - (domains[a].cost || 0))
+      .slice(0, TOP_DOMAINS)
+      .forEach((host) => list.appendChild(createDomainElement(host, domains[host])));
+  } catch (error) {
+    logError('sidepanel', 'USAGE_SECTION_ERROR', '사용량 표시 실패', {}, error);
+  }
+}
+
+function createDomainElement(host, usage) {
+  const item = document.createElement('div');
+  item.className = 'glossary-item';
+
+  const body = document.createElement('div');
+  body.className = 'glossary-item-body';
+
+  const title = document.createElement('div');
+  title.className = 'glossary-term';
+  title.textContent = host;
+
+  const meta = document.createElement('div');
+  meta.className = 'glossary-meta';
+  meta.textContent = `${formatUsage(usage)} · ${usage.requests || 0}회`;
+
+  body.append(title, meta);
+  item.appendChild(body);
+  return item;
+}
+
+/**
+ * 사용량 기록 초기화 (예산 설정은 유지)
+ * - 첫 클릭은 확인 모드, 3초 안에 다시 누르면 삭제
+ * @param {Event} event - 클릭 이벤트
+ */
+async function handleResetUsage(event) {
+  const btn = event.currentTarget;
+
+  if (!btn.classList.contains('confirm-mode')) {
+    btn.classList.add('confirm-mode');
+    btn.textContent = '한 번 더 누르면 초기화';
+    resetConfirmTimer = setTimeout(() => {
+      btn.classList.remove('confirm-mode');
+      btn.textContent = RESET_LABEL;
+      resetConfirmTimer = null;
+    }, 3000);
+    return;
+  }
+
+  if (resetConfirmTimer) {
+    clearTimeout(resetConfirmTimer);
+    resetConfirmTimer = null;
+  }
+  btn.classList.remove('confirm-mode');
+  btn.textContent = RESET_LABEL;
+
+  try {
+    await chrome.storage.local.remove(STATS_KEY);
+    showToast('사용량 기록을 초기화했습니다.');
+    logInfo('sidepanel', 'USAGE_RESET', '사용량 기록 초기화');
+  } catch (error) {
+    logError('sidepanel', 'USAGE_RESET_ERROR', '사용량 기록 초기화 실패', {}, error);
+    showToast('사용량 기록 초기화 중 오류가 발생했습니다.', 'error');
+  }
+}
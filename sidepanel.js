@@ -19,12 +19,14 @@ import {
 } from './modules/ui-utils.js';
 import { initHistoryTab } from './modules/history.js';
 import { initSettingsTab, loadSettings } from './modules/settings.js';
+import { initUsageSummary } from './modules/usage.js';
 import { initializeSearchTab } from './modules/search.js';
 import { initQuickTranslateTab } from './modules/quick-translate.js';
+import { initGlossaryTab } from './modules/glossary.js';
 import { initRecurringTab } from './modules/recurring.js';
 import { initGeoTab } from './modules/geo-tab.js';
 import { initTooltipHandlers } from './modules/geo-ui.js';
-import { handleTabChange, getSupportType } from './modules/translation.js';
+import { handleTabChange, getSupportType, attachToRunningTranslation, syncBilingualToggle } from './modules/translation.js';
 
 // ===== 초기화 =====
 
@@ -53,6 +55,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     initSettingsTab();
     await loadSettings();
 
+    // 번역 탭 사용량 요약
+    initUsageSummary();
+
     // 히스토리 탭 초기화
     await initHistoryTab();
 
@@ -62,6 +67,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 텍스트 번역 탭 초기화
     await initQuickTranslateTab();
 
+    // 용어집 탭 초기화
+    await initGlossaryTab();
+
     // 반복관리 탭 초기화
     await initRecurringTab();
 
@@ -79,9 +87,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     // 번역 탭 버튼 이벤트
-    const { handleTranslateAll, handleRestore } = await import('./modules/translation.js');
+    const { handleTranslateAll, handleRestore, handleBilingualToggle, handleResumeTranslation } = await import('./modules/translation.js');
     document.getElementById('translateAllBtn')?.addEventListener('click', () => handleTranslateAll(true));
+    document.getElementById('resumeBtn')?.addEventListener('click', handleResumeTranslation);
     document.getElementById('restoreBtn')?.addEventListener('click', handleRestore);
+    document.getElementById('bilingualToggle')?.addEventListener('change', handleBilingualToggle);
 
     // 권한 요청 버튼
     const { handleRequestPermission } = await import('./modules/translation.js');
@@ -178,8 +188,10 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (State.currentTabId === tabId && changeInfo.status === 'complete') {
     // 새로고침/네비게이션 시 이 탭의 저장 상태는 초기화하여 '완료' 잔상 방지
     State.translationStateByTab.delete(tabId);
-    // 자동 번역 플래그도 초기화 (새로고침 시 다시 자동 번역 가능하도록)
-    State.autoTranslateTriggeredByTab.delete(tabId);
+    // 번역 중 새로고침되어 포트가 끊겼으면 '번역 중' 상태도 정리 (background가 중단된 작업으로 기록 → 이어서 번역 제안)
+    if (State.translationState.state === 'translating' && !State.getPortForTab(tabId)) {
+      State.setTranslationState(State.createDefaultTranslationState());
+    }
     await handleTabChange(tab);
     // 지원 불가 URL에서는 캐시 상태 업데이트/주입 시도를 생략
     const type = getSupportType(tab?.url || '');
@@ -196,7 +208,6 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 chrome.tabs.onRemoved.addListener((tabId) => {
   State.translationStateByTab.delete(tabId);
   State.translateModeByTab.delete(tabId);
-  State.autoTranslateTriggeredByTab.delete(tabId);
   // 탭 포트 정리 (연결 끊김 안전 처리)
   try {
     State.removePortForTab?.(tabId, { disconnect: true });
@@ -204,3 +215,26 @@ chrome.tabs.onRemoved.addListener((tabId) => {
     // noop
   }
 });
+
+/**
+ * background가 번역을 시작하면(자동 번역, 단축키) 해당 작업에 연결 (진행 상태 표시)
+ */
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type !== 'TRANSLATION_STARTED' || typeof msg.tabId !== 'number') return false;
+  attachToRunningTranslation(msg.tabId).catch((error) => {
+    logError('sidepanel', 'ATTACH_RUNNING_JOB_ERROR', '진행 중인 번역 작업 연결 실패', { tabId: msg.tabId }, error);
+  });
+  return false;
+});
+
+/**
+ * 단축키 등으로 사이트별 원문 함께 보기 설정이 바뀌면 번역 탭 토글에 반영
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes.bilingualSites || !State.currentTabId) return;
+  try {
+    await syncBilingualToggle(await chrome.tabs.get(State.currentTabId));
+  } catch (_) {
+    // 탭이 닫힌 경우 무시
+  }
+});